@@ -0,0 +1,428 @@
+// Offline evaluation of a drawing classifier listed in public/models.json.
+//
+//   node evaluate_model.mjs <dir> [--model <id>] [--steps 8] [--json] [--out <prefix>]
+//
+// <dir> holds Quick, Draw! .ndjson files (label = each record's "word") and/or
+// PNG drawings (label = sub-folder name, or the file name without a trailing
+// number: "ice_cream_03.png" → "ice cream"). Drawings go through the same
+// preprocessing and guess scoring as the game (src/drawing/preprocess.js,
+// src/capturehands/guessScoring.js). Prints a Markdown report, or the JSON
+// report with --json; --out also writes both to <prefix>.json and <prefix>.md.
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import * as tf from "@tensorflow/tfjs";
+import { preprocessPixels, preprocessStrokes } from "./src/drawing/preprocess.js";
+import { drawingToStrokes, parseNdjson } from "./src/drawing/quickdraw.js";
+import { GuessScorer } from "./src/capturehands/guessScoring.js";
+import { buildModelInputs, disposeModelInputs, inspectModelInputs } from "./src/capturehands/modelInputs.js";
+import { DEFAULT_PREPROCESSING, pixelOptions } from "./src/capturehands/modelManifest.js";
+
+const PUBLIC_DIR = path.resolve("public");
+const CANVAS = { width: 640, height: 480 };
+
+// ─── Arguments ───
+function parseArgs(argv) {
+  const args = { dir: null, model: null, steps: 8, json: false, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--model") args.model = argv[++i];
+    else if (a === "--steps") args.steps = Math.max(1, Number(argv[++i]) || 1);
+    else if (a === "--json") args.json = true;
+    else if (a === "--out") args.out = argv[++i];
+    else if (!a.startsWith("--")) args.dir = a;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (!args.dir) {
+    throw new Error("Usage: node evaluate_model.mjs <dir> [--model <id>] [--steps 8] [--json] [--out <prefix>]");
+  }
+  return args;
+}
+
+const norm = (s) => (s ?? "").toLowerCase().trim();
+
+// ─── Model ───
+function readManifestEntry(id) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(PUBLIC_DIR, "models.json"), "utf8"));
+  const entry = manifest.models.find((m) => m.id === (id ?? manifest.default));
+  if (!entry) throw new Error(`No model "${id ?? manifest.default}" in public/models.json`);
+  return { ...entry, preprocessing: { ...DEFAULT_PREPROCESSING, ...entry.preprocessing } };
+}
+
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1 };
+
+/**
+ * tf.loadLayersModel over the files on disk. The weight files are checked
+ * against model.json first so a mismatched export fails with a clear message
+ * instead of garbage predictions.
+ */
+async function loadLayersModelFromDisk(modelJsonPath) {
+  const json = JSON.parse(fs.readFileSync(modelJsonPath, "utf8"));
+  const dir = path.dirname(modelJsonPath);
+
+  const weightSpecs = json.weightsManifest.flatMap((group) => group.weights);
+  const paths = json.weightsManifest.flatMap((group) => group.paths);
+  const missing = paths.filter((p) => !fs.existsSync(path.join(dir, p)));
+  if (missing.length > 0) {
+    const present = fs.readdirSync(dir).filter((f) => f.endsWith(".bin"));
+    throw new Error(
+      `model.json lists weight files that don't exist: ${missing.join(", ")} ` +
+      `(found: ${present.join(", ") || "none"}). Re-export the model so model.json and its shards match.`
+    );
+  }
+
+  const buffers = paths.map((p) => fs.readFileSync(path.join(dir, p)));
+  const expected = weightSpecs.reduce(
+    (sum, w) => sum + w.shape.reduce((a, b) => a * b, 1) * (DTYPE_BYTES[w.dtype] ?? 4),
+    0
+  );
+  const actual = buffers.reduce((sum, b) => sum + b.length, 0);
+  if (expected !== actual) {
+    throw new Error(`model.json describes ${expected} bytes of weights but the shards hold ${actual}`);
+  }
+
+  const weightData = new Uint8Array(actual);
+  let offset = 0;
+  for (const b of buffers) {
+    weightData.set(b, offset);
+    offset += b.length;
+  }
+
+  return tf.loadLayersModel(
+    tf.io.fromMemory({ modelTopology: json.modelTopology, weightSpecs, weightData: weightData.buffer })
+  );
+}
+
+// ─── PNG decoding (8-bit, non-interlaced) ───
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/** PNG file → { data: RGBA Uint8ClampedArray, width, height }. */
+function decodePng(buf, file) {
+  if (!buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error(`${file}: not a PNG`);
+
+  let width, height, bitDepth, colorType, interlace;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let pos = 8; pos < buf.length; ) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString("ascii", pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + length);
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      bitDepth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === "PLTE") palette = body;
+    else if (type === "tRNS") transparency = body;
+    else if (type === "IDAT") idat.push(body);
+    else if (type === "IEND") break;
+    pos += 12 + length;
+  }
+
+  const channels = PNG_CHANNELS[colorType];
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error(`${file}: only 8-bit non-interlaced PNGs are supported`);
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? pixels[row + x - channels] : 0;
+      const b = y > 0 ? pixels[row - stride + x] : 0;
+      const c = x >= channels && y > 0 ? pixels[row - stride + x - channels] : 0;
+      const v = line[x];
+      pixels[row + x] =
+        filter === 1 ? v + a :
+        filter === 2 ? v + b :
+        filter === 3 ? v + ((a + b) >> 1) :
+        filter === 4 ? v + paeth(a, b, c) :
+        v;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const p = i * channels;
+    let r, g, b, alpha;
+    if (colorType === 3) {
+      const idx = pixels[p];
+      [r, g, b] = palette.subarray(idx * 3, idx * 3 + 3);
+      alpha = transparency && idx < transparency.length ? transparency[idx] : 255;
+    } else if (channels <= 2) {
+      r = g = b = pixels[p];
+      alpha = channels === 2 ? pixels[p + 1] : 255;
+    } else {
+      [r, g, b] = pixels.subarray(p, p + 3);
+      alpha = channels === 4 ? pixels[p + 3] : 255;
+    }
+    data.set([r, g, b, alpha], i * 4);
+  }
+  return { data, width, height };
+}
+
+/**
+ * The game reads ink from alpha (black on a transparent canvas). Opaque
+ * images are taken as dark ink on a light background instead.
+ */
+function inkAsAlpha(data) {
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) return data;
+  }
+  const out = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    out[i + 3] = 255 - luminance;
+  }
+  return out;
+}
+
+// ─── Dataset ───
+function labelFromFile(file, dir) {
+  const parent = path.dirname(file);
+  if (path.resolve(parent) !== path.resolve(dir)) return path.basename(parent);
+  return path.basename(file, path.extname(file)).replace(/[-_ ]*\d+$/, "").replace(/[-_]+/g, " ");
+}
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((d) => {
+    const full = path.join(dir, d.name);
+    return d.isDirectory() ? listFiles(full) : [full];
+  });
+}
+
+/** Every sample as { source, label, frames: [{ input, inkRatio, strokes }] }. */
+function loadSamples(dir, { steps, options }) {
+  const samples = [];
+  for (const file of listFiles(dir)) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === ".ndjson") {
+      parseNdjson(fs.readFileSync(file, "utf8")).forEach((record, i) => {
+        const strokes = drawingToStrokes(record.drawing, CANVAS);
+        samples.push({
+          source: `${path.relative(dir, file)}:${i + 1}`,
+          label: record.word,
+          frames: strokePrefixes(strokes, steps).map((prefix) => ({
+            ...preprocessStrokes(prefix, { ...CANVAS, ...options }),
+            strokes: prefix,
+          })),
+        });
+      });
+    } else if (ext === ".png") {
+      const { data, width, height } = decodePng(fs.readFileSync(file), file);
+      samples.push({
+        source: path.relative(dir, file),
+        label: labelFromFile(file, dir),
+        frames: [{ ...preprocessPixels(inkAsAlpha(data), width, height, options), strokes: [] }],
+      });
+    }
+  }
+  return samples;
+}
+
+/**
+ * The drawing as it would look at `steps` evenly spaced moments while being
+ * drawn (by point count), the last one complete. The game guesses while the
+ * player draws, so the scoring replay needs these intermediate frames.
+ */
+function strokePrefixes(strokes, steps) {
+  const total = strokes.reduce((n, s) => n + s.points.length, 0);
+  const prefixes = [];
+  for (let k = 1; k <= steps; k++) {
+    let budget = Math.ceil((total * k) / steps);
+    const prefix = [];
+    for (const s of strokes) {
+      if (budget <= 0) break;
+      prefix.push({ ...s, points: s.points.slice(0, budget) });
+      budget -= s.points.length;
+    }
+    prefixes.push(prefix);
+  }
+  return prefixes;
+}
+
+// ─── Evaluation ───
+function predict(model, info, frame) {
+  const x = buildModelInputs(info, frame.input, frame.strokes);
+  const out = model.predict(x);
+  const probs = Array.from(out.dataSync());
+  out.dispose();
+  disposeModelInputs(x);
+  return probs;
+}
+
+function evaluate(model, labels, samples, minInkRatio) {
+  const info = inspectModelInputs(model);
+  const n = labels.length;
+  const confusion = labels.map(() => new Array(n).fill(0));
+  const results = [];
+  const unknownLabels = new Set();
+
+  for (const sample of samples) {
+    const target = labels.findIndex((l) => norm(l) === norm(sample.label));
+    if (target < 0) {
+      unknownLabels.add(sample.label);
+      continue;
+    }
+
+    // Replay the game: every frame with enough ink is a guess
+    const scorer = new GuessScorer();
+    let scoredAt = null;
+    let scoredBy = null;
+    let probs = null;
+    sample.frames.forEach((frame, i) => {
+      if (frame.inkRatio < minInkRatio) return;
+      probs = predict(model, info, frame);
+      const step = scorer.update(probs, target);
+      if (scoredAt === null && step.scoredBy) {
+        scoredAt = (i + 1) / sample.frames.length;
+        scoredBy = step.scoredBy;
+      }
+    });
+
+    if (!probs) {
+      results.push({ source: sample.source, label: labels[target], top: null, top3: [], scoredAt, scoredBy });
+      continue;
+    }
+
+    // Accuracy is on the raw prediction for the finished drawing
+    const ranked = Array.from(probs.keys()).sort((a, b) => probs[b] - probs[a]);
+    confusion[target][ranked[0]]++;
+    results.push({
+      source: sample.source,
+      label: labels[target],
+      top: labels[ranked[0]],
+      prob: probs[ranked[0]],
+      top3: ranked.slice(0, 3).map((i) => labels[i]),
+      scoredAt,
+      scoredBy,
+    });
+  }
+
+  return { confusion, results, unknownLabels: [...unknownLabels] };
+}
+
+function summarize(labels, { confusion, results, unknownLabels }) {
+  const evaluated = results.length;
+  const top1 = results.filter((r) => r.top === r.label).length;
+  const top3 = results.filter((r) => r.top3.includes(r.label)).length;
+  const scored = results.filter((r) => r.scoredAt !== null);
+  const rate = (k) => (evaluated > 0 ? k / evaluated : 0);
+
+  const perClass = labels.map((label, i) => {
+    const tp = confusion[i][i];
+    const support = confusion[i].reduce((a, b) => a + b, 0);
+    const predicted = confusion.reduce((sum, row) => sum + row[i], 0);
+    const precision = predicted > 0 ? tp / predicted : null;
+    const recall = support > 0 ? tp / support : null;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : null;
+    return { label, support, precision, recall, f1 };
+  });
+
+  return {
+    evaluated,
+    blank: results.filter((r) => r.top === null).length,
+    unknownLabels,
+    top1Accuracy: rate(top1),
+    top3Accuracy: rate(top3),
+    scoredInGame: rate(scored.length),
+    scoredBy: {
+      streak: scored.filter((r) => r.scoredBy === "streak").length,
+      confidence: scored.filter((r) => r.scoredBy === "confidence").length,
+    },
+    avgDrawnWhenScored: scored.length > 0
+      ? scored.reduce((sum, r) => sum + r.scoredAt, 0) / scored.length
+      : null,
+    perClass,
+    confusion: { labels, matrix: confusion },
+  };
+}
+
+// ─── Report ───
+const pct = (v) => (v === null ? "–" : `${(v * 100).toFixed(1)}%`);
+
+function toMarkdown(modelId, sampleCount, report) {
+  const lines = [
+    `# Evaluation: ${modelId}`,
+    "",
+    `${report.evaluated} drawings evaluated (${sampleCount} read, ${report.blank} too blank to guess).`,
+    "",
+    "| Metric | Value |",
+    "| --- | --- |",
+    `| Top-1 accuracy | ${pct(report.top1Accuracy)} |`,
+    `| Top-3 accuracy | ${pct(report.top3Accuracy)} |`,
+    `| Would score in game | ${pct(report.scoredInGame)} |`,
+    `| …by streak / by confidence | ${report.scoredBy.streak} / ${report.scoredBy.confidence} |`,
+    `| Drawing done when scored (avg) | ${pct(report.avgDrawnWhenScored)} |`,
+  ];
+  if (report.unknownLabels.length > 0) {
+    lines.push("", `Skipped labels the model doesn't know: ${report.unknownLabels.join(", ")}`);
+  }
+
+  lines.push("", "## Per class", "", "| Label | Support | Precision | Recall | F1 |", "| --- | --- | --- | --- | --- |");
+  for (const c of report.perClass) {
+    lines.push(`| ${c.label} | ${c.support} | ${pct(c.precision)} | ${pct(c.recall)} | ${pct(c.f1)} |`);
+  }
+
+  const { labels, matrix } = report.confusion;
+  lines.push(
+    "",
+    "## Confusion matrix (rows: target, columns: top-1 guess)",
+    "",
+    `| | ${labels.join(" | ")} |`,
+    `| --- |${labels.map(() => " --- |").join("")}`
+  );
+  matrix.forEach((row, i) => {
+    lines.push(`| **${labels[i]}** | ${row.map((v) => v || "·").join(" | ")} |`);
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+// ─── Main ───
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await tf.setBackend("cpu");
+  await tf.ready();
+
+  const entry = readManifestEntry(args.model);
+  const labels = JSON.parse(fs.readFileSync(path.join(PUBLIC_DIR, entry.labels), "utf8"));
+  const model = await loadLayersModelFromDisk(path.join(PUBLIC_DIR, entry.path));
+  console.error(`🤖 Loaded "${entry.id}" (${labels.length} labels)`);
+
+  const samples = loadSamples(args.dir, { steps: args.steps, options: pixelOptions(entry) });
+  if (samples.length === 0) throw new Error(`No .ndjson or .png drawings found in ${args.dir}`);
+
+  const report = summarize(labels, evaluate(model, labels, samples, entry.preprocessing.minInkRatio));
+  const markdown = toMarkdown(entry.id, samples.length, report);
+  const json = JSON.stringify({ model: entry.id, ...report }, null, 2);
+  console.log(args.json ? json : markdown);
+
+  if (args.out) {
+    fs.writeFileSync(`${args.out}.json`, json);
+    fs.writeFileSync(`${args.out}.md`, markdown);
+    console.error(`✅ Wrote ${args.out}.json and ${args.out}.md`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌", err.message);
+  process.exit(1);
+});
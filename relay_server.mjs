@@ -0,0 +1,132 @@
+// WebSocket relay for head-to-head games (src/game/relayClient.js).
+//
+//   node relay_server.mjs [--port 8787] [--host localhost]
+//
+// Two players join the same room code; everything one of them sends is passed
+// on to the other, tagged with the sender's id. The server knows nothing about
+// the game beyond rooms: the first player in a room is the host, who picks
+// the words and runs the clock. Runs fully offline and only accepts
+// connections from this machine; pass --host 0.0.0.0 to play over the LAN.
+
+import { WebSocketServer } from "ws";
+
+const DEFAULT_PORT = 8787;
+const ROOM_SIZE = 2;
+const MAX_MESSAGE_BYTES = 256 * 1024;
+// Only the server sends these; a client sending one is dropped so a peer
+// can't fake a join or a disconnect
+const SERVER_TYPES = new Set(["joined", "peer-joined", "peer-left", "error"]);
+
+function parseArgs(argv) {
+  const args = { port: Number(process.env.PORT) || DEFAULT_PORT, host: "localhost" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") args.port = Number(argv[++i]);
+    else if (argv[i] === "--host") args.host = argv[++i];
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return args;
+}
+
+// room code → Map(id → { socket, name, host })
+const rooms = new Map();
+let nextId = 1;
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const playersOf = (room) =>
+  [...room.entries()].map(([id, p]) => ({ id, name: p.name, host: p.host }));
+
+function broadcast(room, message, exceptId) {
+  for (const [id, p] of room) {
+    if (id !== exceptId) send(p.socket, message);
+  }
+}
+
+function join(socket, id, { room: code, name }) {
+  code = String(code ?? "").trim().toLowerCase();
+  name = String(name ?? "").trim().slice(0, 20) || `Player ${id}`;
+  if (!code) return send(socket, { type: "error", message: "Missing room code" });
+
+  const room = rooms.get(code) ?? new Map();
+  if (room.size >= ROOM_SIZE) return send(socket, { type: "error", message: `Room "${code}" is full` });
+
+  room.set(id, { socket, name, host: room.size === 0 });
+  rooms.set(code, room);
+  console.log(`➕ ${name} joined "${code}" (${room.size}/${ROOM_SIZE})`);
+
+  send(socket, { type: "joined", id, room: code, players: playersOf(room) });
+  broadcast(room, { type: "peer-joined", players: playersOf(room) }, id);
+  return code;
+}
+
+function leave(code, id) {
+  const room = rooms.get(code);
+  if (!room?.has(id)) return;
+  const { name, host } = room.get(id);
+  room.delete(id);
+  console.log(`➖ ${name} left "${code}"`);
+
+  if (room.size === 0) {
+    rooms.delete(code);
+    return;
+  }
+  // Whoever stays runs the next game
+  if (host) room.values().next().value.host = true;
+  broadcast(room, { type: "peer-left", id, players: playersOf(room) });
+}
+
+function main() {
+  const { port, host } = parseArgs(process.argv.slice(2));
+  const server = new WebSocketServer({ port, host, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on("connection", (socket) => {
+    const id = nextId++;
+    let code = null;
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return send(socket, { type: "error", message: "Messages must be JSON" });
+      }
+      if (!message || typeof message !== "object" || Array.isArray(message)) {
+        return send(socket, { type: "error", message: "Messages must be JSON objects" });
+      }
+
+      if (message.type === "join") {
+        if (code) return send(socket, { type: "error", message: "Already in a room" });
+        code = join(socket, id, message) ?? null;
+        return;
+      }
+
+      const room = code && rooms.get(code);
+      if (!room) return send(socket, { type: "error", message: "Join a room first" });
+      if (SERVER_TYPES.has(message.type)) {
+        return send(socket, { type: "error", message: `"${message.type}" is sent by the server only` });
+      }
+      broadcast(room, { ...message, from: id }, id);
+    });
+
+    socket.on("close", () => {
+      if (code) leave(code, id);
+    });
+    // e.g. a message over MAX_MESSAGE_BYTES: only this player is dropped
+    socket.on("error", (err) => {
+      console.error(`❌ Player ${id}: ${err.message}`);
+      socket.terminate();
+    });
+  });
+
+  server.on("listening", () => {
+    console.log(`✅ Relay listening on ws://${host === "0.0.0.0" ? "localhost" : host}:${server.address().port}`);
+  });
+  server.on("error", (err) => {
+    console.error("❌", err.message);
+    process.exit(1);
+  });
+}
+
+main();
@@ -0,0 +1,85 @@
+// relay_server.test.mjs
+//
+// Runs the relay as its own process, as `npm run relay` does, so a bad
+// message that crashes it fails the test instead of the test runner.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { WebSocket } from "ws";
+
+let relay;
+let url;
+
+before(async () => {
+  relay = spawn(process.execPath, ["relay_server.mjs", "--port", "0"], {
+    cwd: new URL(".", import.meta.url),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  relay.stderr.resume();
+  url = await new Promise((resolve, reject) => {
+    relay.once("exit", (code) => reject(new Error(`relay exited with ${code}`)));
+    relay.stdout.on("data", (chunk) => {
+      const match = /ws:\/\/\S+:\d+/.exec(chunk.toString());
+      if (match) resolve(match[0]);
+    });
+  });
+});
+
+after(() => {
+  relay.kill();
+});
+
+async function connect() {
+  const socket = new WebSocket(url);
+  const messages = [];
+  socket.on("message", (data) => messages.push(JSON.parse(data)));
+  await once(socket, "open");
+  return { socket, messages };
+}
+
+const nextMessage = async ({ socket, messages }) => {
+  while (messages.length === 0) await once(socket, "message");
+  return messages.shift();
+};
+
+async function assertRelayAlive() {
+  assert.equal(relay.exitCode, null, "relay process exited");
+  const player = await connect();
+  player.socket.send(JSON.stringify({ type: "join", room: `alive-${Date.now()}`, name: "Check" }));
+  assert.equal((await nextMessage(player)).type, "joined");
+  player.socket.close();
+}
+
+for (const raw of ["null", "1", '"join"', "[]"]) {
+  test(`a ${raw} message gets an error reply`, async () => {
+    const player = await connect();
+    player.socket.send(raw);
+    assert.deepEqual(await nextMessage(player), { type: "error", message: "Messages must be JSON objects" });
+    player.socket.close();
+    await assertRelayAlive();
+  });
+}
+
+test("a message over the size limit only drops its sender", async () => {
+  const room = `big-${Date.now()}`;
+  const host = await connect();
+  host.socket.send(JSON.stringify({ type: "join", room, name: "Host" }));
+  await nextMessage(host);
+  const guest = await connect();
+  guest.socket.send(JSON.stringify({ type: "join", room, name: "Guest" }));
+  await nextMessage(guest);
+
+  guest.socket.send(JSON.stringify({ type: "strokes", padding: "x".repeat(300 * 1024) }));
+  const [code] = await once(guest.socket, "close");
+  assert.equal(code, 1009);
+
+  const messages = [await nextMessage(host), await nextMessage(host)];
+  assert.deepEqual(
+    messages.map((m) => m.type),
+    ["peer-joined", "peer-left"]
+  );
+  host.socket.close();
+  await assertRelayAlive();
+});
@@ -1,9 +1,53 @@
 import DrawVsAI from './drawVsAI'
-import React from 'react'
+import React, { useState } from 'react'
+import GestureTrainerScreen from './components/GestureTrainerScreen'
+import StatsScreen from './components/StatsScreen'
+import AnalyticsScreen from './components/AnalyticsScreen'
 import './index.css'
 
+const SCREENS = [
+  { id: 'game', label: '🎨 Play' },
+  { id: 'trainer', label: '✋ Gesture Trainer' },
+  { id: 'stats', label: '📊 Stats' },
+  { id: 'analytics', label: '🔬 Analytics' },
+]
+
+const SCREEN_COMPONENTS = {
+  game: DrawVsAI,
+  trainer: GestureTrainerScreen,
+  stats: StatsScreen,
+  analytics: AnalyticsScreen,
+}
+
 function App() {
-  return <DrawVsAI />
+  // Only one screen is mounted at a time so the webcam isn't opened twice
+  const [screen, setScreen] = useState('game')
+  const Screen = SCREEN_COMPONENTS[screen]
+
+  return (
+    <>
+      <nav style={{ position: 'fixed', top: 12, left: 12, display: 'flex', gap: 8, zIndex: 10 }}>
+        {SCREENS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setScreen(id)}
+            style={{
+              background: screen === id ? '#fbbf24' : '#374151',
+              color: screen === id ? '#1f2937' : '#fff',
+              fontWeight: 'bold',
+              padding: '6px 12px',
+              borderRadius: 6,
+              border: 'none',
+              cursor: 'pointer',
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </nav>
+      <Screen />
+    </>
+  )
 }
 
-export default App
\ No newline at end of file
+export default App
@@ -0,0 +1,69 @@
+// src/capturehands/classifierWorkerClient.js
+
+/**
+ * Promise wrapper around drawingClassifier.worker.js. Each request gets an id
+ * and resolves with the worker's matching reply.
+ */
+export class ClassifierWorkerClient {
+  constructor() {
+    this.worker = new Worker(
+      new URL("../workers/drawingClassifier.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    this.nextId = 1;
+    this.pending = new Map();
+
+    this.worker.onmessage = (e) => {
+      const { id, type } = e.data;
+      const entry = this.pending.get(id);
+      if (!entry) return;
+      this.pending.delete(id);
+      if (type === "error") entry.reject(new Error(e.data.message));
+      else entry.resolve(e.data);
+    };
+
+    this.worker.onerror = (e) => {
+      const err = new Error(e.message || "Classifier worker crashed");
+      for (const entry of this.pending.values()) entry.reject(err);
+      this.pending.clear();
+    };
+  }
+
+  request(type, payload = {}, transfer = []) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...payload }, transfer);
+    });
+  }
+
+  load(modelUrl, preprocessing) {
+    return this.request("load", { modelUrl, preprocessing });
+  }
+
+  predictBitmap(bitmap, strokes = []) {
+    return this.request("predict", { bitmap, strokes }, [bitmap]);
+  }
+
+  predictStrokes(strokes, width, height) {
+    return this.request("predict", { strokes, width, height });
+  }
+
+  terminate() {
+    this.worker.terminate();
+    for (const entry of this.pending.values()) entry.reject(new Error("Classifier worker terminated"));
+    this.pending.clear();
+  }
+}
+
+/**
+ * Workers need OffscreenCanvas to read ImageBitmaps back; without it the
+ * classifier stays on the main thread.
+ */
+export function supportsClassifierWorker() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap !== "undefined"
+  );
+}
@@ -0,0 +1,56 @@
+// src/capturehands/coordinates.js
+
+/**
+ * Map a point in video pixels (handpose landmarks) to #draw-canvas pixels so
+ * the ink lands under the fingertip as the player sees it.
+ *
+ * The webcam is shown mirrored with objectFit "cover" inside the container,
+ * and the canvas backing store (canvasWidth × canvasHeight) is stretched over
+ * the same box (displayWidth × displayHeight CSS pixels).
+ */
+export function videoToCanvasPoint(
+  [vx, vy],
+  { videoWidth, videoHeight, displayWidth, displayHeight, canvasWidth, canvasHeight, mirrored = true }
+) {
+  // video → displayed CSS pixels (object-fit: cover crops the overflow)
+  const s = Math.max(displayWidth / videoWidth, displayHeight / videoHeight);
+  const offX = (displayWidth - videoWidth * s) / 2;
+  const offY = (displayHeight - videoHeight * s) / 2;
+
+  let dx = offX + vx * s;
+  const dy = offY + vy * s;
+  if (mirrored) dx = displayWidth - dx;
+
+  // displayed CSS pixels → canvas backing pixels
+  return {
+    x: (dx * canvasWidth) / displayWidth,
+    y: (dy * canvasHeight) / displayHeight,
+  };
+}
+
+/**
+ * Geometry for videoToCanvasPoint from live elements.
+ */
+export function getVideoCanvasGeometry(videoEl, canvasEl) {
+  const rect = canvasEl.getBoundingClientRect();
+  return {
+    videoWidth: videoEl.videoWidth,
+    videoHeight: videoEl.videoHeight,
+    displayWidth: rect.width || canvasEl.width,
+    displayHeight: rect.height || canvasEl.height,
+    canvasWidth: canvasEl.width,
+    canvasHeight: canvasEl.height,
+  };
+}
+
+/**
+ * Map a pointer event's client position to canvas backing pixels. The canvas
+ * is stretched by CSS, so its 640×480 store rarely matches its on-screen size.
+ */
+export function clientToCanvasPoint(clientX, clientY, canvasEl) {
+  const rect = canvasEl.getBoundingClientRect();
+  return {
+    x: ((clientX - rect.left) * canvasEl.width) / (rect.width || canvasEl.width),
+    y: ((clientY - rect.top) * canvasEl.height) / (rect.height || canvasEl.height),
+  };
+}
@@ -0,0 +1,41 @@
+// src/capturehands/gestureActions.js
+
+/**
+ * Where hand gestures come from: the hand-written finger rules in
+ * useHandTracking, the bundled keypoint classifier, or a classifier the
+ * player trained in the gesture trainer (both via useKeyPointClassifier).
+ */
+export const GESTURE_SOURCES = {
+  RULES: "rules",
+  LEARNED: "learned",
+  CUSTOM: "custom",
+};
+
+/**
+ * Learned sign → drawing gesture, in the same vocabulary as the rules
+ * ("PointerUp" draws, "PinchClose" / "OpenHand" erase). Unlisted signs are idle.
+ */
+export const SIGN_GESTURES = {
+  Pointing_Up: "PointerUp",
+  OK: "PinchClose",
+  Open_Palm: "OpenHand",
+};
+
+export const GAME_ACTIONS = {
+  SKIP: "skip",
+  UNDO: "undo",
+  CLEAR: "clear",
+};
+
+/**
+ * Learned sign → one-shot game action, fired once when the sign is first held.
+ */
+export const SIGN_ACTIONS = {
+  Thumb_Up: GAME_ACTIONS.SKIP,
+  Victory: GAME_ACTIONS.UNDO,
+  Thumbs_Down: GAME_ACTIONS.CLEAR,
+};
+
+export function gestureForSign(sign) {
+  return SIGN_GESTURES[sign] ?? "Idle";
+}
@@ -0,0 +1,90 @@
+// src/capturehands/gestureDataset.js
+
+import { calcLandmarkList, preProcessLandmark, fromHandposeLandmarks } from "./landmarkFeatures.js";
+
+/**
+ * Recorded hand-sign samples: { label, features } where features are the 42
+ * values (x, y for 21 landmarks) that preProcessLandmark produces, i.e. the
+ * exact input of the keypoint classifier.
+ *
+ * CSV layout, one sample per line after the header:
+ *   label,x0,y0,x1,y1,…,x20,y20
+ */
+
+export const LANDMARK_COUNT = 21;
+export const FEATURE_SIZE = LANDMARK_COUNT * 2;
+
+const CSV_HEADER = [
+  "label",
+  ...Array.from({ length: LANDMARK_COUNT }, (_, i) => [`x${i}`, `y${i}`]).flat(),
+].join(",");
+
+/**
+ * Labels end up as a CSV cell and a class name; keep them to one plain token.
+ */
+export function cleanLabel(label) {
+  return String(label).trim().replace(/[,\s"]+/g, "_");
+}
+
+/**
+ * handpose landmarks (video pixels) → classifier features.
+ */
+export function landmarksToFeatures(landmarks, videoWidth, videoHeight) {
+  const image = { width: videoWidth, height: videoHeight };
+  const landmarkList = calcLandmarkList(image, fromHandposeLandmarks(landmarks, videoWidth, videoHeight));
+  return preProcessLandmark(landmarkList);
+}
+
+export function countByLabel(samples) {
+  const counts = {};
+  for (const { label } of samples) counts[label] = (counts[label] ?? 0) + 1;
+  return counts;
+}
+
+export function samplesToCsv(samples) {
+  const rows = samples.map(({ label, features }) =>
+    [label, ...features.map((v) => Number(v.toFixed(6)))].join(",")
+  );
+  return [CSV_HEADER, ...rows].join("\n") + "\n";
+}
+
+/**
+ * Parse samples CSV. The header line is optional; malformed lines throw with
+ * the line number.
+ */
+export function parseSamplesCsv(text) {
+  const samples = [];
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const cells = line.split(",");
+    if (i === 0 && cells[0].trim() === "label") return;
+
+    if (cells.length !== FEATURE_SIZE + 1) {
+      throw new Error(`CSV line ${i + 1}: expected ${FEATURE_SIZE + 1} columns, got ${cells.length}`);
+    }
+
+    const label = cleanLabel(cells[0]);
+    if (!label) throw new Error(`CSV line ${i + 1}: empty label`);
+
+    const features = cells.slice(1).map(Number);
+    if (features.some((v) => !Number.isFinite(v))) {
+      throw new Error(`CSV line ${i + 1}: non-numeric landmark value`);
+    }
+
+    samples.push({ label, features });
+  });
+
+  return samples;
+}
+
+export function downloadCsv(filename, text) {
+  const blob = new Blob([text], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
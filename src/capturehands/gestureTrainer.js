@@ -0,0 +1,101 @@
+// src/capturehands/gestureTrainer.js
+
+import * as tf from "@tensorflow/tfjs";
+import { FEATURE_SIZE } from "./gestureDataset.js";
+
+/**
+ * Small dense classifier over recorded landmark features, trained in the
+ * browser and kept in IndexedDB. Class names travel with the model as user
+ * metadata ({ labels }), so useKeyPointClassifier can load it like any other.
+ */
+
+export const CUSTOM_GESTURE_MODEL_URL = "indexeddb://drawvsai-custom-gestures";
+
+export const DEFAULT_TRAINING = {
+  epochs: 100,
+  batchSize: 32,
+  validationSplit: 0.2,
+};
+
+// Below this many samples a validation split leaves too little to learn from
+const MIN_SAMPLES_FOR_VALIDATION = 20;
+
+export function buildGestureModel(numClasses) {
+  const model = tf.sequential();
+  model.add(tf.layers.dropout({ inputShape: [FEATURE_SIZE], rate: 0.2 }));
+  model.add(tf.layers.dense({ units: 20, activation: "relu" }));
+  model.add(tf.layers.dropout({ rate: 0.4 }));
+  model.add(tf.layers.dense({ units: 10, activation: "relu" }));
+  model.add(tf.layers.dense({ units: numClasses, activation: "softmax" }));
+  model.compile({
+    optimizer: tf.train.adam(0.001),
+    loss: "categoricalCrossentropy",
+    metrics: ["accuracy"],
+  });
+  return model;
+}
+
+/**
+ * Train on [{ label, features }] with the CPU backend, then save to IndexedDB.
+ * The previous backend (usually webgl, shared with handpose) is restored
+ * afterwards. Returns { model, labels }; the caller owns the model.
+ */
+export async function trainGestureModel(samples, { onEpochEnd, ...options } = {}) {
+  const { epochs, batchSize, validationSplit } = { ...DEFAULT_TRAINING, ...options };
+
+  const labels = [...new Set(samples.map((s) => s.label))].sort();
+  if (labels.length < 2) {
+    throw new Error("Record at least two different gestures before training");
+  }
+
+  const prevBackend = tf.getBackend();
+  await tf.setBackend("cpu");
+  await tf.ready();
+
+  try {
+    // fit() takes the validation split from the end, so mix the classes first
+    const shuffled = samples.slice();
+    tf.util.shuffle(shuffled);
+
+    const model = buildGestureModel(labels.length);
+    const xs = tf.tensor2d(shuffled.map((s) => s.features), [shuffled.length, FEATURE_SIZE]);
+    const ys = tf.tidy(() =>
+      tf.oneHot(tf.tensor1d(shuffled.map((s) => labels.indexOf(s.label)), "int32"), labels.length)
+    );
+
+    try {
+      await model.fit(xs, ys, {
+        epochs,
+        batchSize,
+        shuffle: true,
+        validationSplit: samples.length >= MIN_SAMPLES_FOR_VALIDATION ? validationSplit : 0,
+        callbacks: {
+          onEpochEnd: (epoch, logs) => onEpochEnd?.(epoch + 1, epochs, logs),
+        },
+      });
+    } finally {
+      xs.dispose();
+      ys.dispose();
+    }
+
+    model.setUserDefinedMetadata({ labels });
+    await model.save(CUSTOM_GESTURE_MODEL_URL);
+    console.log("✅ [gestureTrainer] saved", labels.length, "gestures to", CUSTOM_GESTURE_MODEL_URL);
+    return { model, labels };
+  } finally {
+    if (prevBackend && prevBackend !== "cpu") await tf.setBackend(prevBackend);
+  }
+}
+
+export async function hasSavedGestureModel() {
+  try {
+    const models = await tf.io.listModels();
+    return CUSTOM_GESTURE_MODEL_URL in models;
+  } catch {
+    return false;
+  }
+}
+
+export async function deleteSavedGestureModel() {
+  await tf.io.removeModel(CUSTOM_GESTURE_MODEL_URL);
+}
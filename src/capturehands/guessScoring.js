@@ -0,0 +1,78 @@
+// src/capturehands/guessScoring.js
+
+/**
+ * When the AI "gets" a drawing. Raw model probabilities are smoothed with an
+ * EMA (faster when the model is confident), and the round scores once the
+ * target is the top guess on STREAK_TO_SCORE predictions in a row, or at once
+ * when it leads with high probability and a clear margin.
+ *
+ * No DOM or TF.js, so the offline evaluation (evaluate_model.mjs) replays
+ * exactly what the game does.
+ */
+
+export const SCORING = {
+  emaAlpha: 0.3, // weight of the previous EMA value
+  fastAlpha: 0.5, // used instead when the raw top probability is above fastAbove
+  fastAbove: 0.75,
+  streakToScore: 2,
+  confidentProb: 0.85,
+  confidentMargin: 0.3,
+  // A wrong guess this close to the runner-up throws the EMA away
+  resetMargin: 0.2,
+};
+
+export class GuessScorer {
+  constructor(options = {}) {
+    this.options = { ...SCORING, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.ema = null;
+    this.streak = 0;
+  }
+
+  /** Forget the streak but keep the EMA (e.g. the round was given up). */
+  resetStreak() {
+    this.streak = 0;
+  }
+
+  /**
+   * Feed one prediction. targetIdx is the target's label index (-1 if the
+   * model doesn't know it). Returns the smoothed ranking and, if this
+   * prediction scores, which rule did it.
+   */
+  update(probs, targetIdx) {
+    const o = this.options;
+
+    if (!this.ema || this.ema.length !== probs.length) {
+      this.ema = Float32Array.from(probs);
+    } else {
+      const alpha = Math.max(...probs) > o.fastAbove ? o.fastAlpha : o.emaAlpha;
+      for (let i = 0; i < probs.length; i++) {
+        this.ema[i] = alpha * this.ema[i] + (1 - alpha) * probs[i];
+      }
+    }
+
+    const ema = this.ema;
+    const ranked = Array.from(ema.keys()).sort((a, b) => ema[b] - ema[a]);
+    const bestIdx = ranked[0];
+    const topProb = ema[bestIdx];
+    const margin = topProb - ema[ranked[1] ?? bestIdx];
+    const guessIsTarget = bestIdx === targetIdx;
+    const targetProb = targetIdx >= 0 ? ema[targetIdx] : null;
+
+    if (guessIsTarget) {
+      this.streak += 1;
+    } else {
+      this.streak = 0;
+      if (margin < o.resetMargin) this.ema = null;
+    }
+
+    let scoredBy = null;
+    if (this.streak >= o.streakToScore) scoredBy = "streak";
+    else if (guessIsTarget && topProb > o.confidentProb && margin > o.confidentMargin) scoredBy = "confidence";
+
+    return { ema, ranked, bestIdx, topProb, margin, targetProb, guessIsTarget, streak: this.streak, scoredBy };
+  }
+}
@@ -0,0 +1,125 @@
+// src/capturehands/handDetectors.js
+
+import * as tf from "@tensorflow/tfjs";
+import * as handpose from "@tensorflow-models/handpose";
+import * as handPoseDetection from "@tensorflow-models/hand-pose-detection";
+import { version as MEDIAPIPE_HANDS_VERSION } from "@mediapipe/hands/package.json";
+
+/**
+ * One interface over the hand models we can run:
+ *   "mediapipe" – hand-pose-detection, MediaPipe (WASM) runtime
+ *   "tfjs"      – hand-pose-detection, TF.js runtime
+ *   "handpose"  – legacy @tensorflow-models/handpose, one hand, no handedness
+ *
+ * detector.estimate(videoEl) resolves to
+ *   [{ landmarks: [[x, y, z], ...21], keypoints3D: [[x, y, z], ...] | null,
+ *      handedness: "Left" | "Right" | null, score }]
+ * with landmarks in video pixels, like handpose always returned.
+ * handedness is the player's real hand, not the mirror image.
+ */
+
+export const DETECTOR_BACKENDS = {
+  MEDIAPIPE: "mediapipe",
+  TFJS: "tfjs",
+  LEGACY: "handpose",
+};
+
+export const DETECTOR_LABELS = {
+  [DETECTOR_BACKENDS.MEDIAPIPE]: "MediaPipe Hands",
+  [DETECTOR_BACKENDS.TFJS]: "MediaPipe Hands (TF.js)",
+  [DETECTOR_BACKENDS.LEGACY]: "Legacy handpose",
+};
+
+// Tried in this order when the requested backend fails to load
+const FALLBACK_ORDER = [DETECTOR_BACKENDS.MEDIAPIPE, DETECTOR_BACKENDS.TFJS, DETECTOR_BACKENDS.LEGACY];
+
+// The runtime files must match the installed @mediapipe/hands, not whatever is latest
+const MEDIAPIPE_SOLUTION_PATH = `https://cdn.jsdelivr.net/npm/@mediapipe/hands@${MEDIAPIPE_HANDS_VERSION}`;
+
+// MediaPipe labels hands as seen in a mirrored selfie image; we feed it the
+// raw camera frame, so its "Left" is the player's right hand.
+const SWAP_HANDEDNESS = { Left: "Right", Right: "Left" };
+
+async function createPoseDetectionDetector(runtime, maxHands) {
+  const config = runtime === DETECTOR_BACKENDS.MEDIAPIPE
+    ? { runtime, modelType: "full", maxHands, solutionPath: MEDIAPIPE_SOLUTION_PATH }
+    : { runtime, modelType: "full", maxHands };
+
+  const detector = await handPoseDetection.createDetector(
+    handPoseDetection.SupportedModels.MediaPipeHands,
+    config
+  );
+
+  return {
+    backend: runtime,
+    maxHands,
+    async estimate(videoEl) {
+      const hands = await detector.estimateHands(videoEl, { flipHorizontal: false, staticImageMode: false });
+      return hands.map((hand) => ({
+        landmarks: hand.keypoints.map((k, i) => [k.x, k.y, hand.keypoints3D?.[i]?.z ?? 0]),
+        keypoints3D: hand.keypoints3D?.map((k) => [k.x, k.y, k.z ?? 0]) ?? null,
+        handedness: SWAP_HANDEDNESS[hand.handedness] ?? null,
+        score: hand.score,
+      }));
+    },
+    dispose() {
+      detector.dispose();
+    },
+  };
+}
+
+async function createLegacyDetector() {
+  const net = await handpose.load({
+    maxContinuousChecks: 3,    // ← Reduced from 5 for faster detection
+    detectionConfidence: 0.6,  // ← Relaxed from 0.7
+    scoreThreshold: 0.65,      // ← Relaxed from 0.75
+    iouThreshold: 0.3,
+  });
+
+  return {
+    backend: DETECTOR_BACKENDS.LEGACY,
+    maxHands: 1,
+    async estimate(videoEl) {
+      const hands = await net.estimateHands(videoEl, false);
+      return hands.map((hand) => ({
+        landmarks: hand.landmarks,
+        keypoints3D: null,
+        handedness: null,
+        score: hand.handInViewConfidence,
+      }));
+    },
+    dispose() {},
+  };
+}
+
+async function createOne(backend, maxHands) {
+  if (backend === DETECTOR_BACKENDS.LEGACY) return createLegacyDetector();
+  return createPoseDetectionDetector(backend, maxHands);
+}
+
+/**
+ * Load the requested detector, falling back along FALLBACK_ORDER if it can't
+ * start (e.g. the MediaPipe WASM files are unreachable).
+ */
+export async function createHandDetector(backend = DETECTOR_BACKENDS.MEDIAPIPE, { maxHands = 2 } = {}) {
+  await tf.ready();
+
+  const order = [backend, ...FALLBACK_ORDER.filter((b) => b !== backend)];
+  let lastError = null;
+
+  for (const candidate of order) {
+    try {
+      const detector = await createOne(candidate, maxHands);
+      if (candidate !== backend) {
+        console.warn(`⚠ [handDetectors] ${backend} unavailable, using ${candidate}`);
+      }
+      console.log(`🤖 [handDetectors] ${DETECTOR_LABELS[candidate]} ready`);
+      return detector;
+    } catch (err) {
+      console.warn(`⚠ [handDetectors] failed to load ${candidate}:`, err);
+      lastError = err;
+    }
+  }
+
+  throw lastError ?? new Error("No hand detector could be loaded");
+}
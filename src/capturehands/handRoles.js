@@ -0,0 +1,29 @@
+// src/capturehands/handRoles.js
+
+/**
+ * Which hand does what when two are in view. The dominant hand draws; the
+ * other one works the tools (an open palm or pinch switches the drawing
+ * finger to the eraser). A lone hand always draws, whichever it is.
+ */
+
+export const HANDEDNESS = {
+  RIGHT: "Right",
+  LEFT: "Left",
+};
+
+export const HAND_ROLES = {
+  DRAW: "draw",
+  TOOLS: "tools",
+};
+
+/**
+ * hands from useHandTracking's detect() → { draw, tools }, either may be null.
+ */
+export function assignHandRoles(hands, dominant = HANDEDNESS.RIGHT) {
+  if (!hands || hands.length === 0) return { draw: null, tools: null };
+  if (hands.length === 1) return { draw: hands[0], tools: null };
+
+  const draw = hands.find((h) => h.handedness === dominant) ?? hands[0];
+  const tools = hands.find((h) => h !== draw) ?? null;
+  return { draw, tools };
+}
@@ -0,0 +1,59 @@
+// src/capturehands/landmarkFeatures.js
+
+import _ from 'lodash';
+
+/**
+ * Hand landmarks → the 42 features of the keypoint classifier (x, y of the 21
+ * landmarks relative to the wrist, scaled into [-1, 1]). No React or TF.js,
+ * so the bundled model's training script (train_gesture_model.mjs) uses the
+ * exact same transform.
+ */
+
+export const calcLandmarkList = (image, landmarks) => {
+  const { width: imageWidth, height: imageHeight } = image;
+  const landmarkPoint = [];
+
+  // Convert normalized landmarks into pixel coordinates
+  Object.values(landmarks).forEach((landmark) => {
+    const landmarkX = Math.min(landmark.x * imageWidth, imageWidth - 1);
+    const landmarkY = Math.min(landmark.y * imageHeight, imageHeight - 1);
+    landmarkPoint.push([landmarkX, landmarkY]);
+  });
+
+  return landmarkPoint;
+};
+
+export const preProcessLandmark = (landmarkList) => {
+  // Deep clone
+  let tempLandmarkList = _.cloneDeep(landmarkList);
+
+  let baseX = 0;
+  let baseY = 0;
+
+  // Convert to relative coordinates (take first landmark as origin)
+  tempLandmarkList.forEach((landmarkPoint, index) => {
+    if (index === 0) {
+      baseX = parseInt(landmarkPoint[0]);
+      baseY = parseInt(landmarkPoint[1]);
+    }
+    tempLandmarkList[index][0] = tempLandmarkList[index][0] - baseX;
+    tempLandmarkList[index][1] = tempLandmarkList[index][1] - baseY;
+  });
+
+  // Flatten into 1D array
+  tempLandmarkList = _.flatten(tempLandmarkList);
+
+  // Normalize so that all values are in [-1, 1]
+  const maxValue = Math.max(...tempLandmarkList.map((v) => Math.abs(v))) || 1;
+  tempLandmarkList = tempLandmarkList.map((v) => v / maxValue);
+
+  return tempLandmarkList;
+};
+
+/**
+ * handpose landmarks ([[x, y, z], ...] in video pixels) → the normalized
+ * { x, y } form calcLandmarkList expects. x is flipped because the classifier
+ * was trained on the mirrored (selfie) view the player sees.
+ */
+export const fromHandposeLandmarks = (landmarks, videoWidth, videoHeight) =>
+  landmarks.map(([x, y]) => ({ x: 1 - x / videoWidth, y: y / videoHeight }));
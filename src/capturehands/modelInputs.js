@@ -0,0 +1,84 @@
+// src/capturehands/modelInputs.js
+
+import * as tf from "@tensorflow/tfjs";
+import { strokeSequenceFeatures, DEFAULT_SEQUENCE_STEPS } from "../drawing/strokeFeatures.js";
+
+export const SIGNATURES = {
+  IMAGE: "image",
+  IMAGE_STROKES: "image+strokes",
+};
+
+/**
+ * Work out which inputs a loaded layers model expects. A rank-4 input is the
+ * [1,28,28,1] image; a rank-3 input is the [1,steps,channels] stroke
+ * sequence. Anything else is rejected so we never feed the wrong tensor.
+ */
+export function inspectModelInputs(model) {
+  const inputs = model.inputs.map((t) => ({ name: t.name, shape: t.shape }));
+  const imageIndex = inputs.findIndex((i) => i.shape.length === 4);
+  const strokeIndex = inputs.findIndex((i) => i.shape.length === 3);
+
+  if (inputs.length === 1 && imageIndex === 0) {
+    return { signature: SIGNATURES.IMAGE, inputs, imageIndex, imageShape: inputs[imageIndex].shape };
+  }
+
+  if (inputs.length === 2 && imageIndex !== -1 && strokeIndex !== -1) {
+    const [, steps, channels] = inputs[strokeIndex].shape;
+    return {
+      signature: SIGNATURES.IMAGE_STROKES,
+      inputs,
+      imageIndex,
+      imageShape: inputs[imageIndex].shape,
+      strokeIndex,
+      sequenceSteps: steps ?? DEFAULT_SEQUENCE_STEPS,
+      sequenceChannels: channels ?? 3,
+    };
+  }
+
+  const shapes = inputs.map((i) => `${i.name}${JSON.stringify(i.shape)}`).join(", ");
+  throw new Error(`Unsupported model inputs: ${shapes}`);
+}
+
+export function describeSignature(info) {
+  return `${info.signature} (${info.inputs
+    .map((i) => `${i.name}: [${i.shape.map((d) => d ?? "?").join(",")}]`)
+    .join(", ")})`;
+}
+
+/**
+ * Tensor(s) to pass to model.predict for this signature. The image comes from
+ * preprocessPixels/preprocessStrokes; strokes may be empty for image-only use.
+ */
+export function buildModelInputs(info, imageInput, strokes = []) {
+  const [, h, w, c] = info.imageShape;
+  const img = tf.tensor4d(imageInput, [1, h, w, c], "float32");
+  if (info.signature !== SIGNATURES.IMAGE_STROKES) return img;
+
+  const { sequenceSteps: steps, sequenceChannels: channels } = info;
+  const seq = tf.tensor3d(
+    strokeSequenceFeatures(strokes, { steps, channels }),
+    [1, steps, channels],
+    "float32"
+  );
+
+  const xs = [];
+  xs[info.imageIndex] = img;
+  xs[info.strokeIndex] = seq;
+  return xs;
+}
+
+/** Number of classes the model's (first) output predicts. */
+export function outputSizeOf(model) {
+  const shape = model.outputs[0].shape;
+  return shape[shape.length - 1];
+}
+
+/** Pixel count of the image input, for a blank warm-up input. */
+export function imageInputLength(info) {
+  const [, h, w, c] = info.imageShape;
+  return h * w * c;
+}
+
+export function disposeModelInputs(x) {
+  (Array.isArray(x) ? x : [x]).forEach((t) => t.dispose());
+}
@@ -0,0 +1,97 @@
+// src/capturehands/modelInputs.test.js
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import * as tf from "@tensorflow/tfjs";
+import {
+  SIGNATURES,
+  buildModelInputs,
+  describeSignature,
+  disposeModelInputs,
+  imageInputLength,
+  inspectModelInputs,
+  outputSizeOf,
+} from "./modelInputs.js";
+import { strokeSequenceFeatures } from "../drawing/strokeFeatures.js";
+import { TOOLS } from "../drawing/strokes.js";
+
+before(async () => {
+  await tf.setBackend("cpu");
+});
+
+// Same layout as the bundled model: one [28, 28, 1] image in
+function imageModel() {
+  const image = tf.input({ shape: [28, 28, 1], name: "input_1" });
+  const out = tf.layers.dense({ units: 5, activation: "softmax" }).apply(tf.layers.flatten().apply(image));
+  return tf.model({ inputs: image, outputs: out });
+}
+
+// Two-branch model; the stroke input comes first to check the input order is kept
+function imageStrokesModel(steps = 20) {
+  const strokes = tf.input({ shape: [steps, 3], name: "strokes" });
+  const image = tf.input({ shape: [28, 28, 1], name: "image" });
+  const merged = tf.layers.concatenate().apply([tf.layers.flatten().apply(strokes), tf.layers.flatten().apply(image)]);
+  const out = tf.layers.dense({ units: 7, activation: "softmax" }).apply(merged);
+  return tf.model({ inputs: [strokes, image], outputs: out });
+}
+
+const blankImage = () => new Float32Array(28 * 28);
+const drawing = [
+  { tool: TOOLS.PEN, points: [{ x: 10, y: 10 }, { x: 60, y: 10 }, { x: 60, y: 40 }] },
+  { tool: TOOLS.PEN, points: [{ x: 20, y: 30 }, { x: 30, y: 30 }] },
+];
+
+test("a single rank-4 input is the image signature", () => {
+  const model = imageModel();
+  const info = inspectModelInputs(model);
+  assert.equal(info.signature, SIGNATURES.IMAGE);
+  assert.equal(info.imageIndex, 0);
+  assert.deepEqual(info.imageShape, [null, 28, 28, 1]);
+  assert.equal(imageInputLength(info), 784);
+  assert.equal(outputSizeOf(model), 5);
+  assert.match(describeSignature(info), /^image \(input_1\S*: \[\?,28,28,1\]\)$/);
+});
+
+test("an image plus a rank-3 sequence is the image+strokes signature", () => {
+  const info = inspectModelInputs(imageStrokesModel(20));
+  assert.equal(info.signature, SIGNATURES.IMAGE_STROKES);
+  assert.equal(info.strokeIndex, 0);
+  assert.equal(info.imageIndex, 1);
+  assert.equal(info.sequenceSteps, 20);
+  assert.equal(info.sequenceChannels, 3);
+});
+
+test("other input layouts are rejected", () => {
+  const flat = tf.input({ shape: [784], name: "flat" });
+  const model = tf.model({ inputs: flat, outputs: tf.layers.dense({ units: 2 }).apply(flat) });
+  assert.throws(() => inspectModelInputs(model), /Unsupported model inputs: flat/);
+});
+
+test("image models get one [1, 28, 28, 1] tensor, whatever the strokes", () => {
+  const model = imageModel();
+  const input = blankImage();
+  input[0] = 1;
+  const x = buildModelInputs(inspectModelInputs(model), input, drawing);
+  try {
+    assert.ok(!Array.isArray(x));
+    assert.deepEqual(x.shape, [1, 28, 28, 1]);
+    assert.equal(x.dataSync()[0], 1);
+    tf.tidy(() => assert.deepEqual(model.predict(x).shape, [1, 5]));
+  } finally {
+    disposeModelInputs(x);
+  }
+});
+
+test("image+strokes models get both tensors in the model's input order", () => {
+  const model = imageStrokesModel(20);
+  const x = buildModelInputs(inspectModelInputs(model), blankImage(), drawing);
+  try {
+    assert.ok(Array.isArray(x));
+    assert.deepEqual(x[0].shape, [1, 20, 3]);
+    assert.deepEqual(x[1].shape, [1, 28, 28, 1]);
+    assert.deepEqual(Array.from(x[0].dataSync()), Array.from(strokeSequenceFeatures(drawing, { steps: 20, channels: 3 })));
+    tf.tidy(() => assert.deepEqual(model.predict(x).shape, [1, 7]));
+  } finally {
+    disposeModelInputs(x);
+  }
+});
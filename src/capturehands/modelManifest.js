@@ -0,0 +1,102 @@
+// src/capturehands/modelManifest.js
+
+/**
+ * /models.json lists the drawing classifiers the app can switch between:
+ *   {
+ *     "default": "<id>",
+ *     "models": [{ id, name, version, path, labels, difficulty?,
+ *                  inputShape: [h, w, c], preprocessing: { padding, inkBoost,
+ *                  alphaThreshold, minInkRatio } }]
+ *   }
+ * The version doubles as the cache-buster for the model, labels and tiers.
+ * The shipped manifest lists the bundled CNN twice, with its usual and with
+ * a tighter crop, so the picker has a real switch to make.
+ */
+
+export const MANIFEST_URL = "/models.json";
+
+export const DEFAULT_PREPROCESSING = {
+  padding: 0.2,
+  inkBoost: 1.2,
+  alphaThreshold: 20,
+  minInkRatio: 0.008,
+};
+
+export function versioned(url, version) {
+  if (!version) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}v=${encodeURIComponent(version)}`;
+}
+
+/** Options for preprocessPixels; minInkRatio is applied by the hook instead. */
+export function pixelOptions(entry) {
+  const { minInkRatio: _minInkRatio, ...options } = entry?.preprocessing ?? {};
+  return options;
+}
+
+export async function fetchManifest(url = MANIFEST_URL) {
+  const res = await fetch(url, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
+  const manifest = await res.json();
+
+  const models = Array.isArray(manifest?.models) ? manifest.models : [];
+  const valid = models.filter((m) => m && m.id && m.path && m.labels);
+  if (valid.length < models.length) {
+    console.warn(`⚠ ${models.length - valid.length} model(s) in ${url} lack id/path/labels`);
+  }
+  if (valid.length === 0) throw new Error(`${url} lists no usable models`);
+
+  const defaultId = valid.some((m) => m.id === manifest.default) ? manifest.default : valid[0].id;
+  return {
+    defaultId,
+    models: valid.map((m) => ({
+      ...m,
+      name: m.name ?? m.id,
+      preprocessing: { ...DEFAULT_PREPROCESSING, ...m.preprocessing },
+    })),
+  };
+}
+
+export async function fetchLabels(entry) {
+  const res = await fetch(versioned(entry.labels, entry.version));
+  if (!res.ok) throw new Error(`Could not load labels for "${entry.id}" (${res.status})`);
+  const labels = await res.json();
+  if (!Array.isArray(labels) || labels.length === 0) {
+    throw new Error(`Labels for "${entry.id}" are not a non-empty array`);
+  }
+  return labels;
+}
+
+/** Difficulty tiers are optional; a missing file just means "all words". */
+export async function fetchDifficultyTiers(entry) {
+  if (!entry.difficulty) return null;
+  try {
+    const res = await fetch(versioned(entry.difficulty, entry.version));
+    if (!res.ok) throw new Error(res.status);
+    return await res.json();
+  } catch {
+    console.warn(`Could not load difficulty tiers for "${entry.id}"; every word is in play`);
+    return null;
+  }
+}
+
+/**
+ * Throw if the loaded model does not match its manifest entry, instead of
+ * silently mislabelling predictions.
+ */
+export function validateModel(entry, { outputSize, imageShape }, labels) {
+  if (outputSize !== labels.length) {
+    throw new Error(
+      `"${entry.id}" outputs ${outputSize} classes but its labels list ${labels.length}`
+    );
+  }
+
+  if (Array.isArray(entry.inputShape) && imageShape) {
+    const actual = imageShape.slice(1);
+    const mismatch = entry.inputShape.some((d, i) => actual[i] != null && actual[i] !== d);
+    if (mismatch) {
+      throw new Error(
+        `"${entry.id}" expects input [${actual.join(",")}] but the manifest says [${entry.inputShape.join(",")}]`
+      );
+    }
+  }
+}
@@ -1,53 +1,163 @@
 import { useCallback, useEffect, useRef } from 'react';
 import { useDrawingClassifier } from './useDrawingClassifier';
+import {
+  StrokeHistory,
+  TOOLS,
+  PEN_WIDTH,
+  ERASER_WIDTH,
+  drawStrokeSegment,
+  renderStrokes,
+  replayStrokes,
+} from '../drawing/strokes';
+import { SHAPE_TOOLS, shapePoints } from '../drawing/shapes';
+import { DEFAULT_SMOOTHING, PointFilter } from '../drawing/filters';
+import { clientToCanvasPoint, getVideoCanvasGeometry, videoToCanvasPoint } from './coordinates';
+
+// The palm erases a wider area than the eraser size
+const PALM_ERASER_SCALE = 2;
+const CLEAR_HOLD_MS = 1200;
+
+// Two fingers down and up again within this time, without dragging, undo
+const TWO_FINGER_TAP_MS = 300;
+// Two fingers held still this long clear the canvas
+const TWO_FINGER_HOLD_MS = 800;
+const TAP_SLOP_PX = 10;
+// PointerEvent button / buttons values of a pen's eraser end or eraser button
+const PEN_ERASER_BUTTON = 5;
+const PEN_ERASER_BUTTONS = 32;
+
+function midpoint(a, b) {
+  return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+}
 
-function useDrawing({ drawCanvasRef, landmarks, gesture, htr_on}) {
-  const ENABLE_HAND_TRACKING = false;
+// Wrist plus the four knuckles: the middle of the hand, steady while fingers move
+function palmCenter(landmarks) {
+  const idx = [0, 5, 9, 13, 17];
+  const sum = idx.reduce((acc, i) => [acc[0] + landmarks[i][0], acc[1] + landmarks[i][1]], [0, 0]);
+  return [sum[0] / idx.length, sum[1] / idx.length];
+}
 
-  const clearOverlay = useCallback(() => {
+function penExtras(velocityWidth) {
+  return velocityWidth ? { dynamics: 'velocity' } : {};
+}
+
+function useDrawing({
+  drawCanvasRef, webcamRef, landmarks, gesture, htr_on, handTool = TOOLS.PEN, pointerTool = TOOLS.PEN,
+  penWidth = PEN_WIDTH, eraserWidth = ERASER_WIDTH, smoothing = DEFAULT_SMOOTHING, velocityWidth = false,
+  onCorrect, autoAdvance = true, readOnly = false,
+}) {
+  const historyRef = useRef(new StrokeHistory());
+  const cancelReplayRef = useRef(null);
+
+  const getContext = useCallback(() => {
     const canvas = drawCanvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!canvas) return null;
+    return canvas.getContext('2d', { willReadFrequently: true });
   }, [drawCanvasRef]);
 
-  const { isModelReady, currentGuess, updateGuess, targetWord, score, correctGuess } = 
-    useDrawingClassifier({ onCorrect: clearOverlay });
+  const stopReplay = useCallback(() => {
+    cancelReplayRef.current?.();
+    cancelReplayRef.current = null;
+  }, []);
 
-  const prevPosRef = useRef({ x: -1, y: -1 });
-  const smoothingBufferRef = useRef([]);
-  const SMOOTHING_BUFFER_SIZE = 3;
-  const MIN_DISTANCE = 2;
-  const isErasingRef = useRef(false);
-  const isDrawingRef = useRef(false);
+  const clearOverlay = useCallback(() => {
+    stopReplay();
+    historyRef.current.clear();
+    const ctx = getContext();
+    if (!ctx) return;
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  }, [getContext, stopReplay]);
+
+  // The outer game gets a chance to read the strokes before they are wiped
+  const handleCorrect = useCallback((word) => {
+    onCorrect?.(word);
+    clearOverlay();
+  }, [clearOverlay, onCorrect]);
+
+  const {
+    isModelReady, models, activeModelId, modelError, selectModel, labels,
+    currentGuess, topGuesses, margin, targetProb, updateGuess: classifyCanvas, targetWord,
+    score, correctGuess, startRound, endRound, configureDeck, getRoundTrace, getGuessSnapshot,
+  } = useDrawingClassifier({ onCorrect: handleCorrect, autoAdvance });
+
+  // Every guess sees the stroke list too, for models with a sequence input
+  const updateGuess = useCallback((canvas) => {
+    classifyCanvas(canvas, historyRef.current.strokes);
+  }, [classifyCanvas]);
+
+  // Stroke smoothing + minimum spacing, one filter per input (see drawing/filters.js)
+  const smoothingRef = useRef(smoothing);
+  const mouseFilterRef = useRef(new PointFilter(smoothing.mouse));
+  const handFilterRef = useRef(new PointFilter(smoothing.hand));
   const lastGuessRef = useRef(0);
   const GUESS_EVERY_MS = 350;
 
-  const getAveragePoint = (points) => {
-    if (points.length === 0) return null;
-    const sum = points.reduce((acc, point) => ({
-      x: acc.x + point.x,
-      y: acc.y + point.y
-    }), { x: 0, y: 0 });
-    return {
-      x: sum.x / points.length,
-      y: sum.y / points.length
-    };
-  };
+  useEffect(() => {
+    smoothingRef.current = smoothing;
+  }, [smoothing]);
 
-  const getDistance = (p1, p2) => {
-    return Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
-  };
+  // Pen strokes thicker when slow, thinner when fast (see drawing/strokes.js)
+  const velocityWidthRef = useRef(velocityWidth);
+  useEffect(() => {
+    velocityWidthRef.current = velocityWidth;
+  }, [velocityWidth]);
 
-  const drawLine = (ctx, fromPoint, toPoint) => {
-    ctx.beginPath();
-    ctx.moveTo(fromPoint.x, fromPoint.y);
-    ctx.lineTo(toPoint.x, toPoint.y);
-    ctx.stroke();
-  };
+  // Toolbox tool for mouse / touch / pen: pen, eraser, fill or a shape
+  const pointerToolRef = useRef(pointerTool);
+  useEffect(() => {
+    pointerToolRef.current = pointerTool;
+  }, [pointerTool]);
 
-  // ✅ MOUSE DRAWING (FIXED)
+  const sizesRef = useRef({ pen: penWidth, eraser: eraserWidth });
+  useEffect(() => {
+    sizesRef.current = { pen: penWidth, eraser: eraserWidth };
+  }, [penWidth, eraserWidth]);
+
+  // ─── Undo / redo / replay over the stroke list ───
+  const redraw = useCallback(() => {
+    const ctx = getContext();
+    if (!ctx) return;
+    renderStrokes(ctx, historyRef.current.strokes);
+    if (isModelReady) updateGuess(ctx.canvas);
+  }, [getContext, isModelReady, updateGuess]);
+
+  const undo = useCallback(() => {
+    stopReplay();
+    if (historyRef.current.undo()) redraw();
+  }, [redraw, stopReplay]);
+
+  const redo = useCallback(() => {
+    stopReplay();
+    if (historyRef.current.redo()) redraw();
+  }, [redraw, stopReplay]);
+
+  const getStrokes = useCallback(() => historyRef.current.snapshot(), []);
+
+  // Put a stroke list on the canvas and let the classifier guess at it
+  const loadStrokes = useCallback((strokes) => {
+    stopReplay();
+    historyRef.current.load(strokes);
+    redraw();
+  }, [redraw, stopReplay]);
+
+  const replay = useCallback((strokes = historyRef.current.strokes, options) => {
+    const ctx = getContext();
+    if (!ctx) return;
+    stopReplay();
+    cancelReplayRef.current = replayStrokes(ctx, strokes, options);
+  }, [getContext, stopReplay]);
+
+  useEffect(() => stopReplay, [stopReplay]);
+
+  // ✅ POINTER DRAWING (mouse, touch, pen) – off while the hand is the input
+  // (and, like hand drawing, while readOnly: the canvas is showing a replay)
+  // One finger / the pen / the left button uses the toolbox tool. Right click
+  // and a pen's eraser button erase. Two fingers tapped together undo, held
+  // still for TWO_FINGER_HOLD_MS they clear. Shapes follow the drag (Shift
+  // for circles / 45° lines); a fill happens on press.
   useEffect(() => {
+    if (htr_on || readOnly) return;
+
     const canvas = drawCanvasRef.current;
     if (!canvas) {
       console.warn("⚠ drawCanvasRef is null");
@@ -61,98 +171,155 @@ function useDrawing({ drawCanvasRef, landmarks, gesture, htr_on}) {
 
     console.log("✓ Drawing canvas confirmed:", canvas);
     const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+
+    const history = historyRef.current;
+    const touches = new Map(); // pointerId → where that finger went down
+    let activePointerId = null;
+    let multiTouch = null;
+    let shapeStart = null;
+
+    const getPoint = (e) => {
+      const point = { ...clientToCanvasPoint(e.clientX, e.clientY, canvas), t: Date.now() };
+      // Only pens report real pressure; mice and most touchscreens fake 0.5
+      if (e.pointerType === 'pen' && e.pressure > 0) point.p = e.pressure;
+      return point;
+    };
 
-    // Set drawing context properties ONCE at setup
-    const setupDrawingContext = () => {
-      ctx.globalCompositeOperation = 'source-over';
-      ctx.strokeStyle = '#000000';
-      ctx.lineWidth = 10;
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
+    const toolFor = (e) => {
+      if (e.pointerType === 'pen' && (e.button === PEN_ERASER_BUTTON || e.buttons & PEN_ERASER_BUTTONS)) {
+        return TOOLS.ERASER;
+      }
+      if (e.pointerType === 'mouse' && e.button === 2) return TOOLS.ERASER;
+      return pointerToolRef.current;
     };
 
-    const handleMouseDown = (e) => {
-      if (e.button === 0) {
-        setupDrawingContext();
-        lastGuessRef.current = 0;
-        isDrawingRef.current = true;
-        const rect = canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        prevPosRef.current = { x, y };
-        smoothingBufferRef.current = [{ x, y }];
-        
-        // Start path at first point
-        ctx.beginPath();
-        ctx.moveTo(x, y);
-      } else if (e.button === 2) {
-        isErasingRef.current = true;
+    const maybeGuess = () => {
+      const now = Date.now();
+      if (isModelReady && now - lastGuessRef.current > GUESS_EVERY_MS) {
+        lastGuessRef.current = now;
+        updateGuess(canvas);
       }
     };
 
-    const handleMouseUp = (e) => {
-      if (e.button === 0) {
-        ctx.stroke();  // Finalize the path
-        isDrawingRef.current = false;
-        if (isModelReady) {
-          updateGuess(canvas);
-        }
-      } else if (e.button === 2) {
-        isErasingRef.current = false;
-        if (isModelReady) updateGuess(canvas);
+    // A second finger turns the touch into a gesture: drop what the first one drew
+    const startMultiTouch = () => {
+      if (activePointerId !== null) {
+        history.cancel();
+        activePointerId = null;
+        redraw();
       }
+      const gesture = { start: Date.now(), moved: false, cleared: false };
+      gesture.timer = setTimeout(() => {
+        if (gesture.moved) return;
+        gesture.cleared = true;
+        clearOverlay();
+      }, TWO_FINGER_HOLD_MS);
+      multiTouch = gesture;
     };
 
-    const handleMouseMove = (e) => {
-      const rect = canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
+    const endMultiTouch = () => {
+      clearTimeout(multiTouch.timer);
+      const isTap = !multiTouch.moved && !multiTouch.cleared && Date.now() - multiTouch.start < TWO_FINGER_TAP_MS;
+      multiTouch = null;
+      if (isTap) undo();
+    };
 
-      if (isDrawingRef.current) {
-        setupDrawingContext();
+    const handlePointerDown = (e) => {
+      if (e.pointerType === 'touch') {
+        touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (touches.size === 2 && !multiTouch) startMultiTouch();
+        if (multiTouch || touches.size > 1) return;
+      } else if (e.button !== 0 && e.button !== 2 && e.button !== PEN_ERASER_BUTTON) {
+        return;
+      }
+      if (activePointerId !== null) return;
 
-        const now = Date.now();
-        if (isModelReady && now - lastGuessRef.current > GUESS_EVERY_MS) {
-          lastGuessRef.current = now;
-          updateGuess(canvas);
-        }
+      e.preventDefault();
+      stopReplay();
+      lastGuessRef.current = 0;
+
+      const tool = toolFor(e);
+      const point = getPoint(e);
+      const sizes = sizesRef.current;
+
+      if (tool === TOOLS.FILL) {
+        const stroke = history.begin(TOOLS.FILL, 0, point);
+        history.end();
+        drawStrokeSegment(ctx, stroke);
+        if (isModelReady) updateGuess(canvas);
+        return;
+      }
+
+      canvas.setPointerCapture(e.pointerId);
+      activePointerId = e.pointerId;
+
+      let stroke;
+      if (tool === SHAPE_TOOLS.LINE || tool === SHAPE_TOOLS.ELLIPSE) {
+        shapeStart = point;
+        stroke = history.begin(TOOLS.PEN, sizes.pen, point, { shape: tool });
+      } else if (tool === TOOLS.ERASER) {
+        stroke = history.begin(TOOLS.ERASER, sizes.eraser, point);
+      } else {
+        mouseFilterRef.current.configure(smoothingRef.current.mouse);
+        mouseFilterRef.current.filter(point);
+        stroke = history.begin(TOOLS.PEN, sizes.pen, point, penExtras(velocityWidthRef.current));
+      }
+      drawStrokeSegment(ctx, stroke);
+    };
 
-        // Add to smoothing buffer
-        smoothingBufferRef.current.push({ x, y });
-        if (smoothingBufferRef.current.length > SMOOTHING_BUFFER_SIZE) {
-          smoothingBufferRef.current.shift();
+    const handlePointerUp = (e) => {
+      if (e.pointerType === 'touch') {
+        touches.delete(e.pointerId);
+        if (multiTouch) {
+          if (touches.size === 0) endMultiTouch();
+          return;
         }
+      }
+      if (e.pointerId !== activePointerId) return;
+      activePointerId = null;
+      shapeStart = null;
+      if (!history.end()) return;
+      if (isModelReady) updateGuess(canvas);
+    };
+
+    const handlePointerMove = (e) => {
+      if (multiTouch) {
+        const down = touches.get(e.pointerId);
+        if (down && Math.hypot(e.clientX - down.x, e.clientY - down.y) > TAP_SLOP_PX) multiTouch.moved = true;
+        return;
+      }
+      if (e.pointerId !== activePointerId || !history.isStroking) return;
+      const { tool, shape } = history.activeStroke;
+      const isPen = tool === TOOLS.PEN;
+
+      maybeGuess();
+
+      // The shape so far is replaced on every move, so repaint everything
+      if (shape) {
+        history.setPoints(shapePoints(shape, shapeStart, getPoint(e), { constrain: e.shiftKey }));
+        renderStrokes(ctx, history.strokes);
+        return;
+      }
 
-        // Get smoothed point
-        const smoothedPoint = getAveragePoint(smoothingBufferRef.current);
-        if (!smoothedPoint) return;
-
-        // Only draw if we've moved far enough
-        if (prevPosRef.current.x === -1) {
-          // First point - already moved with beginPath/moveTo in mouseDown
-          prevPosRef.current = smoothedPoint;
-        } else {
-          const distance = getDistance(prevPosRef.current, smoothedPoint);
-          if (distance >= MIN_DISTANCE) {
-            // Draw line and continue path
-            ctx.lineTo(smoothedPoint.x, smoothedPoint.y);
-            ctx.stroke();
-            prevPosRef.current = smoothedPoint;
-          }
+      // Pens and touchscreens report faster than once per frame; keep every sample
+      const events = e.getCoalescedEvents?.() ?? [];
+      for (const ev of events.length > 0 ? events : [e]) {
+        const point = getPoint(ev);
+
+        // Erasing follows the raw pointer; the pen is smoothed
+        if (!isPen) {
+          const stroke = history.addPoint(point);
+          drawStrokeSegment(ctx, stroke, stroke.points.length - 1);
+          continue;
         }
-      } else if (isErasingRef.current) {
-        ctx.globalCompositeOperation = 'destination-out';
-        ctx.beginPath();
-        ctx.arc(x, y, 25, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.globalCompositeOperation = 'source-over';
-
-        const now = Date.now();
-        if (isModelReady && now - lastGuessRef.current > GUESS_EVERY_MS) {
-          lastGuessRef.current = now;
-          updateGuess(canvas);
+
+        // Smoothed point, or null until we've moved far enough
+        const smoothedPoint = mouseFilterRef.current.filter(point);
+        if (smoothedPoint) {
+          const stroke = history.addPoint(smoothedPoint);
+          drawStrokeSegment(ctx, stroke, stroke.points.length - 1);
         }
       }
     };
@@ -161,92 +328,153 @@ function useDrawing({ drawCanvasRef, landmarks, gesture, htr_on}) {
       e.preventDefault();
     };
 
-    canvas.addEventListener('mousedown', handleMouseDown);
-    canvas.addEventListener('mouseup', handleMouseUp);
-    canvas.addEventListener('mousemove', handleMouseMove);
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+    canvas.addEventListener('pointermove', handlePointerMove);
     canvas.addEventListener('contextmenu', handleContextMenu);
 
     return () => {
-      canvas.removeEventListener('mousedown', handleMouseDown);
-      canvas.removeEventListener('mouseup', handleMouseUp);
-      canvas.removeEventListener('mousemove', handleMouseMove);
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointerup', handlePointerUp);
+      canvas.removeEventListener('pointercancel', handlePointerUp);
+      canvas.removeEventListener('pointermove', handlePointerMove);
       canvas.removeEventListener('contextmenu', handleContextMenu);
+      if (multiTouch) clearTimeout(multiTouch.timer);
+      history.end();
     };
-  }, [drawCanvasRef, isModelReady, updateGuess]);
+  }, [drawCanvasRef, htr_on, readOnly, isModelReady, updateGuess, stopReplay, redraw, undo, clearOverlay]);
 
-  // ✅ HAND TRACKING DRAWING (minimal changes for consistency)
-  useEffect(() => {
-    // ✅ Disable hand tracking if toggle is off
-    if (!ENABLE_HAND_TRACKING) return;
+  // ✅ HAND TRACKING DRAWING
+  // Index finger draws, a pinch or open palm erases under the hand, and holding
+  // several fingers up for CLEAR_HOLD_MS wipes the canvas.
+  const handToolRef = useRef(null);
+  const clearHoldStartRef = useRef(null);
+  const clearHoldDoneRef = useRef(false);
 
+  /** 0–1 while the clear gesture is being held, for on-screen feedback. */
+  const getClearHoldProgress = useCallback(() => {
+    if (clearHoldStartRef.current === null) return 0;
+    return Math.min(1, (Date.now() - clearHoldStartRef.current) / CLEAR_HOLD_MS);
+  }, []);
+
+  useEffect(() => {
     const canvas = drawCanvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext('2d', { willReadFrequently: true });
     if (!ctx) return;
 
-    if (!landmarks || gesture === "Idle") {
-      prevPosRef.current = { x: -1, y: -1 };
-      smoothingBufferRef.current = [];
-      return;
+    const history = historyRef.current;
+
+    const endHandStroke = () => {
+      if (handToolRef.current) {
+        history.end();
+        if (isModelReady) updateGuess(canvas);
+      }
+      handToolRef.current = null;
+    };
+
+    if (gesture !== "MultipleFingersUp" || !landmarks || !htr_on) {
+      clearHoldStartRef.current = null;
+      clearHoldDoneRef.current = false;
     }
 
-    let x, y;
+    const videoEl = webcamRef?.current?.video;
+    if (!htr_on || readOnly || !landmarks || !videoEl?.videoWidth) {
+      endHandStroke();
+      return;
+    }
 
-    if (gesture === "PointerUp" && htr_on) {
-      const rawTip = landmarks[8];
-      x = canvas.width - rawTip[0];
-      y = rawTip[1];
+    const geometry = getVideoCanvasGeometry(videoEl, canvas);
 
-      ctx.globalCompositeOperation = 'source-over';
-      ctx.strokeStyle = '#000000';
-      ctx.lineWidth = 10;
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
+    if (gesture === "MultipleFingersUp") {
+      endHandStroke();
+      if (clearHoldDoneRef.current) return;
 
-      smoothingBufferRef.current.push({ x, y });
-      if (smoothingBufferRef.current.length > SMOOTHING_BUFFER_SIZE) {
-        smoothingBufferRef.current.shift();
+      const now = Date.now();
+      if (clearHoldStartRef.current === null) {
+        clearHoldStartRef.current = now;
+      } else if (now - clearHoldStartRef.current >= CLEAR_HOLD_MS) {
+        // Fire once per hold; the hand has to change gesture to clear again
+        clearHoldStartRef.current = null;
+        clearHoldDoneRef.current = true;
+        clearOverlay();
       }
+      return;
+    }
 
-      const smoothedPoint = getAveragePoint(smoothingBufferRef.current);
-      if (!smoothedPoint) return;
+    const sizes = sizesRef.current;
+    let tool, width, target;
+    if (gesture === "PointerUp") {
+      // The other hand can switch the fingertip to the eraser
+      tool = handTool;
+      width = handTool === TOOLS.ERASER ? sizes.eraser : sizes.pen;
+      target = landmarks[8];
+    } else if (gesture === "PinchClose") {
+      tool = TOOLS.ERASER;
+      width = sizes.eraser;
+      target = midpoint(landmarks[4], landmarks[8]);
+    } else if (gesture === "OpenHand") {
+      tool = TOOLS.ERASER;
+      width = sizes.eraser * PALM_ERASER_SCALE;
+      target = palmCenter(landmarks);
+    } else {
+      endHandStroke();
+      return;
+    }
 
-      if (prevPosRef.current.x === -1) {
-        prevPosRef.current = smoothedPoint;
-        ctx.beginPath();
-        ctx.moveTo(smoothedPoint.x, smoothedPoint.y);
-        ctx.lineTo(smoothedPoint.x + 0.1, smoothedPoint.y + 0.1);
-        ctx.stroke();
-      } else {
-        const distance = getDistance(prevPosRef.current, smoothedPoint);
-        if (distance >= MIN_DISTANCE) {
-          ctx.beginPath();
-          ctx.moveTo(prevPosRef.current.x, prevPosRef.current.y);
-          ctx.lineTo(smoothedPoint.x, smoothedPoint.y);
-          ctx.stroke();
-          prevPosRef.current = smoothedPoint;
-        }
-      }
+    if (handToolRef.current && handToolRef.current !== tool) endHandStroke();
 
-      const now = Date.now();
-      if (isModelReady && now - lastGuessRef.current > GUESS_EVERY_MS) {
-        lastGuessRef.current = now;
-        updateGuess(canvas);
-      }
+    const handFilter = handFilterRef.current;
+    const raw = { ...videoToCanvasPoint(target, geometry), t: Date.now() };
+
+    if (!handToolRef.current) {
+      stopReplay();
+      handToolRef.current = tool;
+      handFilter.configure(smoothingRef.current.hand);
+      const extras = tool === TOOLS.PEN ? penExtras(velocityWidthRef.current) : {};
+      drawStrokeSegment(ctx, history.begin(tool, width, handFilter.filter(raw), extras));
     } else {
-      if (htr_on){
-        prevPosRef.current = { x: -1, y: -1 };
-        smoothingBufferRef.current = [];
+      const point = handFilter.filter(raw);
+      if (point) {
+        const stroke = history.addPoint(point);
+        drawStrokeSegment(ctx, stroke, stroke.points.length - 1);
       }
     }
-  }, [drawCanvasRef, landmarks, gesture, isModelReady, updateGuess]);
+
+    const now = Date.now();
+    if (isModelReady && now - lastGuessRef.current > GUESS_EVERY_MS) {
+      lastGuessRef.current = now;
+      updateGuess(canvas);
+    }
+  }, [drawCanvasRef, webcamRef, landmarks, gesture, htr_on, readOnly, handTool, isModelReady, updateGuess, stopReplay, clearOverlay]);
 
   return {
+    isModelReady,
+    models,
+    activeModelId,
+    modelError,
+    selectModel,
+    labels,
     currentGuess,
+    topGuesses,
+    margin,
+    targetProb,
     targetWord,
     score,
     correctGuess,
     clearOverlay,
+    startRound,
+    endRound,
+    configureDeck,
+    getRoundTrace,
+    getGuessSnapshot,
+    undo,
+    redo,
+    getStrokes,
+    loadStrokes,
+    replay,
+    getClearHoldProgress,
   };
 }
 
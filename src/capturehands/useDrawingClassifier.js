@@ -1,31 +1,89 @@
 import { useState, useRef, useEffect, useCallback } from "react";
 import * as tf from "@tensorflow/tfjs";
-
-const CATEGORIES = [
-  "apple", "banana", "bicycle", "butterfly", "cake",
-  "camera", "car", "chair", "crown", "donut",
-  "door", "flower", "house", "ice cream", "key",
-  "lightning", "mountain", "pizza", "star"
-];
-
-const LABELS_URL = `/model_js/labels.json?v=${Date.now()}`;
-const MODEL_URL = `/model_js/model.json?v=${Date.now()}`;
-
-const EMA_ALPHA = 0.3;
+import { WordDeck } from "../game/wordDeck";
+import { preprocessPixels } from "../drawing/preprocess";
+import { ClassifierWorkerClient, supportsClassifierWorker } from "./classifierWorkerClient";
+import {
+  inspectModelInputs,
+  describeSignature,
+  buildModelInputs,
+  disposeModelInputs,
+  outputSizeOf,
+  imageInputLength,
+} from "./modelInputs";
+import {
+  fetchManifest,
+  fetchLabels,
+  fetchDifficultyTiers,
+  validateModel,
+  versioned,
+  pixelOptions,
+} from "./modelManifest";
+import { GuessScorer } from "./guessScoring";
+
+const TOP_K = 5;
 const SHOW_MODEL_VIEW = false;
-
-export function useDrawingClassifier({ onCorrect } = {}) {
+const USE_WORKER = true;
+
+/**
+ * Debug overlay: paint the 28×28 model input in the bottom-right corner.
+ */
+function showModelView(input) {
+  const size = Math.round(Math.sqrt(input.length));
+  let debugC = document.getElementById("model-debug-preview");
+  if (!debugC) {
+    debugC = document.createElement("canvas");
+    debugC.id = "model-debug-preview";
+    debugC.width = size;
+    debugC.height = size;
+    debugC.style.cssText = "position:fixed;right:10px;bottom:10px;width:140px;height:140px;z-index:9999;border:2px solid lime;background:#fff;image-rendering:pixelated;";
+    document.body.appendChild(debugC);
+  }
+  const dCtx = debugC.getContext("2d");
+  if (debugC.width !== size) {
+    debugC.width = size;
+    debugC.height = size;
+  }
+  const dImg = dCtx.createImageData(size, size);
+  for (let i = 0; i < size * size; i++) {
+    const p = input[i] * 255;
+    dImg.data[i * 4] = p;
+    dImg.data[i * 4 + 1] = p;
+    dImg.data[i * 4 + 2] = p;
+    dImg.data[i * 4 + 3] = 255;
+  }
+  dCtx.putImageData(dImg, 0, 0);
+}
+
+/**
+ * autoAdvance: when true (default) the hook starts a round as soon as the
+ * model is loaded and picks the next word 800ms after a correct guess.
+ * Pass false when an outer game loop drives startRound/endRound itself.
+ */
+export function useDrawingClassifier({ onCorrect, autoAdvance = true } = {}) {
   const modelRef = useRef(null);
-  const labelsRef = useRef(CATEGORIES);
-  const initializedRef = useRef(false);
+  const workerRef = useRef(null);
+  const modelInfoRef = useRef(null);
+  const labelsRef = useRef([]);
+  const modelEntryRef = useRef(null);
+  const readyRef = useRef(false);
+  const loadTokenRef = useRef(0);
+  const backendReadyRef = useRef(false);
+  const workerTriedRef = useRef(false);
   const isPredictingRef = useRef(false);
   const predictTimeoutRef = useRef(null);
   const targetWordRef = useRef("");
   const hasScoredRef = useRef(false);
-  const correctStreakRef = useRef(0);
-  const emaRef = useRef(null);
+  // EMA + streak state deciding when the target counts as guessed
+  const scorerRef = useRef(new GuessScorer());
+  const tiersRef = useRef(null);
+  const deckOptionsRef = useRef({});
+  const deckRef = useRef(new WordDeck([]));
+  // Every guess of the current round, for the analytics log (see getRoundTrace)
+  const traceRef = useRef({ target: "", startedAt: 0, steps: [], scoredBy: null });
+  // Smoothed probabilities behind the latest guess, null for a blank canvas
+  const lastProbsRef = useRef(null);
 
-  const STREAK_TO_SCORE = 2;
   const norm = (s) => (s ?? "").toLowerCase().trim();
 
   const onCorrectRef = useRef(null);
@@ -33,180 +91,309 @@ export function useDrawingClassifier({ onCorrect } = {}) {
     onCorrectRef.current = typeof onCorrect === "function" ? onCorrect : null;
   }, [onCorrect]);
 
+  const autoAdvanceRef = useRef(autoAdvance);
+  useEffect(() => {
+    autoAdvanceRef.current = autoAdvance;
+  }, [autoAdvance]);
+
   const [isModelReady, setIsModelReady] = useState(false);
+  // Entries from /models.json, the one in use, and why loading failed (if it did)
+  const [models, setModels] = useState([]);
+  const [activeModelId, setActiveModelId] = useState(null);
+  const [modelError, setModelError] = useState(null);
   const [currentGuess, setCurrentGuess] = useState("AI GUESSES: …");
   const [targetWord, setTargetWord] = useState("");
+  const [labels, setLabels] = useState([]);
   const [score, setScore] = useState(0);
   const [correctGuess, setCorrectGuess] = useState(false);
+  // Top TOP_K labels from the smoothed (EMA) probabilities, best first
+  const [topGuesses, setTopGuesses] = useState([]);
+  const [topMargin, setTopMargin] = useState(0);
+  // Smoothed probability of the target word (0 when the model doesn't know it)
+  const [targetProb, setTargetProb] = useState(0);
+
+  const resetGuesses = useCallback(() => {
+    lastProbsRef.current = null;
+    setCurrentGuess("AI GUESSES: …");
+    setTopGuesses([]);
+    setTopMargin(0);
+    setTargetProb(0);
+  }, []);
+
+  const rebuildDeck = useCallback(() => {
+    deckRef.current = new WordDeck(labelsRef.current, {
+      ...deckOptionsRef.current,
+      tiers: tiersRef.current,
+    });
+  }, []);
+
+  /**
+   * Start a fresh deck: { seed, difficulty }. The same seed deals the same
+   * word sequence; difficulty is a tier name from difficulty.json or "all".
+   */
+  const configureDeck = useCallback(({ seed, difficulty } = {}) => {
+    deckOptionsRef.current = { seed, difficulty };
+    rebuildDeck();
+  }, [rebuildDeck]);
 
   const randomWord = useCallback(() => {
-    const idx = Math.floor(Math.random() * CATEGORIES.length);
-    const picked = CATEGORIES[idx];
+    const picked = deckRef.current.draw();
     targetWordRef.current = picked;
     hasScoredRef.current = false;
     setTargetWord(picked);
     return picked;
   }, []);
 
-  const startRound = useCallback(() => {
-    emaRef.current = null;
-    correctStreakRef.current = 0;
+  const pickWord = useCallback((word) => {
+    const label = labelsRef.current.find((l) => norm(l) === norm(word));
+    if (!label) {
+      console.warn(`⚠ "${word}" is not a label of this model; dealing a word instead`);
+      return randomWord();
+    }
+    targetWordRef.current = label;
     hasScoredRef.current = false;
-    setCorrectGuess(false);
-    setCurrentGuess("AI GUESSES: …");
-    randomWord();
+    setTargetWord(label);
+    return label;
   }, [randomWord]);
 
-  useEffect(() => {
-    if (initializedRef.current) return;
-    initializedRef.current = true;
+  /**
+   * Start a round on the next word of the deck, or on `word` when given
+   * (e.g. dealt by the other player of an online game).
+   */
+  const startRound = useCallback((forcedWord) => {
+    scorerRef.current.reset();
+    hasScoredRef.current = false;
+    setCorrectGuess(false);
+    resetGuesses();
+    const word = forcedWord ? pickWord(forcedWord) : randomWord();
+    traceRef.current = { target: word, startedAt: Date.now(), steps: [], scoredBy: null };
+    return word;
+  }, [randomWord, pickWord, resetGuesses]);
+
+  /**
+   * The current round's guesses so far:
+   *   { target, modelId, scoredBy: "streak" | "confidence" | null,
+   *     steps: [{ t, guess, prob, margin, targetProb, streak }] }
+   * with t in ms since the round started and probabilities after the EMA.
+   */
+  const getRoundTrace = useCallback(() => {
+    const { startedAt: _startedAt, steps, ...trace } = traceRef.current;
+    return { ...trace, modelId: modelEntryRef.current?.id ?? null, steps: steps.map((step) => ({ ...step })) };
+  }, []);
 
-    let cancelled = false;
+  /**
+   * Every label with its smoothed probability as of the latest guess, best
+   * first: [{ label, prob }]. Empty while the canvas is blank.
+   */
+  const getGuessSnapshot = useCallback(() => {
+    const probs = lastProbsRef.current;
+    if (!probs) return [];
+    return labelsRef.current
+      .map((label, i) => ({ label, prob: probs[i] ?? 0 }))
+      .sort((a, b) => b.prob - a.prob);
+  }, []);
 
-    (async () => {
-      console.log("Loading model...");
+  // Stop scoring for the current word (e.g. the round timer ran out).
+  const endRound = useCallback(() => {
+    hasScoredRef.current = true;
+    scorerRef.current.resetStreak();
+    if (predictTimeoutRef.current) {
+      clearTimeout(predictTimeoutRef.current);
+      predictTimeoutRef.current = null;
+    }
+  }, []);
 
-      await tf.setBackend("webgl");
-      await tf.ready();
-      console.log("TensorFlow backend:", tf.getBackend());
+  const ensureMainThreadBackend = async () => {
+    if (backendReadyRef.current) return;
+    await tf.setBackend("webgl");
+    await tf.ready();
+    backendReadyRef.current = true;
+    console.log("TensorFlow backend:", tf.getBackend());
+  };
 
-      const model = await tf.loadLayersModel(MODEL_URL);
-      if (cancelled) return;
+  /**
+   * Load (or swap to) a manifest entry. The previous model is disposed, the
+   * EMA state is reset and the word deck is rebuilt from the new labels. A
+   * label count that does not match the model output is reported through
+   * modelError and leaves the classifier not ready.
+   */
+  const loadModel = useCallback(async (entry) => {
+    const token = ++loadTokenRef.current;
+    const isStale = () => token !== loadTokenRef.current;
+
+    console.log(`Loading model "${entry.id}" v${entry.version ?? "?"}...`);
+    readyRef.current = false;
+    setIsModelReady(false);
+    setModelError(null);
+    if (predictTimeoutRef.current) {
+      clearTimeout(predictTimeoutRef.current);
+      predictTimeoutRef.current = null;
+    }
 
-      try {
-        const res = await fetch(LABELS_URL);
-        const labels = await res.json();
-        if (Array.isArray(labels) && labels.length > 0) {
-          labelsRef.current = labels;
-          console.log("Loaded labels.json:", labels.length, "categories");
-        } else {
-          console.warn("labels.json invalid; using fallback CATEGORIES");
+    modelRef.current?.dispose();
+    modelRef.current = null;
+    modelInfoRef.current = null;
+
+    const modelUrl = versioned(entry.path, entry.version);
+
+    try {
+      const [labels, tiers] = await Promise.all([
+        fetchLabels(entry),
+        fetchDifficultyTiers(entry),
+      ]);
+
+      // Prefer the worker so predict() never blocks the draw loop. It is
+      // tried once; if it cannot load the first model we stay on the main thread.
+      let res = null;
+      if (!workerTriedRef.current) {
+        workerTriedRef.current = true;
+        if (USE_WORKER && supportsClassifierWorker()) {
+          const worker = new ClassifierWorkerClient();
+          try {
+            res = await worker.load(modelUrl, pixelOptions(entry));
+            workerRef.current = worker;
+          } catch (e) {
+            console.warn("Classifier worker failed; running on main thread:", e);
+            worker.terminate();
+          }
+        }
+      } else if (workerRef.current) {
+        res = await workerRef.current.load(modelUrl, pixelOptions(entry));
+      }
+
+      let loaded = null;
+      if (res) {
+        console.log("Classifier worker ready, backend:", res.backend, "inputs:", res.signature);
+        loaded = { signature: res.signature, imageShape: res.imageShape, outputSize: res.outputSize };
+      }
+
+      let model = null;
+      let info = null;
+      if (!workerRef.current) {
+        await ensureMainThreadBackend();
+        model = await tf.loadLayersModel(modelUrl);
+        try {
+          info = inspectModelInputs(model);
+        } catch (e) {
+          model.dispose();
+          throw e;
         }
+        console.log("Model inputs:", describeSignature(info));
+        loaded = { signature: info.signature, imageShape: info.imageShape, outputSize: outputSizeOf(model) };
+      }
+
+      if (isStale()) {
+        model?.dispose();
+        return;
+      }
+
+      try {
+        validateModel(entry, loaded, labels);
       } catch (e) {
-        console.warn("Could not load labels.json; using fallback CATEGORIES");
+        model?.dispose();
+        throw e;
+      }
+
+      if (model) {
+        tf.tidy(() => {
+          const x = buildModelInputs(info, new Float32Array(imageInputLength(info)));
+          const out = model.predict(x);
+          out.dispose?.();
+        });
       }
 
       modelRef.current = model;
+      modelInfoRef.current = info;
+      modelEntryRef.current = entry;
+      labelsRef.current = labels;
+      setLabels(labels);
+      tiersRef.current = tiers;
+      console.log("Loaded labels:", labels.length, "categories");
+
+      scorerRef.current.reset();
+      resetGuesses();
+      rebuildDeck();
+
+      setActiveModelId(entry.id);
+      readyRef.current = true;
       setIsModelReady(true);
 
-      tf.tidy(() => {
-        const img = tf.zeros([1, 28, 28, 1], "float32");
-        const out = model.predict(img);
-        out.dispose?.();
-      });
+      if (autoAdvanceRef.current) startRound();
+
+      console.log(`Model "${entry.id}" loaded successfully`);
+    } catch (e) {
+      if (isStale()) return;
+      console.error("Model initialization failed:", e);
+      setModelError(e.message);
+    }
+  }, [startRound, rebuildDeck, resetGuesses]);
 
-      startRound();
+  const selectModel = useCallback((id) => {
+    const entry = models.find((m) => m.id === id);
+    if (entry) loadModel(entry);
+  }, [models, loadModel]);
 
-      console.log("Model loaded successfully");
-    })().catch((e) => console.error("Model initialization failed:", e));
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      const manifest = await fetchManifest();
+      if (cancelled) return;
+      setModels(manifest.models);
+      const entry = manifest.models.find((m) => m.id === manifest.defaultId);
+      await loadModel(entry);
+    })().catch((e) => {
+      console.error("Model manifest failed:", e);
+      setModelError(e.message);
+    });
 
     return () => {
       cancelled = true;
     };
-  }, [startRound]);
+  }, [loadModel]);
+
+  useEffect(() => () => {
+    loadTokenRef.current++;
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    modelRef.current?.dispose();
+    modelRef.current = null;
+  }, []);
+
+  /**
+   * Run the model on the canvas → { probs, inkRatio, input }, in the worker
+   * when there is one. probs is null for a blank canvas. strokes feed the
+   * sequence branch of two-input models and are ignored otherwise.
+   */
+  async function classify(canvasEl, strokes) {
+    const worker = workerRef.current;
+    if (worker) {
+      const bitmap = await createImageBitmap(canvasEl);
+      return worker.predictBitmap(bitmap, strokes);
+    }
 
-  function preprocessInput(canvasEl) {
     const W = canvasEl.width;
     const H = canvasEl.height;
     const ctx = canvasEl.getContext("2d", { willReadFrequently: true });
     const data = ctx.getImageData(0, 0, W, H).data;
-    let minX = W, minY = H, maxX = -1, maxY = -1;
-    let hasInk = false;
-
-    for (let y = 0; y < H; y++) {
-      for (let x = 0; x < W; x++) {
-        const alpha = data[(y * W + x) * 4 + 3];
-        if (alpha > 20) { 
-          hasInk = true;
-          if (x < minX) minX = x;
-          if (y < minY) minY = y;
-          if (x > maxX) maxX = x;
-          if (y > maxY) maxY = y;
-        }
-      }
-    }
-
-    if (!hasInk) {
-      return { xImg: tf.zeros([1, 28, 28, 1], "float32"), inkRatio: 0 };
-    }
-
-    const bW = maxX - minX + 1;
-    const bH = maxY - minY + 1;
-    const maxDim = Math.max(bW, bH);
-    const padding = maxDim * 0.2;
-    const size = maxDim + padding;
-
-    const tmpC = document.createElement("canvas");
-    tmpC.width = 28;
-    tmpC.height = 28;
-    const tmpCtx = tmpC.getContext("2d");
-
-    tmpCtx.fillStyle = "white";
-    tmpCtx.fillRect(0, 0, 28, 28);
-
-    
-    const scale = 28 / size;
-    const dW = bW * scale;
-    const dH = bH * scale;
-    const dX = (28 - dW) / 2;
-    const dY = (28 - dH) / 2;
-
-    tmpCtx.imageSmoothingEnabled = false;
-    tmpCtx.drawImage(canvasEl, minX, minY, bW, bH, dX, dY, dW, dH);
-
-    
-    const imgData = tmpCtx.getImageData(0, 0, 28, 28).data;
-    const floatArr = new Float32Array(28 * 28);
-    let inkPixels = 0;
-
-    for (let i = 0; i < 28 * 28; i++) {
-      
-      const gray = imgData[i * 4]; 
-
-      
-      let val = 1.0 - (gray / 255.0);
-
-      
-      if (val > 0.0) {
-        val = Math.min(1.0, val * 1.2);
-      }
-
-      floatArr[i] = val;
-      if (val > 0.05) inkPixels++;
-    }
-
-    
-    if (SHOW_MODEL_VIEW) {
-      let debugC = document.getElementById("model-debug-preview");
-      if (!debugC) {
-        debugC = document.createElement("canvas");
-        debugC.id = "model-debug-preview";
-        debugC.width = 28;
-        debugC.height = 28;
-        debugC.style.cssText = "position:fixed;right:10px;bottom:10px;width:140px;height:140px;z-index:9999;border:2px solid lime;background:#fff;image-rendering:pixelated;";
-        document.body.appendChild(debugC);
-      }
-      const dCtx = debugC.getContext("2d");
-      const dImg = dCtx.createImageData(28, 28);
-      for (let i = 0; i < 28 * 28; i++) {
-        const p = floatArr[i] * 255;
-        dImg.data[i * 4] = p;
-        dImg.data[i * 4 + 1] = p;
-        dImg.data[i * 4 + 2] = p;
-        dImg.data[i * 4 + 3] = 255;
-      }
-      dCtx.putImageData(dImg, 0, 0);
+    const { input, inkRatio } = preprocessPixels(data, W, H, {
+      ...pixelOptions(modelEntryRef.current),
+      size: modelInfoRef.current.imageShape[1],
+    });
+    if (inkRatio === 0) return { probs: null, inkRatio, input };
+
+    const x = buildModelInputs(modelInfoRef.current, input, strokes);
+    const out = modelRef.current.predict(x);
+    try {
+      return { probs: await out.data(), inkRatio, input };
+    } finally {
+      disposeModelInputs(x);
+      out.dispose?.();
     }
-
-    return {
-      xImg: tf.tensor4d(floatArr, [1, 28, 28, 1], "float32"),
-      inkRatio: inkPixels / (28 * 28),
-    };
   }
 
-  const updateGuess = useCallback((canvasEl) => {
-    const model = modelRef.current;
-    if (!model || !canvasEl) return;
+  const updateGuess = useCallback((canvasEl, strokes = []) => {
+    if (!readyRef.current || !canvasEl) return;
 
     if (predictTimeoutRef.current) clearTimeout(predictTimeoutRef.current);
 
@@ -214,65 +401,45 @@ export function useDrawingClassifier({ onCorrect } = {}) {
       if (isPredictingRef.current) return;
       isPredictingRef.current = true;
 
-      let xImg, out;
-
       try {
-        const pre = preprocessInput(canvasEl);
-        xImg = pre.xImg;
-        const inkRatio = pre.inkRatio;
+        const result = await classify(canvasEl, strokes);
+        const inkRatio = result.inkRatio;
+        if (SHOW_MODEL_VIEW && inkRatio > 0) showModelView(result.input);
 
-        if (inkRatio < 0.008) {
-          setCurrentGuess("AI GUESSES: …");
+        const minInkRatio = modelEntryRef.current?.preprocessing?.minInkRatio ?? 0.008;
+        if (!result.probs || inkRatio < minInkRatio) {
+          resetGuesses();
           return;
         }
 
-        out = model.predict(xImg);
-        const probsFlat = await out.data();
-        const probs = Array.from(probsFlat);
-
-        if (!emaRef.current || emaRef.current.length !== probs.length) {
-          emaRef.current = new Float32Array(probs);
-        } else {
-          const maxProb = Math.max(...probs);
-          const adaptiveAlpha = maxProb > 0.75 ? 0.5 : EMA_ALPHA;
-
-          const ema = emaRef.current;
-          for (let i = 0; i < probs.length; i++) {
-            ema[i] = adaptiveAlpha * ema[i] + (1 - adaptiveAlpha) * probs[i];
-          }
-        }
-
-        const ema = emaRef.current;
-        let bestIdx = 0;
-        for (let i = 1; i < ema.length; i++) {
-          if (ema[i] > ema[bestIdx]) bestIdx = i;
-        }
-
-        let secondIdx = bestIdx === 0 ? 1 : 0;
-        for (let i = 0; i < ema.length; i++) {
-          if (i !== bestIdx && ema[i] > ema[secondIdx]) secondIdx = i;
-        }
-
         const labels = labelsRef.current;
+        const targetIdx = labels.findIndex((l) => norm(l) === norm(targetWordRef.current));
+        const { ema, ranked, bestIdx, topProb, margin, targetProb, streak, scoredBy } =
+          scorerRef.current.update(Array.from(result.probs), targetIdx);
         const guessedWord = labels[bestIdx] ?? "…";
-        const topProb = ema[bestIdx];
-        const margin = topProb - ema[secondIdx];
+        lastProbsRef.current = Array.from(ema);
 
         setCurrentGuess(`AI GUESSES: ${guessedWord}`);
-
-        const guessIsTarget = norm(guessedWord) === norm(targetWordRef.current);
-
-        if (guessIsTarget) {
-          correctStreakRef.current += 1;
-        } else {
-          correctStreakRef.current = 0;
-          if (margin < 0.2) emaRef.current = null;
+        setTopGuesses(
+          ranked.slice(0, TOP_K).map((i) => ({ label: labels[i] ?? "…", prob: ema[i] }))
+        );
+        setTopMargin(margin);
+        setTargetProb(targetProb ?? 0);
+
+        const shouldScore = !hasScoredRef.current && scoredBy !== null;
+
+        if (!hasScoredRef.current) {
+          const trace = traceRef.current;
+          trace.steps.push({
+            t: Date.now() - trace.startedAt,
+            guess: guessedWord,
+            prob: topProb,
+            margin,
+            targetProb,
+            streak,
+          });
+          if (shouldScore) trace.scoredBy = scoredBy;
         }
-        const shouldScore =
-          !hasScoredRef.current && (
-            correctStreakRef.current >= 2 ||
-            (guessIsTarget && topProb > 0.85 && margin > 0.3)
-          );
 
         if (shouldScore) {
           hasScoredRef.current = true;
@@ -284,9 +451,9 @@ export function useDrawingClassifier({ onCorrect } = {}) {
 
           setScore((s) => s + 1);
           setCorrectGuess(true);
-          onCorrectRef.current?.();
+          onCorrectRef.current?.(targetWordRef.current);
 
-          setTimeout(() => startRound(), 800);
+          if (autoAdvanceRef.current) setTimeout(() => startRound(), 800);
           return;
         }
 
@@ -295,27 +462,37 @@ export function useDrawingClassifier({ onCorrect } = {}) {
           prob: topProb.toFixed(3),
           margin: margin.toFixed(3),
           inkRatio: inkRatio.toFixed(4),
-          streak: correctStreakRef.current,
+          streak,
         });
 
       } catch (e) {
         console.error("Prediction failed:", e);
-        setCurrentGuess("AI GUESSES: …");
+        resetGuesses();
       } finally {
-        xImg?.dispose();
-        out?.dispose?.();
         isPredictingRef.current = false;
       }
     }, 250);
-  }, [startRound]);
+  }, [startRound, resetGuesses]);
 
   return {
     isModelReady,
+    models,
+    activeModelId,
+    modelError,
+    selectModel,
+    labels,
     currentGuess,
+    topGuesses,
+    margin: topMargin,
+    targetProb,
     updateGuess,
     targetWord,
     score,
     correctGuess,
     startRound,
+    endRound,
+    configureDeck,
+    getRoundTrace,
+    getGuessSnapshot,
   };
 }
\ No newline at end of file
@@ -1,8 +1,11 @@
 // src/capturehands/useHandTracking.jsx
 
-import React, { useState, useEffect } from "react";
-import * as tf from "@tensorflow/tfjs";
-import * as handpose from "@tensorflow-models/handpose";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { createHandDetector, DETECTOR_BACKENDS } from "./handDetectors";
+import useKeyPointClassifier, { fromHandposeLandmarks, KEY_POINT_MODEL_URL } from "./useKeyPointClassifier";
+import { CUSTOM_GESTURE_MODEL_URL } from "./gestureTrainer";
+import { GESTURE_SOURCES, gestureForSign } from "./gestureActions";
+import { DEFAULT_SMOOTHING, VectorFilter } from "../drawing/filters";
 
 /**
  * Returns true if the tip (tipIdx) is above (smaller y) the MCP joint (mcpIdx).
@@ -53,39 +56,27 @@ function isValidHand(landmarks, videoWidth, videoHeight) {
 }
 
 /**
- * Smooth landmarks across frames to reduce jitter
+ * Smooth landmarks across frames to reduce jitter. The filter (EMA, moving
+ * average or One-Euro) and its parameters come from the smoothing settings.
  */
 class LandmarkSmoother {
-  constructor(smoothingFactor = 0.5) {
-    this.smoothingFactor = smoothingFactor; // 0-1, higher = more smoothing
-    this.smoothedLandmarks = null;
+  constructor(settings = DEFAULT_SMOOTHING.landmarks) {
+    this.filter = new VectorFilter(settings);
   }
 
-  smooth(landmarks) {
-    if (!landmarks) return null;
+  configure(settings) {
+    this.filter.configure(settings);
+  }
 
-    if (!this.smoothedLandmarks) {
-      // First frame - initialize with raw landmarks
-      this.smoothedLandmarks = landmarks.map(lm => [...lm]);
-      return landmarks;
-    }
+  smooth(landmarks, t = performance.now()) {
+    if (!landmarks) return null;
 
-    // Exponential moving average for each landmark
-    const smoothed = landmarks.map((lm, idx) => {
-      const prev = this.smoothedLandmarks[idx];
-      return [
-        prev[0] * (1 - this.smoothingFactor) + lm[0] * this.smoothingFactor,
-        prev[1] * (1 - this.smoothingFactor) + lm[1] * this.smoothingFactor,
-        prev[2] * (1 - this.smoothingFactor) + lm[2] * this.smoothingFactor,
-      ];
-    });
-
-    this.smoothedLandmarks = smoothed;
-    return smoothed;
+    const flat = this.filter.filter(landmarks.flatMap((lm) => [lm[0], lm[1], lm[2] ?? 0]), t);
+    return landmarks.map((_, idx) => [flat[idx * 3], flat[idx * 3 + 1], flat[idx * 3 + 2]]);
   }
 
   reset() {
-    this.smoothedLandmarks = null;
+    this.filter.reset();
   }
 }
 
@@ -158,132 +149,223 @@ class HandDetectionHysteresis {
   }
 }
 
-function useHandTracking() {
-  const [net, setNet] = useState(null);
+/**
+ * Hand-written gesture rules over which fingers are extended.
+ */
+function classifyFingerRules(landmarks) {
+  // Detect which fingers are extended
+  const indexUp = isFingerExtended(landmarks, 8, 5);
+  const middleUp = isFingerExtended(landmarks, 12, 9);
+  const ringUp = isFingerExtended(landmarks, 16, 13);
+  const pinkyUp = isFingerExtended(landmarks, 20, 17);
+
+  const upCount = [indexUp, middleUp, ringUp, pinkyUp].filter(Boolean).length;
+
+  let rawGesture = "Idle";
+
+  // Pinch first: with the thumb tucked against it the index still reads as
+  // extended, which would otherwise always win as PointerUp. The index tip
+  // must clear its middle joint so a closed fist doesn't count.
+  const thumbTip = landmarks[4];
+  const indexTip = landmarks[8];
+  const pinchDistance = Math.sqrt(
+    Math.pow(indexTip[0] - thumbTip[0], 2) +
+      Math.pow(indexTip[1] - thumbTip[1], 2)
+  );
+
+  if (pinchDistance < 50 && isFingerExtended(landmarks, 8, 6) && !middleUp && !ringUp && !pinkyUp) {
+    rawGesture = "PinchClose";
+  } else if (indexUp && !middleUp && !ringUp && !pinkyUp) {
+    rawGesture = "PointerUp";
+  } else if (indexUp && middleUp && ringUp && pinkyUp) {
+    rawGesture = "OpenHand";
+  } else if (upCount > 1) {
+    rawGesture = "MultipleFingersUp";
+  }
+
+  return rawGesture;
+}
+
+/**
+ * Tracking state for one hand, so two hands never share a smoother or
+ * hysteresis. Tracks are keyed by handedness (or detection order when the
+ * detector doesn't report it).
+ */
+class HandTrack {
+  constructor(smoothing) {
+    this.smoother = new LandmarkSmoother(smoothing);
+    this.hysteresis = new HandDetectionHysteresis();
+    this.gestureHysteresis = new GestureHysteresis(3);
+  }
+
+  reset() {
+    this.smoother.reset();
+    this.hysteresis.reset();
+    this.gestureHysteresis.reset();
+  }
+}
+
+function useHandTracking({
+  gestureSource = GESTURE_SOURCES.RULES,
+  detectorBackend = DETECTOR_BACKENDS.MEDIAPIPE,
+  smoothing = DEFAULT_SMOOTHING.landmarks,
+} = {}) {
+  const [detector, setDetector] = useState(null);
   const [isReady, setIsReady] = useState(false);
   const [error, setError] = useState(null);
-  const [smoother] = useState(() => new LandmarkSmoother(0.5));
-  const [hysteresis] = useState(() => new HandDetectionHysteresis());
-  const [gestureHysteresis] = useState(() => new GestureHysteresis(3));
+  const [tracks] = useState(() => new Map());
+  const smoothingRef = useRef(smoothing);
 
-  // ✅ Load the Handpose model with better settings
+  // ✅ New filter settings apply to hands already being tracked
+  useEffect(() => {
+    smoothingRef.current = smoothing;
+    tracks.forEach((track) => track.smoother.configure(smoothing));
+  }, [tracks, smoothing]);
+
+  // ✅ Optional learned gestures; rules stay in charge until the model is loaded
+  const {
+    isReady: gestureModelReady,
+    error: gestureModelError,
+    processLandmark,
+  } = useKeyPointClassifier(
+    gestureSource === GESTURE_SOURCES.CUSTOM
+      ? { enabled: true, modelUrl: CUSTOM_GESTURE_MODEL_URL, format: "layers" }
+      : { enabled: gestureSource === GESTURE_SOURCES.LEARNED, modelUrl: KEY_POINT_MODEL_URL, format: "layers" }
+  );
+  const useLearned = gestureSource !== GESTURE_SOURCES.RULES && gestureModelReady;
+  const activeGestureSource = useLearned ? gestureSource : GESTURE_SOURCES.RULES;
+
+  useEffect(() => {
+    tracks.forEach((track) => track.gestureHysteresis.reset());
+  }, [tracks, useLearned]);
+
+  // ✅ Load the hand detector (falls back to another backend if needed)
   useEffect(() => {
     let cancelled = false;
+    let loaded = null;
+    setIsReady(false);
 
     (async () => {
       try {
-        await tf.ready();
-        console.log("🤖 [useHandTracking] TensorFlow backend ready");
-
-        // ✅ Load with balanced settings (not too strict, not too loose)
-        const handposeModel = await handpose.load({
-          maxContinuousChecks: 3,    // ← Reduced from 5 for faster detection
-          detectionConfidence: 0.6,  // ← Relaxed from 0.7
-          scoreThreshold: 0.65,      // ← Relaxed from 0.75
-          iouThreshold: 0.3,
-        });
-
-        if (!cancelled) {
-          setNet(handposeModel);
-          console.log("🤖 [useHandTracking] handpose model loaded with strict settings");
-          setIsReady(true);
+        loaded = await createHandDetector(detectorBackend, { maxHands: 2 });
+        if (cancelled) {
+          loaded.dispose();
+          return;
         }
+        tracks.clear();
+        setDetector(loaded);
+        setError(null);
+        setIsReady(true);
       } catch (err) {
         if (!cancelled) {
           console.error(
-            "❌ [useHandTracking] Failed to load handpose model:",
+            "❌ [useHandTracking] Failed to load hand detector:",
             err
           );
-          setError("Failed to load handpose model: " + err.message);
+          setError("Failed to load hand detector: " + err.message);
         }
       }
     })();
 
     return () => {
       cancelled = true;
+      setDetector(null);
+      loaded?.dispose();
     };
-  }, []);
+  }, [detectorBackend, tracks]);
 
   /**
    * detect:
    *   - Expects an HTMLVideoElement (webcamRef.current.video).
-   *   - Returns { landmarks: [[x,y,z], ...], gesture: "PointerUp"|"PinchClose"|"OpenHand" }
-   *     or null if no valid hand is found.
+   *   - Returns up to two hands (empty when none are valid), each
+   *     { key, handedness: "Left"|"Right"|null, landmarks: [[x,y,z], ...],
+   *       keypoints3D, score,
+   *       gesture: "PointerUp"|"PinchClose"|"OpenHand"|"MultipleFingersUp"|"Idle",
+   *       sign: learned label such as "Thumb_Up" (null with the rules) }
    */
-const detect = async (videoEl) => {
-  if (!net || !videoEl) return null;
-  if (videoEl.readyState !== 4) return null;
+const detect = useCallback(async (videoEl) => {
+  if (!detector || !videoEl) return [];
+  if (videoEl.readyState !== 4) return [];
 
   try {
-    const hands = await net.estimateHands(videoEl, false);
-    const hasDetection = hands.length > 0;
+    const detected = await detector.estimate(videoEl);
+
+    const videoWidth = videoEl.videoWidth;
+    const videoHeight = videoEl.videoHeight;
+    const seen = new Set();
+    const hands = [];
+
+    for (let i = 0; i < detected.length; i++) {
+      const hand = detected[i];
+      let key = hand.handedness ?? `hand${i}`;
+      if (seen.has(key)) key = `${key}${i}`;
+      seen.add(key);
+
+      let track = tracks.get(key);
+      if (!track) {
+        track = new HandTrack(smoothingRef.current);
+        tracks.set(key, track);
+      }
+      track.hysteresis.update(true);
 
-    const shouldContinueTracking = hysteresis.update(hasDetection);
+      if (!isValidHand(hand.landmarks, videoWidth, videoHeight)) {
+        console.log("❌ [useHandTracking] Invalid hand detected, ignoring");
+        track.reset();
+        continue;
+      }
 
-    if (!shouldContinueTracking || !hasDetection) {
-      if (!hasDetection) {
-        smoother.reset();
+      const landmarks = track.smoother.smooth(hand.landmarks);
+      const base = {
+        key,
+        handedness: hand.handedness,
+        landmarks,
+        keypoints3D: hand.keypoints3D,
+        score: hand.score,
+      };
+
+      if (useLearned) {
+        // Learned classifier: hysteresis runs on the sign so action signs
+        // (Thumb_Up, Victory…) don't flicker either; the drawing gesture follows
+        const result = await processLandmark(
+          fromHandposeLandmarks(landmarks, videoWidth, videoHeight),
+          { width: videoWidth, height: videoHeight }
+        );
+        const held = track.gestureHysteresis.update(result?.label ?? "None");
+        const sign = held === "None" ? null : held;
+        hands.push({ ...base, gesture: gestureForSign(sign), sign });
+        continue;
       }
-      return null;
-    }
 
-    let landmarks = hands[0].landmarks;
+      const rawGesture = classifyFingerRules(landmarks);
 
-    const videoWidth = videoEl.videoWidth;
-    const videoHeight = videoEl.videoHeight;
+      // ✅ Apply gesture hysteresis to prevent flickering
+      const gesture = track.gestureHysteresis.update(rawGesture);
 
-    if (!isValidHand(landmarks, videoWidth, videoHeight)) {
-      console.log("❌ [useHandTracking] Invalid hand detected, ignoring");
-      hysteresis.reset();
-      smoother.reset();
-      return null;
+      hands.push({ ...base, gesture, sign: null });
     }
 
-    landmarks = smoother.smooth(landmarks);
-
-    // Detect which fingers are extended
-    const indexUp = isFingerExtended(landmarks, 8, 5);
-    const middleUp = isFingerExtended(landmarks, 12, 9);
-    const ringUp = isFingerExtended(landmarks, 16, 13);
-    const pinkyUp = isFingerExtended(landmarks, 20, 17);
-    const thumbUp = isFingerExtended(landmarks, 4, 2);
-
-    const upCount = [indexUp, middleUp, ringUp, pinkyUp].filter(Boolean).length;
-
-    // ✅ THIS IS WHERE YOU PUT IT (replacing the old gesture detection):
-    let rawGesture = "Idle";
-
-    if (indexUp && !middleUp && !ringUp && !pinkyUp) {
-      rawGesture = "PointerUp";
-    } else if (thumbUp && indexUp && !middleUp && !ringUp && !pinkyUp) {
-      const thumbTip = landmarks[4];
-      const indexTip = landmarks[8];
-      const distance = Math.sqrt(
-        Math.pow(indexTip[0] - thumbTip[0], 2) +
-          Math.pow(indexTip[1] - thumbTip[1], 2)
-      );
-      if (distance < 50) {
-        rawGesture = "PinchClose";
-      } else {
-        rawGesture = "PointerUp";
-      }
-    } else if (indexUp && middleUp && ringUp && pinkyUp) {
-      rawGesture = "OpenHand";
-    } else if (upCount > 1) {
-      rawGesture = "MultipleFingersUp";
+    // Hands that went missing keep their track for a few frames, then drop it
+    for (const [key, track] of tracks) {
+      if (seen.has(key)) continue;
+      track.smoother.reset();
+      if (!track.hysteresis.update(false)) tracks.delete(key);
     }
 
-    // ✅ Apply gesture hysteresis to prevent flickering
-    const gesture = gestureHysteresis.update(rawGesture);
-
-    return { landmarks, gesture };
+    return hands;
   } catch (err) {
     console.error("❌ [useHandTracking] Error during hand detection:", err);
-    return null;
+    return [];
   }
-};
-
-  return { isReady, error, detect };
+}, [detector, tracks, useLearned, processLandmark]);
+
+  return {
+    isReady,
+    error,
+    detect,
+    detectorBackend: detector?.backend ?? null,
+    activeGestureSource,
+    gestureModelError,
+  };
 }
 
 export default useHandTracking;
\ No newline at end of file
@@ -1,76 +1,98 @@
-import { useEffect, useRef } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import * as tf from '@tensorflow/tfjs';
-import _ from 'lodash';
+import CONFIGS from '../constants';
+import { calcLandmarkList, preProcessLandmark } from './landmarkFeatures.js';
 
-const calcLandmarkList = (image, landmarks) => {
-  const { width: imageWidth, height: imageHeight } = image;
-  const landmarkPoint = [];
+export { fromHandposeLandmarks } from './landmarkFeatures.js';
 
-  // Convert normalized landmarks into pixel coordinates
-  Object.values(landmarks).forEach((landmark) => {
-    const landmarkX = Math.min(landmark.x * imageWidth, imageWidth - 1);
-    const landmarkY = Math.min(landmark.y * imageHeight, imageHeight - 1);
-    landmarkPoint.push([landmarkX, landmarkY]);
-  });
+export const KEY_POINT_MODEL_URL = '/tf-models/key-point-classifier/model.json';
 
-  return landmarkPoint;
-};
+// Below this the sign is reported as null and the caller treats the hand as idle
+const MIN_SIGN_SCORE = 0.6;
 
-const preProcessLandmark = (landmarkList) => {
-  // Deep clone
-  let tempLandmarkList = _.cloneDeep(landmarkList);
+/**
+ * Learned hand-sign classifier. The model is only fetched once `enabled` is
+ * true; if it can't be loaded `error` says why and processLandmark stays
+ * unusable (isReady false).
+ *
+ * format "layers" is a model that carries its own labels in user metadata:
+ * the bundled one (trained on synthetic poses only, see
+ * train_gesture_model.mjs) or one trained in the gesture trainer. "graph" is a converted graph model, labelled by
+ * CONFIGS.keypointClassifierLabels.
+ */
+function useKeyPointClassifier({ enabled = true, modelUrl = KEY_POINT_MODEL_URL, format = 'layers' } = {}) {
+  const model = useRef(null);
+  const labelsRef = useRef(CONFIGS.keypointClassifierLabels);
+  const [isReady, setIsReady] = useState(false);
+  const [error, setError] = useState(null);
 
-  let baseX = 0;
-  let baseY = 0;
+  const keyPointClassifier = useCallback(async (landmarkList) => {
+    // Run inference and return the best class with its probability
+    const outputTensor = tf.tidy(() => {
+      const input = tf.tensor2d([landmarkList]);
+      return model.current.predict(input).squeeze();
+    });
+    const probs = await outputTensor.data();
+    outputTensor.dispose();
 
-  // Convert to relative coordinates (take first landmark as origin)
-  tempLandmarkList.forEach((landmarkPoint, index) => {
-    if (index === 0) {
-      baseX = parseInt(landmarkPoint[0]);
-      baseY = parseInt(landmarkPoint[1]);
+    let index = 0;
+    for (let i = 1; i < probs.length; i++) {
+      if (probs[i] > probs[index]) index = i;
     }
-    tempLandmarkList[index][0] = tempLandmarkList[index][0] - baseX;
-    tempLandmarkList[index][1] = tempLandmarkList[index][1] - baseY;
-  });
-
-  // Flatten into 1D array
-  tempLandmarkList = _.flatten(tempLandmarkList);
-
-  // Normalize so that all values are in [-1, 1]
-  const maxValue = Math.max(...tempLandmarkList.map((v) => Math.abs(v)));
-  tempLandmarkList = tempLandmarkList.map((v) => v / maxValue);
-
-  return tempLandmarkList;
-};
-
-function useKeyPointClassifier() {
-  const model = useRef(null);
-
-  const keyPointClassifier = async (landmarkList) => {
-    // Run inference and return the predicted index
-    const outputTensor = model.current.execute(
-      tf.tensor2d([landmarkList])
-    );
-    // squeeze() and argMax() to get class index
-    const prediction = await outputTensor.squeeze().argMax().data();
-    return prediction;
-  };
+    return { index, score: probs[index] };
+  }, []);
 
-  const processLandmark = async (handLandmarks, image) => {
+  /**
+   * Returns { index, label, score }; label is null when the model is unsure.
+   */
+  const processLandmark = useCallback(async (handLandmarks, image) => {
+    if (!model.current) return null;
     const landmarkList = calcLandmarkList(image, handLandmarks);
     const preProcessedLandmarkList = preProcessLandmark(landmarkList);
-    const handSignId = await keyPointClassifier(preProcessedLandmarkList);
-    return handSignId[0]; // return the single class index
-  };
+    const { index, score } = await keyPointClassifier(preProcessedLandmarkList);
+    const label = score >= MIN_SIGN_SCORE ? labelsRef.current[index] ?? null : null;
+    return { index, label, score };
+  }, [keyPointClassifier]);
 
   useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+
     (async function loadModel() {
-      // Adjust the path to your TFJS model folder accordingly
-      model.current = await tf.loadGraphModel('/tf-models/key-point-classifier/model.json');
+      try {
+        const loaded = format === 'layers'
+          ? await tf.loadLayersModel(modelUrl)
+          : await tf.loadGraphModel(modelUrl);
+        if (cancelled) {
+          loaded.dispose();
+          return;
+        }
+        model.current?.dispose();
+        model.current = loaded;
+        labelsRef.current = format === 'layers'
+          ? loaded.getUserDefinedMetadata()?.labels ?? []
+          : CONFIGS.keypointClassifierLabels;
+        setError(null);
+        setIsReady(true);
+        console.log("✅ [useKeyPointClassifier] gesture model loaded");
+      } catch (err) {
+        if (cancelled) return;
+        console.warn("⚠ [useKeyPointClassifier] gesture model unavailable:", err);
+        setError(`No gesture model at ${modelUrl} (${err.message})`);
+      }
     })();
-  }, []);
 
-  return { processLandmark };
+    return () => {
+      cancelled = true;
+      // A different model (or none) is wanted now; drop the old one
+      model.current?.dispose();
+      model.current = null;
+      setIsReady(false);
+      setError(null);
+    };
+  }, [enabled, modelUrl, format]);
+
+  return { isReady, error, processLandmark };
 }
 
 export default useKeyPointClassifier;
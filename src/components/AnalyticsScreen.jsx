@@ -0,0 +1,274 @@
+// src/components/AnalyticsScreen.jsx
+
+import React, { useEffect, useState } from "react";
+import { fetchLabels, fetchManifest } from "../capturehands/modelManifest";
+import { clearRoundLogs, listRoundLogs } from "../game/roundLog";
+import { categoryDifficulty, confusionMatrix, NO_GUESS } from "../game/roundAnalytics";
+import { downloadJson } from "../game/localDb";
+
+const RECENT_ROUNDS = 12;
+
+const panelStyle = {
+  background: "rgba(0,0,0,0.7)",
+  padding: "8px 12px",
+  borderRadius: 6,
+  border: "1px solid #4b5563",
+  fontSize: 12,
+};
+
+const buttonStyle = {
+  background: "#374151",
+  color: "#fff",
+  fontWeight: "bold",
+  padding: "8px 14px",
+  borderRadius: 6,
+  border: "none",
+  cursor: "pointer",
+};
+
+const cellStyle = {
+  padding: "3px 8px",
+  borderBottom: "1px solid #374151",
+  textAlign: "left",
+};
+
+const percent = (v) => (v === null ? "–" : `${Math.round(v * 100)}%`);
+
+function ConfusionMatrix({ matrix }) {
+  const { labels, columns, counts, max } = matrix;
+  const cell = { width: 24, height: 22, textAlign: "center", fontSize: 10 };
+
+  return (
+    <table style={{ fontFamily: "monospace", borderCollapse: "collapse" }}>
+      <thead>
+        <tr>
+          <th style={{ ...cellStyle, color: "#9ca3af" }}>target ↓ / guess →</th>
+          {columns.map((c) => (
+            <th key={c} style={{ ...cell, writingMode: "vertical-rl", height: 80, color: "#9ca3af" }}>
+              {c}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {labels.map((target) => (
+          <tr key={target}>
+            <td style={{ ...cellStyle, padding: "0 8px" }}>{target}</td>
+            {columns.map((guess) => {
+              const n = counts[target]?.[guess] ?? 0;
+              const strength = max > 0 ? n / max : 0;
+              const hue = guess === target ? "34,197,94" : guess === NO_GUESS ? "156,163,175" : "239,68,68";
+              return (
+                <td
+                  key={guess}
+                  title={`${target} → ${guess}: ${n}`}
+                  style={{
+                    ...cell,
+                    background: n > 0 ? `rgba(${hue},${0.2 + 0.8 * strength})` : "#111827",
+                    border: "1px solid #1f2937",
+                  }}
+                >
+                  {n || ""}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/** Target probability (yellow) and top guess probability (grey) over one round. */
+function Trajectory({ log }) {
+  const width = 160;
+  const height = 40;
+  const duration = Math.max(1, log.seconds * 1000);
+  const line = (key) =>
+    log.steps
+      .filter((s) => s[key] !== null)
+      .map((s) => `${(s.t / duration) * width},${height - s[key] * height}`)
+      .join(" ");
+
+  return (
+    <svg width={width} height={height} style={{ background: "#111827", borderRadius: 4 }}>
+      <polyline points={line("prob")} fill="none" stroke="#6b7280" strokeWidth={1.5} />
+      <polyline points={line("targetProb")} fill="none" stroke="#fbbf24" strokeWidth={1.5} />
+    </svg>
+  );
+}
+
+/**
+ * Developer view over the round log: confusion matrix of target vs final
+ * guess, per-word difficulty, and recent probability trajectories.
+ */
+export default function AnalyticsScreen() {
+  const [logs, setLogs] = useState([]);
+  const [models, setModels] = useState([]);
+  const [modelId, setModelId] = useState("");
+  const [modelLabels, setModelLabels] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    listRoundLogs()
+      .then(setLogs)
+      .catch((err) => setMessage(`❌ ${err.message}`));
+    fetchManifest()
+      .then((manifest) => {
+        setModels(manifest.models);
+        setModelId(manifest.defaultId);
+      })
+      .catch((err) => setMessage(`❌ ${err.message}`));
+  }, []);
+
+  useEffect(() => {
+    const entry = models.find((m) => m.id === modelId);
+    if (!entry) return;
+    let cancelled = false;
+    fetchLabels(entry)
+      .then((labels) => {
+        if (!cancelled) setModelLabels(labels);
+      })
+      .catch(() => setModelLabels([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [models, modelId]);
+
+  const clearLogs = async () => {
+    if (!window.confirm("Delete every logged round?")) return;
+    try {
+      await clearRoundLogs();
+      setLogs([]);
+      setMessage("Round log cleared");
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    }
+  };
+
+  const shown = logs.filter((l) => l.modelId === modelId);
+  const matrix = confusionMatrix(shown, modelLabels);
+  const categories = categoryDifficulty(shown);
+  const recent = shown.slice(-RECENT_ROUNDS).reverse();
+  const scoredBy = categories.reduce(
+    (acc, c) => ({ streak: acc.streak + c.scoredBy.streak, confidence: acc.confidence + c.scoredBy.confidence }),
+    { streak: 0, confidence: 0 }
+  );
+
+  return (
+    <div
+      style={{
+        background: "#1f2937",
+        minHeight: "100vh",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        color: "#f9fafb",
+        gap: 16,
+        padding: "64px 16px 32px",
+      }}
+    >
+      <h1 style={{ fontSize: 32, fontWeight: "bold", color: "#fbbf24" }}>ROUND ANALYTICS</h1>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", fontSize: 14 }}>
+        <label>
+          Model{" "}
+          <select
+            value={modelId}
+            onChange={(e) => setModelId(e.target.value)}
+            style={{
+              padding: "4px 6px",
+              borderRadius: 4,
+              border: "1px solid #4b5563",
+              background: "#111827",
+              color: "#f9fafb",
+            }}
+          >
+            {models.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span style={{ color: "#9ca3af" }}>{shown.length} rounds logged</span>
+        <button onClick={() => downloadJson("drawvsai-rounds.json", logs)} disabled={logs.length === 0} style={buttonStyle}>
+          ⬇ Logs JSON
+        </button>
+        <button onClick={clearLogs} disabled={logs.length === 0} style={{ ...buttonStyle, background: "#dc2626" }}>
+          Clear logs
+        </button>
+      </div>
+
+      {message && <div style={panelStyle}>{message}</div>}
+
+      {shown.length === 0 ? (
+        <p style={{ color: "#9ca3af" }}>No rounds logged for this model yet. Play a game first.</p>
+      ) : (
+        <>
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>CONFUSION MATRIX (final guess)</h3>
+            <ConfusionMatrix matrix={matrix} />
+          </div>
+
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>
+              BY CATEGORY, HARDEST FIRST{" "}
+              <span style={{ color: "#9ca3af", fontWeight: "normal" }}>
+                (scored by streak {scoredBy.streak} · by confidence {scoredBy.confidence})
+              </span>
+            </h3>
+            <table style={{ fontFamily: "monospace", fontSize: 12, borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ color: "#9ca3af" }}>
+                  <th style={cellStyle}>Word</th>
+                  <th style={cellStyle}>Rounds</th>
+                  <th style={cellStyle}>Recognised</th>
+                  <th style={cellStyle}>Avg time to correct</th>
+                  <th style={cellStyle}>Final target prob</th>
+                  <th style={cellStyle}>Mistaken for</th>
+                </tr>
+              </thead>
+              <tbody>
+                {categories.map((c) => (
+                  <tr key={c.word}>
+                    <td style={cellStyle}>{c.word}</td>
+                    <td style={cellStyle}>{c.attempts}</td>
+                    <td style={{ ...cellStyle, color: c.successRate < 0.5 ? "#ef4444" : "#22c55e" }}>
+                      {percent(c.successRate)}
+                    </td>
+                    <td style={cellStyle}>
+                      {c.avgSecondsToCorrect === null ? "–" : `${c.avgSecondsToCorrect.toFixed(1)}s`}
+                    </td>
+                    <td style={cellStyle}>{percent(c.avgFinalTargetProb)}</td>
+                    <td style={cellStyle}>{c.confusedWith ? `${c.confusedWith} (${c.confusedCount})` : "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>
+              RECENT ROUNDS{" "}
+              <span style={{ color: "#9ca3af", fontWeight: "normal" }}>
+                (<span style={{ color: "#fbbf24" }}>target</span> / top guess probability)
+              </span>
+            </h3>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(3, auto)", gap: 12 }}>
+              {recent.map((log) => (
+                <div key={log.id}>
+                  <div style={{ fontFamily: "monospace", marginBottom: 2 }}>
+                    {log.recognized ? "✅" : "❌"} {log.target}
+                    {!log.recognized && log.finalGuess && ` → ${log.finalGuess}`}
+                  </div>
+                  <Trajectory log={log} />
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
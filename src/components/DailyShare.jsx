@@ -0,0 +1,51 @@
+// src/components/DailyShare.jsx
+
+import React, { useState } from "react";
+
+/** A daily challenge summary (see shareText) with a copy-to-clipboard button. */
+export default function DailyShare({ text }) {
+  const [copied, setCopied] = useState(null);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied("✅ Copied!");
+    } catch (err) {
+      console.error("❌ [daily] could not copy:", err);
+      setCopied("❌ Copy failed – select the text instead");
+    }
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 6 }}>
+      <pre
+        style={{
+          fontFamily: "monospace",
+          fontSize: 13,
+          background: "#111827",
+          border: "1px solid #4b5563",
+          borderRadius: 6,
+          padding: "8px 12px",
+          userSelect: "all",
+        }}
+      >
+        {text}
+      </pre>
+      <button
+        onClick={copy}
+        style={{
+          background: "#374151",
+          color: "#fff",
+          fontWeight: "bold",
+          padding: "6px 14px",
+          borderRadius: 6,
+          border: "none",
+          cursor: "pointer",
+        }}
+      >
+        📋 Copy result
+      </button>
+      {copied && <p style={{ fontSize: 12, color: "#9ca3af" }}>{copied}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+// src/components/DrawingFileControls.jsx
+
+import React, { useRef, useState } from "react";
+import { downloadNdjson, parseNdjson, toNdjsonRecord } from "../drawing/quickdraw";
+
+/**
+ * Save drawings as Quick, Draw! simplified ndjson and load them back onto the
+ * canvas. getRecords() returns [{ word, recognized, strokes }] to export;
+ * onLoad receives each imported { word, recognized, timestamp, drawing }.
+ */
+export default function DrawingFileControls({ getRecords, onLoad }) {
+  const fileInputRef = useRef(null);
+  const [imported, setImported] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [message, setMessage] = useState(null);
+
+  const buttonStyle = {
+    background: "#374151",
+    color: "#fff",
+    fontWeight: "bold",
+    padding: "6px 12px",
+    borderRadius: 6,
+    border: "none",
+    cursor: "pointer",
+    fontSize: 12,
+  };
+
+  const show = (records, i) => {
+    const record = records[i];
+    setIndex(i);
+    setMessage(`Loaded ${i + 1}/${records.length}: ${record.word || "(no word)"}`);
+    onLoad(record);
+  };
+
+  const handleExport = () => {
+    const records = getRecords()
+      .filter((r) => r.strokes.length > 0)
+      .map((r) => toNdjsonRecord(r));
+    if (records.length === 0) {
+      setMessage("Nothing to export yet");
+      return;
+    }
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    downloadNdjson(`drawvsai-${stamp}.ndjson`, records);
+    setMessage(`Exported ${records.length} drawing${records.length === 1 ? "" : "s"}`);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const records = parseNdjson(await file.text());
+      if (records.length === 0) {
+        setMessage("No drawings in file");
+        return;
+      }
+      setImported(records);
+      show(records, 0);
+    } catch (err) {
+      console.error("❌ ndjson import failed:", err);
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 12 }}>
+      <button onClick={handleExport} style={buttonStyle}>
+        ⬇ Export .ndjson
+      </button>
+      <button onClick={() => fileInputRef.current?.click()} style={buttonStyle}>
+        ⬆ Import .ndjson
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".ndjson,.json,application/x-ndjson"
+        onChange={handleFile}
+        style={{ display: "none" }}
+      />
+      {imported.length > 1 && (
+        <>
+          <button
+            disabled={index === 0}
+            onClick={() => show(imported, index - 1)}
+            style={buttonStyle}
+          >
+            ◀
+          </button>
+          <button
+            disabled={index === imported.length - 1}
+            onClick={() => show(imported, index + 1)}
+            style={buttonStyle}
+          >
+            ▶
+          </button>
+        </>
+      )}
+      {message && <span style={{ fontSize: 12, color: "#9ca3af" }}>{message}</span>}
+    </div>
+  );
+}
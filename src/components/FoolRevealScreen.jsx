@@ -0,0 +1,107 @@
+// src/components/FoolRevealScreen.jsx
+
+import React, { useEffect, useRef } from "react";
+import { renderStrokes } from "../drawing/strokes";
+import { FOOL_VARIANTS, isFooled } from "../game/foolMode";
+import GuessBars from "./GuessBars";
+
+const SCALE = 0.35;
+const pct = (p) => `${Math.round((p ?? 0) * 100)}%`;
+
+const buttonStyle = {
+  color: "#fff",
+  fontWeight: "bold",
+  padding: "10px 20px",
+  borderRadius: 6,
+  border: "none",
+  cursor: "pointer",
+};
+
+/**
+ * End of a "Fool the AI" round: the drawing, the model's final top guesses
+ * and whether it was fooled. A human judge then rules on whether the drawing
+ * really is the word (onJudge(accepted)); once they have, the round's points
+ * show and onContinue moves on.
+ */
+export default function FoolRevealScreen({ result, config, roundIndex, totalRounds, points, onJudge, onContinue }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (ctx && result) renderStrokes(ctx, result.strokes);
+  }, [result]);
+
+  if (!result) return null;
+
+  const fooled = isFooled(result, config);
+  const judged = result.accepted !== undefined;
+  const decoy = config.foolVariant === FOOL_VARIANTS.DECOY;
+  const top = result.top ?? [];
+  const margin = top.length > 1 ? top[0].prob - top[1].prob : top[0]?.prob ?? 0;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        background: "rgba(0,0,0,0.85)",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 8,
+        zIndex: 5,
+      }}
+    >
+      <p style={{ fontSize: 12, color: "#9ca3af" }}>
+        ROUND {roundIndex + 1} / {totalRounds}
+      </p>
+      <h2 style={{ fontSize: 24, fontWeight: "bold", color: fooled ? "#22c55e" : "#ef4444" }}>
+        {fooled ? "🎭 The AI was fooled!" : "🤖 The AI saw through it"}
+      </h2>
+      <p style={{ fontSize: 13, color: "#d1d5db" }}>
+        {decoy
+          ? `Wanted "${result.decoy}" (${pct(result.decoyProb)}), the AI said "${top[0]?.label ?? "nothing"}"`
+          : `AI confidence in "${result.word}": ${pct(result.targetProb)} (needed under ${pct(config.foolThreshold)})`}
+      </p>
+      <div style={{ display: "flex", gap: 16, alignItems: "flex-start" }}>
+        <canvas
+          ref={canvasRef}
+          width={640}
+          height={480}
+          style={{ width: 640 * SCALE, height: 480 * SCALE, background: "#fff", borderRadius: 4 }}
+        />
+        {top.length > 0 ? (
+          <GuessBars guesses={top} margin={margin} targetWord={result.word} />
+        ) : (
+          <p style={{ fontFamily: "monospace", fontSize: 11, color: "#9ca3af", width: 180 }}>Nothing was drawn</p>
+        )}
+      </div>
+
+      {judged ? (
+        <>
+          <p style={{ fontSize: 18, fontWeight: "bold", color: "#fbbf24" }}>
+            {result.accepted ? `+${points} points` : "❌ Judge rejected the drawing"}
+          </p>
+          <button onClick={() => onContinue()} style={{ ...buttonStyle, background: "#16a34a" }}>
+            {roundIndex + 1 < totalRounds ? "▶ Next round" : "▶ Results"}
+          </button>
+        </>
+      ) : (
+        <>
+          <p style={{ marginTop: 4, fontSize: 14 }}>
+            Judge: is this a <b style={{ color: "#fbbf24" }}>{result.word}</b>?
+          </p>
+          <div style={{ display: "flex", gap: 12 }}>
+            <button onClick={() => onJudge(true)} style={{ ...buttonStyle, background: "#16a34a" }}>
+              ✅ Accept
+            </button>
+            <button onClick={() => onJudge(false)} style={{ ...buttonStyle, background: "#b91c1c" }}>
+              ❌ Reject
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+// src/components/GameOverScreen.jsx
+
+import React from "react";
+import { leaderboard, TEAM_COLORS, TEAM_NAMES } from "../game/hotSeat";
+import { PLAY_MODES } from "../game/playModes";
+import DailyShare from "./DailyShare";
+
+const cellStyle = {
+  padding: "4px 12px",
+  borderBottom: "1px solid #374151",
+  textAlign: "left",
+};
+
+const MEDALS = ["🥇", "🥈", "🥉"];
+
+function Leaderboard({ title, rows, colorOf }) {
+  return (
+    <div>
+      <h3 style={{ fontSize: 14, fontWeight: "bold", color: "#9ca3af", textAlign: "center" }}>{title}</h3>
+      <table style={{ fontFamily: "monospace", fontSize: 13, borderCollapse: "collapse" }}>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.name}>
+              <td style={cellStyle}>{MEDALS[row.rank - 1] ?? `${row.rank}.`}</td>
+              <td style={{ ...cellStyle, color: colorOf?.(row.name) ?? "#f9fafb", fontWeight: "bold" }}>{row.name}</td>
+              <td style={cellStyle}>
+                {row.score}/{row.turns}
+              </td>
+              <td style={cellStyle}>{row.score > 0 ? `${row.seconds.toFixed(1)}s` : "–"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function GameOverScreen({ results, playerName, versus, mode, points, share, onPlayAgain }) {
+  // Reverse and fool modes score points per round instead
+  const reverse = mode === PLAY_MODES.REVERSE;
+  const fool = mode === PLAY_MODES.FOOL;
+  const daily = mode === PLAY_MODES.DAILY;
+  const recognized = results.filter((r) => r.recognized).length;
+  const fooled = fool ? points.filter((p) => p > 0).length : 0;
+  const hotSeat = results.some((r) => r.player);
+  const teams = results.some((r) => r.team);
+  const teamOf = (name) => results.find((r) => r.player === name)?.team;
+  const teamColor = (team) => TEAM_COLORS[TEAM_NAMES.indexOf(team)];
+  // Online head-to-head: rounds won by each side
+  const lead = versus ? versus.tally.me - versus.tally.opponent : 0;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        background: "rgba(0,0,0,0.85)",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 12,
+        zIndex: 5,
+      }}
+    >
+      <h2 style={{ fontSize: 24, fontWeight: "bold", color: "#fbbf24" }}>
+        Game Over
+      </h2>
+      <p style={{ fontSize: 14 }}>
+        {reverse && `You guessed ${recognized} of ${results.length} drawings`}
+        {fool && `You fooled the AI with ${fooled} of ${results.length} drawings`}
+        {!reverse && !fool && `The AI recognised ${recognized} of ${results.length} drawings`}
+      </p>
+      {points && (
+        <p style={{ fontSize: 20, fontWeight: "bold", color: "#fbbf24" }}>
+          {points.reduce((a, b) => a + b, 0)} points
+        </p>
+      )}
+      {versus && (
+        <p style={{ fontSize: 20, fontWeight: "bold", color: lead >= 0 ? "#22c55e" : "#ef4444" }}>
+          {lead > 0 ? "🏆 You win" : lead < 0 ? `${versus.name} wins` : "Draw"} · {versus.tally.me} – {versus.tally.opponent}
+        </p>
+      )}
+      {hotSeat && (
+        <div style={{ display: "flex", gap: 24, alignItems: "flex-start" }}>
+          {teams && <Leaderboard title="TEAMS" rows={leaderboard(results, "team")} colorOf={teamColor} />}
+          <Leaderboard
+            title="PLAYERS"
+            rows={leaderboard(results, "player")}
+            colorOf={teams ? (name) => teamColor(teamOf(name)) : undefined}
+          />
+        </div>
+      )}
+      <p style={{ fontSize: 12, color: "#9ca3af" }}>
+        {hotSeat || versus ? "Multiplayer games are not saved to player stats" : reverse || fool || daily ? "Only solo games are saved to player stats" : playerName ? `Saved to ${playerName}'s stats` : "Playing as guest – pick a player in the lobby to keep stats"}
+      </p>
+
+      {share && <DailyShare text={share} />}
+
+      <table style={{ fontFamily: "monospace", fontSize: 13, borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ color: "#9ca3af" }}>
+            <th style={cellStyle}>#</th>
+            {hotSeat && <th style={cellStyle}>Player</th>}
+            <th style={cellStyle}>Word</th>
+            {fool ? (
+              <th style={cellStyle}>AI saw</th>
+            ) : (
+              <th style={cellStyle}>{reverse ? "Guessed?" : "AI got it?"}</th>
+            )}
+            <th style={cellStyle}>Time</th>
+            {points && <th style={cellStyle}>Points</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {results.map((r, i) => (
+            <tr key={i}>
+              <td style={cellStyle}>{i + 1}</td>
+              {hotSeat && <td style={{ ...cellStyle, color: teamColor(r.team) }}>{r.player}</td>}
+              <td style={cellStyle}>{r.word}</td>
+              {fool ? (
+                <td style={{ ...cellStyle, color: points[i] > 0 ? "#22c55e" : "#ef4444" }}>
+                  {r.top?.[0]?.label ?? "–"}
+                  {r.accepted === false && " (rejected)"}
+                </td>
+              ) : (
+                <td style={{ ...cellStyle, color: r.recognized ? "#22c55e" : "#ef4444" }}>
+                  {r.recognized ? "✅ yes" : "❌ missed"}
+                </td>
+              )}
+              <td style={cellStyle}>{r.seconds.toFixed(1)}s</td>
+              {points && <td style={cellStyle}>{points[i]}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        onClick={onPlayAgain}
+        style={{
+          marginTop: 8,
+          background: "#16a34a",
+          color: "#fff",
+          fontWeight: "bold",
+          padding: "10px 20px",
+          borderRadius: 6,
+          border: "none",
+          cursor: "pointer",
+        }}
+      >
+        Play Again
+      </button>
+    </div>
+  );
+}
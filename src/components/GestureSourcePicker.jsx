@@ -0,0 +1,51 @@
+// src/components/GestureSourcePicker.jsx
+
+import React from "react";
+import { GESTURE_SOURCES } from "../capturehands/gestureActions";
+
+export default function GestureSourcePicker({ gestureSource, activeGestureSource, gestureModelError, onSelect }) {
+  const fellBack = gestureSource !== GESTURE_SOURCES.RULES && activeGestureSource !== gestureSource;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 6, marginTop: 12 }}>
+      <label style={{ fontSize: 12, color: "#d1d5db" }}>
+        Hand gestures{" "}
+        <select
+          value={gestureSource}
+          onChange={(e) => onSelect(e.target.value)}
+          style={{
+            marginLeft: 6,
+            padding: "4px 6px",
+            borderRadius: 4,
+            border: "1px solid #4b5563",
+            background: "#111827",
+            color: "#f9fafb",
+          }}
+        >
+          <option value={GESTURE_SOURCES.RULES}>Finger rules</option>
+          <option value={GESTURE_SOURCES.LEARNED}>Learned classifier</option>
+          <option value={GESTURE_SOURCES.CUSTOM}>My trained gestures</option>
+        </select>
+        {fellBack && !gestureModelError && (
+          <span style={{ marginLeft: 8, color: "#9ca3af" }}>loading…</span>
+        )}
+      </label>
+
+      {fellBack && gestureModelError && (
+        <div
+          style={{
+            background: "rgba(0,0,0,0.7)",
+            border: "1px solid #facc15",
+            color: "#facc15",
+            padding: "6px 12px",
+            borderRadius: 6,
+            fontSize: 12,
+            maxWidth: 480,
+          }}
+        >
+          ⚠ {gestureModelError}. Using finger rules instead.
+        </div>
+      )}
+    </div>
+  );
+}
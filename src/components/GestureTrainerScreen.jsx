@@ -0,0 +1,363 @@
+// src/components/GestureTrainerScreen.jsx
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import Webcam from "react-webcam";
+import useHandTracking from "../capturehands/useHandTracking";
+import { getVideoCanvasGeometry, videoToCanvasPoint } from "../capturehands/coordinates";
+import {
+  cleanLabel,
+  countByLabel,
+  downloadCsv,
+  landmarksToFeatures,
+  parseSamplesCsv,
+  samplesToCsv,
+} from "../capturehands/gestureDataset";
+import {
+  DEFAULT_TRAINING,
+  deleteSavedGestureModel,
+  hasSavedGestureModel,
+  trainGestureModel,
+} from "../capturehands/gestureTrainer";
+import CONFIGS from "../constants";
+
+// One sample per this many ms while recording (~10 per second)
+const RECORD_EVERY_MS = 100;
+
+const panelStyle = {
+  background: "rgba(0,0,0,0.7)",
+  padding: "8px 12px",
+  borderRadius: 6,
+  border: "1px solid #4b5563",
+  fontSize: 12,
+};
+
+const buttonStyle = {
+  background: "#374151",
+  color: "#fff",
+  fontWeight: "bold",
+  padding: "8px 14px",
+  borderRadius: 6,
+  border: "none",
+  cursor: "pointer",
+};
+
+const inputStyle = {
+  padding: "4px 6px",
+  borderRadius: 4,
+  border: "1px solid #4b5563",
+  background: "#111827",
+  color: "#f9fafb",
+};
+
+/**
+ * Record labelled hand landmarks from the webcam, train a custom gesture
+ * classifier on them and keep it in IndexedDB for the "My trained gestures"
+ * source in the game.
+ */
+export default function GestureTrainerScreen() {
+  const webcamRef = useRef(null);
+  const canvasRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const [label, setLabel] = useState(CONFIGS.keypointClassifierLabels[0]);
+  const [samples, setSamples] = useState([]);
+  const [recording, setRecording] = useState(false);
+  const [handVisible, setHandVisible] = useState(false);
+  const [epochs, setEpochs] = useState(DEFAULT_TRAINING.epochs);
+  const [training, setTraining] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [hasSavedModel, setHasSavedModel] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const recordingRef = useRef(false);
+  const trainingRef = useRef(false);
+  const labelRef = useRef(label);
+  const lastSampleRef = useRef(0);
+
+  useEffect(() => {
+    recordingRef.current = recording;
+    labelRef.current = cleanLabel(label);
+  }, [recording, label]);
+
+  useEffect(() => {
+    hasSavedGestureModel().then(setHasSavedModel);
+  }, []);
+
+  const { isReady, error, detect } = useHandTracking();
+
+  // ─── Detect loop: draw the hand, add samples while recording ───
+  useEffect(() => {
+    if (!isReady) return;
+    let rafId = null;
+    let cancelled = false;
+
+    const loop = async () => {
+      if (cancelled) return;
+      const videoEl = webcamRef.current?.video;
+      const canvas = canvasRef.current;
+
+      // Training borrows the CPU backend; leave the hand detector alone until it's done
+      if (videoEl && canvas && videoEl.videoWidth > 0 && !trainingRef.current) {
+        if (canvas.width !== videoEl.videoWidth) {
+          canvas.width = videoEl.videoWidth;
+          canvas.height = videoEl.videoHeight;
+        }
+
+        const hands = await detect(videoEl);
+        const lm = hands[0]?.landmarks ?? null;
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        setHandVisible(lm !== null);
+
+        if (lm) {
+          const geometry = getVideoCanvasGeometry(videoEl, canvas);
+          ctx.fillStyle = recordingRef.current ? "#ef4444" : "#22c55e";
+          lm.forEach((p) => {
+            const { x, y } = videoToCanvasPoint(p, geometry);
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+          });
+
+          const now = Date.now();
+          if (recordingRef.current && labelRef.current && now - lastSampleRef.current >= RECORD_EVERY_MS) {
+            lastSampleRef.current = now;
+            const features = landmarksToFeatures(lm, videoEl.videoWidth, videoEl.videoHeight);
+            setSamples((prev) => [...prev, { label: labelRef.current, features }]);
+          }
+        }
+      }
+
+      if (!cancelled) rafId = requestAnimationFrame(loop);
+    };
+
+    loop();
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(rafId);
+    };
+  }, [isReady, detect]);
+
+  // ─── Dataset ───
+  const counts = countByLabel(samples);
+
+  const removeLabel = (name) => {
+    setSamples((prev) => prev.filter((s) => s.label !== name));
+  };
+
+  const exportCsv = () => {
+    downloadCsv("gesture-samples.csv", samplesToCsv(samples));
+  };
+
+  const importCsv = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseSamplesCsv(await file.text());
+      setSamples((prev) => [...prev, ...imported]);
+      setMessage(`Imported ${imported.length} samples from ${file.name}`);
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    }
+  };
+
+  // ─── Training ───
+  const train = useCallback(async () => {
+    setRecording(false);
+    setTraining(true);
+    trainingRef.current = true;
+    setMessage(null);
+    setProgress(null);
+
+    try {
+      const { model, labels } = await trainGestureModel(samples, {
+        epochs,
+        onEpochEnd: (epoch, total, logs) => setProgress({ epoch, total, ...logs }),
+      });
+      model.dispose();
+      setHasSavedModel(true);
+      setMessage(`✅ Saved ${labels.length} gestures (${labels.join(", ")}) to this browser`);
+    } catch (err) {
+      console.error("❌ [GestureTrainer] training failed:", err);
+      setMessage(`❌ ${err.message}`);
+    } finally {
+      trainingRef.current = false;
+      setTraining(false);
+    }
+  }, [samples, epochs]);
+
+  const deleteModel = async () => {
+    try {
+      await deleteSavedGestureModel();
+      setHasSavedModel(false);
+      setMessage("Saved gesture model deleted");
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    }
+  };
+
+  if (error) {
+    return (
+      <div style={{ ...panelStyle, background: "#b91c1c", maxWidth: 400, margin: "40px auto" }}>
+        <p style={{ fontWeight: "bold" }}>Model Error:</p>
+        <p style={{ marginTop: 8 }}>{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      style={{
+        background: "#1f2937",
+        minHeight: "100vh",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        color: "#f9fafb",
+        gap: 16,
+      }}
+    >
+      <h1 style={{ fontSize: 32, fontWeight: "bold", color: "#fbbf24" }}>GESTURE TRAINER</h1>
+
+      <div style={{ display: "flex", gap: 16, alignItems: "flex-start" }}>
+        <div
+          style={{
+            position: "relative",
+            width: 640,
+            height: 480,
+            borderRadius: 8,
+            overflow: "hidden",
+            background: "#000",
+            border: recording ? "3px solid #ef4444" : "3px solid transparent",
+          }}
+        >
+          <Webcam
+            ref={webcamRef}
+            audio={false}
+            mirrored={true}
+            videoConstraints={{ width: 640, height: 480, facingMode: "user" }}
+            style={{ position: "absolute", inset: 0, width: "100%", height: "100%", objectFit: "cover" }}
+          />
+          <canvas
+            ref={canvasRef}
+            style={{ position: "absolute", inset: 0, width: "100%", height: "100%" }}
+          />
+          <div style={{ ...panelStyle, position: "absolute", top: 12, left: 12 }}>
+            HAND:{" "}
+            <span style={{ color: handVisible ? "#22c55e" : "#ef4444" }}>
+              {!isReady ? "LOADING…" : handVisible ? "DETECTED" : "NOT DETECTED"}
+            </span>
+          </div>
+        </div>
+
+        <div style={{ display: "flex", flexDirection: "column", gap: 12, width: 280 }}>
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>1. RECORD</h3>
+            <label style={{ display: "block", marginBottom: 8 }}>
+              Gesture{" "}
+              <input
+                list="gesture-labels"
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+                disabled={recording || training}
+                style={{ ...inputStyle, width: 150 }}
+              />
+              <datalist id="gesture-labels">
+                {CONFIGS.keypointClassifierLabels.map((l) => (
+                  <option key={l} value={l} />
+                ))}
+              </datalist>
+            </label>
+            <button
+              onClick={() => setRecording((r) => !r)}
+              disabled={!isReady || training || !cleanLabel(label)}
+              style={{ ...buttonStyle, background: recording ? "#dc2626" : "#374151" }}
+            >
+              {recording ? "■ Stop" : "● Record"}
+            </button>
+            <p style={{ marginTop: 8, color: "#9ca3af" }}>
+              Hold the sign and move it around a little while recording. Names like
+              Pointing_Up, Open_Palm, Thumb_Up or Victory keep their in-game actions.
+            </p>
+          </div>
+
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>SAMPLES ({samples.length})</h3>
+            {Object.keys(counts).length === 0 && <p style={{ color: "#9ca3af" }}>None yet</p>}
+            {Object.entries(counts).map(([name, count]) => (
+              <div key={name} style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <span style={{ fontFamily: "monospace" }}>
+                  {name}: {count}
+                </span>
+                <button
+                  onClick={() => removeLabel(name)}
+                  disabled={recording || training}
+                  style={{ ...buttonStyle, padding: "2px 8px", fontWeight: "normal" }}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+              <button onClick={exportCsv} disabled={samples.length === 0} style={buttonStyle}>
+                ⬇ CSV
+              </button>
+              <button onClick={() => fileInputRef.current?.click()} disabled={training} style={buttonStyle}>
+                ⬆ CSV
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,text/csv"
+                onChange={importCsv}
+                style={{ display: "none" }}
+              />
+            </div>
+          </div>
+
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>2. TRAIN</h3>
+            <label style={{ display: "block", marginBottom: 8 }}>
+              Epochs{" "}
+              <input
+                type="number"
+                min={10}
+                max={1000}
+                value={epochs}
+                onChange={(e) => setEpochs(Math.max(10, Number(e.target.value) || DEFAULT_TRAINING.epochs))}
+                disabled={training}
+                style={{ ...inputStyle, width: 80 }}
+              />
+            </label>
+            <button
+              onClick={train}
+              disabled={training || Object.keys(counts).length < 2}
+              style={{ ...buttonStyle, background: "#16a34a" }}
+            >
+              {training ? "Training…" : "Train & Save"}
+            </button>
+            {progress && (
+              <p style={{ marginTop: 8, fontFamily: "monospace" }}>
+                epoch {progress.epoch}/{progress.total} · loss {progress.loss?.toFixed(3)} · acc{" "}
+                {((progress.acc ?? 0) * 100).toFixed(0)}%
+                {progress.val_acc !== undefined && ` · val ${(progress.val_acc * 100).toFixed(0)}%`}
+              </p>
+            )}
+            {hasSavedModel && (
+              <div style={{ marginTop: 8, display: "flex", alignItems: "center", gap: 8 }}>
+                <span style={{ color: "#22c55e" }}>Saved model in this browser</span>
+                <button onClick={deleteModel} disabled={training} style={{ ...buttonStyle, padding: "2px 8px" }}>
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+
+          {message && <div style={panelStyle}>{message}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+// src/components/GuessBars.jsx
+
+import React from "react";
+
+const norm = (s) => (s ?? "").toLowerCase().trim();
+
+/**
+ * Live top-k guesses as confidence bars. Widths animate with a CSS transition
+ * so the bars slide as the EMA probabilities move.
+ */
+export default function GuessBars({ guesses, margin, targetWord }) {
+  if (!guesses || guesses.length === 0) {
+    return (
+      <p style={{ fontFamily: "monospace", fontSize: 11, color: "#9ca3af" }}>
+        Start drawing…
+      </p>
+    );
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 4, width: 180 }}>
+      {guesses.map(({ label, prob }) => {
+        const isTarget = norm(label) === norm(targetWord);
+        return (
+          <div key={label}>
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                fontFamily: "monospace",
+                fontSize: 11,
+                fontWeight: isTarget ? "bold" : "normal",
+                color: isTarget ? "#fbbf24" : "#d1d5db",
+              }}
+            >
+              <span>{isTarget ? `★ ${label}` : label}</span>
+              <span>{Math.round(prob * 100)}%</span>
+            </div>
+            <div
+              style={{
+                height: 6,
+                background: "#374151",
+                borderRadius: 3,
+                overflow: "hidden",
+              }}
+            >
+              <div
+                style={{
+                  height: "100%",
+                  width: `${Math.min(100, prob * 100)}%`,
+                  background: isTarget ? "#fbbf24" : "#22c55e",
+                  transition: "width 300ms ease-out",
+                }}
+              />
+            </div>
+          </div>
+        );
+      })}
+      <p style={{ fontFamily: "monospace", fontSize: 10, color: "#9ca3af", marginTop: 2 }}>
+        margin: {(margin * 100).toFixed(0)}%
+      </p>
+    </div>
+  );
+}
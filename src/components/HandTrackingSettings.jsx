@@ -0,0 +1,55 @@
+// src/components/HandTrackingSettings.jsx
+
+import React from "react";
+import { DETECTOR_BACKENDS, DETECTOR_LABELS } from "../capturehands/handDetectors";
+import { HANDEDNESS } from "../capturehands/handRoles";
+
+const selectStyle = {
+  marginLeft: 6,
+  padding: "4px 6px",
+  borderRadius: 4,
+  border: "1px solid #4b5563",
+  background: "#111827",
+  color: "#f9fafb",
+};
+
+export default function HandTrackingSettings({
+  detectorBackend,
+  activeDetectorBackend,
+  dominantHand,
+  onSelectDetector,
+  onSelectDominantHand,
+}) {
+  const fellBack = activeDetectorBackend && activeDetectorBackend !== detectorBackend;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 6, marginTop: 12 }}>
+      <div style={{ display: "flex", gap: 16, fontSize: 12, color: "#d1d5db" }}>
+        <label>
+          Hand detector
+          <select value={detectorBackend} onChange={(e) => onSelectDetector(e.target.value)} style={selectStyle}>
+            {Object.values(DETECTOR_BACKENDS).map((b) => (
+              <option key={b} value={b}>
+                {DETECTOR_LABELS[b]}
+              </option>
+            ))}
+          </select>
+          {!activeDetectorBackend && <span style={{ marginLeft: 8, color: "#9ca3af" }}>loading…</span>}
+        </label>
+        <label>
+          Draw with
+          <select value={dominantHand} onChange={(e) => onSelectDominantHand(e.target.value)} style={selectStyle}>
+            <option value={HANDEDNESS.RIGHT}>Right hand</option>
+            <option value={HANDEDNESS.LEFT}>Left hand</option>
+          </select>
+        </label>
+      </div>
+
+      {fellBack && (
+        <div style={{ color: "#facc15", fontSize: 12 }}>
+          ⚠ {DETECTOR_LABELS[detectorBackend]} didn't load; using {DETECTOR_LABELS[activeDetectorBackend]}
+        </div>
+      )}
+    </div>
+  );
+}
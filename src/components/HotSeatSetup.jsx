@@ -0,0 +1,90 @@
+// src/components/HotSeatSetup.jsx
+
+import React from "react";
+import { MAX_PLAYERS, TEAM_COLORS, TEAM_NAMES, TURN_ORDERS } from "../game/hotSeat";
+import { PLAY_MODES } from "../game/playModes";
+
+const inputStyle = {
+  padding: "4px 6px",
+  borderRadius: 4,
+  border: "1px solid #4b5563",
+  background: "#111827",
+  color: "#f9fafb",
+};
+
+const smallButtonStyle = {
+  background: "#374151",
+  color: "#fff",
+  padding: "4px 10px",
+  borderRadius: 4,
+  border: "none",
+  cursor: "pointer",
+};
+
+/**
+ * Player names (and teams) for a hot-seat game, in turn order. Edits go
+ * through onChange({ players }) / onChange({ turnOrder }).
+ */
+export default function HotSeatSetup({ mode, players, turnOrder, error, onChange }) {
+  const teams = mode === PLAY_MODES.TEAMS;
+
+  const update = (i, patch) => {
+    onChange({ players: players.map((p, j) => (j === i ? { ...p, ...patch } : p)) });
+  };
+  const remove = (i) => onChange({ players: players.filter((_, j) => j !== i) });
+  const add = () => {
+    onChange({
+      players: [...players, { name: `Player ${players.length + 1}`, team: players.length % TEAM_NAMES.length }],
+    });
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 6, fontSize: 14 }}>
+      {players.map((p, i) => (
+        <div key={i} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <span style={{ width: 20, color: "#9ca3af", textAlign: "right" }}>{i + 1}.</span>
+          <input
+            type="text"
+            value={p.name}
+            maxLength={20}
+            onChange={(e) => update(i, { name: e.target.value })}
+            style={{ ...inputStyle, width: 120 }}
+          />
+          {teams && (
+            <select
+              value={p.team}
+              onChange={(e) => update(i, { team: Number(e.target.value) })}
+              style={{ ...inputStyle, color: TEAM_COLORS[p.team] }}
+            >
+              {TEAM_NAMES.map((name, t) => (
+                <option key={name} value={t}>
+                  Team {name}
+                </option>
+              ))}
+            </select>
+          )}
+          <button onClick={() => remove(i)} title="Remove player" style={smallButtonStyle}>
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+        <button onClick={add} disabled={players.length >= MAX_PLAYERS} style={smallButtonStyle}>
+          + Add player
+        </button>
+        <label>
+          Turn order
+          <select
+            value={turnOrder}
+            onChange={(e) => onChange({ turnOrder: e.target.value })}
+            style={{ ...inputStyle, marginLeft: 8 }}
+          >
+            <option value={TURN_ORDERS.FIXED}>as listed</option>
+            <option value={TURN_ORDERS.SHUFFLED}>shuffled</option>
+          </select>
+        </label>
+      </div>
+      {error && <p style={{ color: "#ef4444", fontSize: 12 }}>{error}</p>}
+    </div>
+  );
+}
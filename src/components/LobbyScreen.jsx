@@ -0,0 +1,247 @@
+// src/components/LobbyScreen.jsx
+
+import React, { useState } from "react";
+import { DIFFICULTIES } from "../game/wordDeck";
+import { isMultiplayer, validatePlayers } from "../game/hotSeat";
+import { PLAY_MODES } from "../game/playModes";
+import { FOOL_VARIANTS } from "../game/foolMode";
+import { DAILY_ROUND_SECONDS, DAILY_ROUNDS } from "../game/dailyChallenge";
+import ProfilePicker from "./ProfilePicker";
+import HotSeatSetup from "./HotSeatSetup";
+import OnlineSetup from "./OnlineSetup";
+import DailyShare from "./DailyShare";
+
+const DEFAULT_PLAYERS = [
+  { name: "Player 1", team: 0 },
+  { name: "Player 2", team: 1 },
+];
+
+/** Why the online game can't start from this side yet, or null. */
+function onlineStartError(online) {
+  if (!online?.opponent) return "Join a room with an opponent first";
+  if (!online.isHost) return "The host starts the game";
+  return null;
+}
+
+/** Why today's challenge can't be started, or null. */
+function dailyStartError(daily) {
+  if (!daily || daily.loading) return "Loading today's challenge…";
+  if (daily.error) return daily.error;
+  if (daily.played) return "Come back tomorrow for a new challenge";
+  return null;
+}
+
+export default function LobbyScreen({ config, disabled, onStart, profiles, online, reverse, daily }) {
+  const [roundSeconds, setRoundSeconds] = useState(config.roundSeconds);
+  const [totalRounds, setTotalRounds] = useState(config.totalRounds);
+  const [difficulty, setDifficulty] = useState(config.difficulty);
+  const [seed, setSeed] = useState(config.seed);
+  const [mode, setMode] = useState(config.mode);
+  const [players, setPlayers] = useState(config.players.length > 0 ? config.players : DEFAULT_PLAYERS);
+  const [turnOrder, setTurnOrder] = useState(config.turnOrder);
+  const [foolVariant, setFoolVariant] = useState(config.foolVariant);
+  const [foolPercent, setFoolPercent] = useState(Math.round(config.foolThreshold * 100));
+
+  const multiplayer = isMultiplayer(mode);
+  const onlineMode = mode === PLAY_MODES.ONLINE;
+  const reverseMode = mode === PLAY_MODES.REVERSE;
+  const foolMode = mode === PLAY_MODES.FOOL;
+  const dailyMode = mode === PLAY_MODES.DAILY;
+  let startError = validatePlayers(mode, players);
+  if (onlineMode) startError = onlineStartError(online);
+  else if (dailyMode) startError = dailyStartError(daily);
+  else if (reverseMode && !reverse?.ready) startError = reverse?.error ?? "No sample drawings for this model's words";
+  const roundsLabel = {
+    [PLAY_MODES.SOLO]: "Rounds",
+    [PLAY_MODES.PLAYERS]: "Rounds (one turn each)",
+    [PLAY_MODES.TEAMS]: "Rounds (one turn per team)",
+    [PLAY_MODES.ONLINE]: "Rounds",
+    [PLAY_MODES.REVERSE]: "Rounds",
+    [PLAY_MODES.FOOL]: "Rounds",
+  }[mode];
+
+  const inputStyle = {
+    width: 64,
+    marginLeft: 8,
+    padding: "4px 6px",
+    borderRadius: 4,
+    border: "1px solid #4b5563",
+    background: "#111827",
+    color: "#f9fafb",
+  };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        background: "rgba(0,0,0,0.8)",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 12,
+        zIndex: 5,
+      }}
+    >
+      <h2 style={{ fontSize: 24, fontWeight: "bold", color: "#fbbf24" }}>
+        New Game
+      </h2>
+      <label style={{ fontSize: 14 }}>
+        Mode
+        <select value={mode} onChange={(e) => setMode(e.target.value)} style={{ ...inputStyle, width: 140 }}>
+          <option value={PLAY_MODES.SOLO}>Solo</option>
+          <option value={PLAY_MODES.PLAYERS}>Hot seat (2–8 players)</option>
+          <option value={PLAY_MODES.TEAMS}>Two teams</option>
+          {online && <option value={PLAY_MODES.ONLINE}>Online head-to-head</option>}
+          {reverse && <option value={PLAY_MODES.REVERSE}>Reverse: AI draws, you guess</option>}
+          <option value={PLAY_MODES.FOOL}>Fool the AI</option>
+          {daily && <option value={PLAY_MODES.DAILY}>Daily challenge</option>}
+        </select>
+      </label>
+      {dailyMode && daily && (
+        <>
+          <p style={{ fontSize: 13, color: "#d1d5db", maxWidth: 320, textAlign: "center" }}>
+            {daily.today}: the same {DAILY_ROUNDS} words for everyone, {DAILY_ROUND_SECONDS}s each. One attempt per day.
+          </p>
+          {daily.played &&
+            (daily.share ? <DailyShare text={daily.share} /> : (
+              <p style={{ fontSize: 12, color: "#9ca3af" }}>Today's attempt was started but not finished.</p>
+            ))}
+        </>
+      )}
+      {foolMode && (
+        <>
+          <label style={{ fontSize: 14 }}>
+            Goal
+            <select
+              value={foolVariant}
+              onChange={(e) => setFoolVariant(e.target.value)}
+              style={{ ...inputStyle, width: 220 }}
+            >
+              <option value={FOOL_VARIANTS.HIDE}>Hide the word from the AI</option>
+              <option value={FOOL_VARIANTS.DECOY}>Make the AI see another word</option>
+            </select>
+          </label>
+          {foolVariant === FOOL_VARIANTS.HIDE && (
+            <label style={{ fontSize: 14 }}>
+              Keep the AI under (%)
+              <input
+                type="number"
+                min={1}
+                max={99}
+                value={foolPercent}
+                onChange={(e) => setFoolPercent(Number(e.target.value))}
+                style={inputStyle}
+              />
+            </label>
+          )}
+          <p style={{ fontSize: 12, color: "#9ca3af", maxWidth: 320, textAlign: "center" }}>
+            Each drawing must still pass a human judge at the end of the round.
+          </p>
+        </>
+      )}
+      {multiplayer && (
+        <HotSeatSetup
+          mode={mode}
+          players={players}
+          turnOrder={turnOrder}
+          error={startError}
+          onChange={(change) => {
+            if (change.players) setPlayers(change.players);
+            if (change.turnOrder) setTurnOrder(change.turnOrder);
+          }}
+        />
+      )}
+      {onlineMode && <OnlineSetup online={online} defaultName={profiles?.activeProfile?.name} />}
+      {profiles && mode === PLAY_MODES.SOLO && (
+        <ProfilePicker
+          profiles={profiles.profiles}
+          activeProfile={profiles.activeProfile}
+          onSelect={profiles.selectProfile}
+          onCreate={profiles.addProfile}
+        />
+      )}
+      {!dailyMode && (
+        <>
+          <label style={{ fontSize: 14 }}>
+            Seconds per round
+            <input
+              type="number"
+              min={5}
+              max={120}
+              value={roundSeconds}
+              onChange={(e) => setRoundSeconds(Number(e.target.value))}
+              style={inputStyle}
+            />
+          </label>
+          <label style={{ fontSize: 14 }}>
+            {roundsLabel}
+            <input
+              type="number"
+              min={1}
+              max={20}
+              value={totalRounds}
+              onChange={(e) => setTotalRounds(Number(e.target.value))}
+              style={inputStyle}
+            />
+          </label>
+          {!reverseMode && (
+            <label style={{ fontSize: 14 }}>
+              Difficulty
+              <select
+                value={difficulty}
+                onChange={(e) => setDifficulty(e.target.value)}
+                style={{ ...inputStyle, width: 96 }}
+              >
+                {DIFFICULTIES.map((d) => (
+                  <option key={d} value={d}>
+                    {d}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label style={{ fontSize: 14 }}>
+            Seed
+            <input
+              type="text"
+              placeholder="random"
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              style={{ ...inputStyle, width: 96 }}
+            />
+          </label>
+        </>
+      )}
+      <button
+        disabled={disabled || Boolean(startError)}
+        onClick={() =>
+          onStart({
+            roundSeconds: Math.max(5, roundSeconds || config.roundSeconds),
+            totalRounds: Math.max(1, totalRounds || config.totalRounds),
+            difficulty,
+            seed: seed.trim(),
+            mode,
+            players: players.map((p) => ({ ...p, name: p.name.trim() })),
+            turnOrder,
+            foolVariant,
+            foolThreshold: Math.min(99, Math.max(1, foolPercent || 1)) / 100,
+          })
+        }
+        style={{
+          marginTop: 8,
+          background: disabled || startError ? "#4b5563" : "#16a34a",
+          color: "#fff",
+          fontWeight: "bold",
+          padding: "10px 20px",
+          borderRadius: 6,
+          border: "none",
+          cursor: disabled || startError ? "not-allowed" : "pointer",
+        }}
+      >
+        {disabled ? "Loading model…" : ((onlineMode || dailyMode) && startError) || "Start Game"}
+      </button>
+    </div>
+  );
+}
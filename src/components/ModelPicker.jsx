@@ -0,0 +1,54 @@
+// src/components/ModelPicker.jsx
+
+import React from "react";
+
+export default function ModelPicker({ models, activeModelId, isModelReady, modelError, disabled, onSelect }) {
+  if (models.length === 0 && !modelError) return null;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 6, marginTop: 12 }}>
+      <label style={{ fontSize: 12, color: "#d1d5db" }}>
+        AI model{" "}
+        <select
+          value={activeModelId ?? ""}
+          disabled={disabled || models.length < 2}
+          onChange={(e) => onSelect(e.target.value)}
+          style={{
+            marginLeft: 6,
+            padding: "4px 6px",
+            borderRadius: 4,
+            border: "1px solid #4b5563",
+            background: "#111827",
+            color: "#f9fafb",
+          }}
+        >
+          {activeModelId === null && <option value="">—</option>}
+          {models.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.name}
+              {m.version ? ` (v${m.version})` : ""}
+            </option>
+          ))}
+        </select>
+        {!isModelReady && !modelError && (
+          <span style={{ marginLeft: 8, color: "#9ca3af" }}>loading…</span>
+        )}
+      </label>
+
+      {modelError && (
+        <div
+          style={{
+            background: "#b91c1c",
+            color: "#fff",
+            padding: "6px 12px",
+            borderRadius: 6,
+            fontSize: 12,
+            maxWidth: 480,
+          }}
+        >
+          <strong>Model Error:</strong> {modelError}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+// src/components/OnlineSetup.jsx
+
+import React, { useState } from "react";
+import { DEFAULT_RELAY_URL } from "../game/relayClient";
+import { CONNECTION } from "../game/useHeadToHead";
+
+const inputStyle = {
+  marginLeft: 8,
+  padding: "4px 6px",
+  borderRadius: 4,
+  border: "1px solid #4b5563",
+  background: "#111827",
+  color: "#f9fafb",
+};
+
+const buttonStyle = {
+  background: "#374151",
+  color: "#fff",
+  padding: "4px 10px",
+  borderRadius: 4,
+  border: "none",
+  cursor: "pointer",
+};
+
+/**
+ * Relay address, room code and name for a head-to-head game. Start the relay
+ * with `npm run relay`; both players enter the same room code.
+ */
+export default function OnlineSetup({ online, defaultName }) {
+  const [url, setUrl] = useState(DEFAULT_RELAY_URL);
+  const [room, setRoom] = useState("");
+  const [name, setName] = useState(defaultName ?? "");
+
+  const { status, error, opponent, isHost } = online;
+  const connected = status === CONNECTION.CONNECTED;
+
+  let statusText = "Not connected";
+  if (status === CONNECTION.CONNECTING) statusText = "Connecting…";
+  else if (connected && !opponent) statusText = `Waiting for an opponent in room "${room.trim().toLowerCase()}"…`;
+  else if (connected && isHost) statusText = `Playing against ${opponent.name} – you pick the settings`;
+  else if (connected) statusText = `Playing against ${opponent.name} – waiting for them to start`;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 6, fontSize: 14 }}>
+      <label>
+        Relay
+        <input
+          type="text"
+          value={url}
+          disabled={connected}
+          onChange={(e) => setUrl(e.target.value)}
+          style={{ ...inputStyle, width: 180 }}
+        />
+      </label>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <label>
+          Room
+          <input
+            type="text"
+            placeholder="e.g. apple42"
+            value={room}
+            disabled={connected}
+            onChange={(e) => setRoom(e.target.value)}
+            style={{ ...inputStyle, width: 90 }}
+          />
+        </label>
+        <label>
+          Name
+          <input
+            type="text"
+            maxLength={20}
+            value={name}
+            disabled={connected}
+            onChange={(e) => setName(e.target.value)}
+            style={{ ...inputStyle, width: 90 }}
+          />
+        </label>
+        {connected ? (
+          <button onClick={online.disconnect} style={buttonStyle}>
+            Leave
+          </button>
+        ) : (
+          <button
+            onClick={() => online.connect({ url: url.trim(), room: room.trim(), name: name.trim() })}
+            disabled={!room.trim() || status === CONNECTION.CONNECTING}
+            style={buttonStyle}
+          >
+            Join
+          </button>
+        )}
+      </div>
+      <p style={{ fontSize: 12, color: connected && opponent ? "#22c55e" : "#9ca3af" }}>{statusText}</p>
+      {error && <p style={{ color: "#ef4444", fontSize: 12 }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+// src/components/OpponentPanel.jsx
+
+import React, { useEffect, useRef } from "react";
+import { renderStrokes } from "../drawing/strokes";
+
+const SCALE = 0.3;
+
+/**
+ * The online opponent's canvas as they draw, their AI's top guess and the
+ * rounds won so far. Strokes arrive in draw-canvas coordinates (640×480).
+ */
+export default function OpponentPanel({ name, strokes, guess, tally, targetWord }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const ctx = canvasRef.current?.getContext("2d");
+    if (ctx) renderStrokes(ctx, strokes);
+  }, [strokes]);
+
+  return (
+    <div
+      style={{
+        background: "rgba(0,0,0,0.7)",
+        padding: "8px 12px",
+        borderRadius: 6,
+        border: "1px solid #4b5563",
+        fontSize: 12,
+        color: "#f9fafb",
+        display: "flex",
+        flexDirection: "column",
+        gap: 6,
+      }}
+    >
+      <h3 style={{ fontWeight: "bold" }}>VS {name}</h3>
+      <p style={{ fontFamily: "monospace", color: "#fbbf24" }}>
+        You {tally.me} – {tally.opponent} {name}
+      </p>
+      <canvas
+        ref={canvasRef}
+        width={640}
+        height={480}
+        style={{ width: 640 * SCALE, height: 480 * SCALE, background: "#fff", borderRadius: 4 }}
+      />
+      <p style={{ fontFamily: "monospace", color: "#d1d5db" }}>
+        {guess ? `AI: ${guess.guess} ${Math.round(guess.prob * 100)}%` : "AI: …"}
+      </p>
+      {targetWord && (
+        <div title={`${name}'s AI confidence in "${targetWord}"`}>
+          <div style={{ height: 8, background: "#374151", borderRadius: 4, overflow: "hidden" }}>
+            <div
+              style={{
+                height: "100%",
+                width: `${Math.round((guess?.targetProb ?? 0) * 100)}%`,
+                background: "#fbbf24",
+                transition: "width 0.2s",
+              }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
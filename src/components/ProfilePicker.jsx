@@ -0,0 +1,77 @@
+// src/components/ProfilePicker.jsx
+
+import React, { useState } from "react";
+
+const inputStyle = {
+  marginLeft: 8,
+  padding: "4px 6px",
+  borderRadius: 4,
+  border: "1px solid #4b5563",
+  background: "#111827",
+  color: "#f9fafb",
+};
+
+/**
+ * Choose who is playing, or add a new player. Games are only saved for a
+ * selected player.
+ */
+export default function ProfilePicker({ profiles, activeProfile, onSelect, onCreate }) {
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState(null);
+
+  const create = async () => {
+    try {
+      await onCreate(newName);
+      setNewName("");
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 6, fontSize: 14 }}>
+      <label>
+        Player
+        <select
+          value={activeProfile?.id ?? ""}
+          onChange={(e) => onSelect(e.target.value || null)}
+          style={{ ...inputStyle, width: 140 }}
+        >
+          <option value="">Guest (not saved)</option>
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div>
+        <input
+          type="text"
+          placeholder="New player"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && create()}
+          style={{ ...inputStyle, marginLeft: 0, width: 120 }}
+        />
+        <button
+          onClick={create}
+          disabled={!newName.trim()}
+          style={{
+            marginLeft: 6,
+            background: "#374151",
+            color: "#fff",
+            padding: "4px 10px",
+            borderRadius: 4,
+            border: "none",
+            cursor: "pointer",
+          }}
+        >
+          + Add
+        </button>
+      </div>
+      {error && <p style={{ color: "#ef4444", fontSize: 12 }}>{error}</p>}
+    </div>
+  );
+}
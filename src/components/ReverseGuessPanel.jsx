@@ -0,0 +1,94 @@
+// src/components/ReverseGuessPanel.jsx
+
+import React, { useEffect, useRef, useState } from "react";
+
+/**
+ * Text box for reverse mode, over the bottom of the canvas. Suggests the
+ * game's words as you type; wrong guesses stay listed for the round.
+ */
+export default function ReverseGuessPanel({ labels, guesses, onGuess }) {
+  const [text, setText] = useState("");
+  const [hint, setHint] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    const { status, label } = onGuess(text);
+    if (status === "unknown") setHint(`"${text.trim()}" isn't one of the words`);
+    else if (status === "wrong") setHint(`Not ${label}!`);
+    else setHint(null);
+    setText("");
+  };
+
+  return (
+    <form
+      onSubmit={submit}
+      style={{
+        position: "absolute",
+        left: "50%",
+        bottom: 12,
+        transform: "translateX(-50%)",
+        background: "rgba(0,0,0,0.7)",
+        padding: "8px 12px",
+        borderRadius: 6,
+        border: "1px solid #4b5563",
+        fontSize: 12,
+        color: "#f9fafb",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        gap: 6,
+        zIndex: 4,
+      }}
+    >
+      <div style={{ display: "flex", gap: 6 }}>
+        <input
+          ref={inputRef}
+          type="text"
+          list="reverse-guess-words"
+          placeholder="What is the AI drawing?"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          style={{
+            width: 200,
+            padding: "4px 6px",
+            borderRadius: 4,
+            border: "1px solid #4b5563",
+            background: "#111827",
+            color: "#f9fafb",
+          }}
+        />
+        <datalist id="reverse-guess-words">
+          {labels.map((l) => (
+            <option key={l} value={l} />
+          ))}
+        </datalist>
+        <button
+          type="submit"
+          style={{
+            background: "#16a34a",
+            color: "#fff",
+            fontWeight: "bold",
+            padding: "4px 12px",
+            borderRadius: 4,
+            border: "none",
+            cursor: "pointer",
+          }}
+        >
+          Guess
+        </button>
+      </div>
+      {hint && <p style={{ color: "#facc15" }}>{hint}</p>}
+      {guesses.length > 0 && (
+        <p style={{ fontFamily: "monospace", color: "#ef4444" }}>
+          {guesses.map((g) => `✗ ${g}`).join("  ")}
+        </p>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,79 @@
+// src/components/RoundResultScreen.jsx
+
+import React from "react";
+import { TEAM_COLORS, TEAM_NAMES } from "../game/hotSeat";
+
+const teamColor = (team) => TEAM_COLORS[TEAM_NAMES.indexOf(team)] ?? "#f9fafb";
+
+/**
+ * Outcome of the round just played. In a hot-seat game it also names the
+ * next player, who starts their turn with onContinue. `points` is set in
+ * reverse mode, where the player was the one guessing.
+ */
+export default function RoundResultScreen({ result, roundIndex, totalRounds, nextTurn, onContinue, points = null }) {
+  const reverse = points !== null;
+
+  if (!result) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        background: "rgba(0,0,0,0.6)",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 8,
+        zIndex: 5,
+      }}
+    >
+      <p style={{ fontSize: 12, color: "#9ca3af" }}>
+        {result.player ? "TURN" : "ROUND"} {roundIndex + 1} / {totalRounds}
+      </p>
+      {result.player && (
+        <p style={{ fontSize: 14, color: teamColor(result.team) }}>
+          🎨 {result.player}
+          {result.team && ` · Team ${result.team}`}
+        </p>
+      )}
+      <h2
+        style={{
+          fontSize: 28,
+          fontWeight: "bold",
+          color: result.recognized ? "#22c55e" : "#ef4444",
+        }}
+      >
+        {result.recognized ? (reverse ? "✅ You guessed it!" : "✅ The AI got it!") : result.beatenBy ? `🏁 ${result.beatenBy} got it first!` : "⌛ Time's up!"}
+      </h2>
+      <p style={{ fontSize: 16 }}>
+        {result.word}
+        {result.recognized && ` in ${result.seconds.toFixed(1)}s`}
+      </p>
+      {reverse && <p style={{ fontSize: 18, fontWeight: "bold", color: "#fbbf24" }}>+{points} points</p>}
+      {nextTurn?.player && onContinue && (
+        <>
+          <p style={{ marginTop: 12, fontSize: 14, color: teamColor(nextTurn.team) }}>
+            Pass the device to {nextTurn.player}
+            {nextTurn.team && ` (Team ${nextTurn.team})`}
+          </p>
+          <button
+            onClick={onContinue}
+            style={{
+              background: "#16a34a",
+              color: "#fff",
+              fontWeight: "bold",
+              padding: "10px 20px",
+              borderRadius: 6,
+              border: "none",
+              cursor: "pointer",
+            }}
+          >
+            ▶ Start drawing
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
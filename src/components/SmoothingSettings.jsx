@@ -0,0 +1,161 @@
+// src/components/SmoothingSettings.jsx
+
+import React, { useState } from "react";
+import { DEFAULT_SMOOTHING, FILTER_TYPES } from "../drawing/filters";
+
+const GROUPS = [
+  { key: "landmarks", title: "Hand landmarks", spacing: false },
+  { key: "hand", title: "Hand strokes", spacing: true },
+  { key: "mouse", title: "Mouse / touch strokes", spacing: true },
+];
+
+const TYPE_LABELS = {
+  [FILTER_TYPES.NONE]: "Off",
+  [FILTER_TYPES.EMA]: "EMA",
+  [FILTER_TYPES.MOVING_AVERAGE]: "Moving average",
+  [FILTER_TYPES.ONE_EURO]: "One-Euro",
+};
+
+// Sliders shown for each filter type: [param, label, min, max, step]
+const PARAMS = {
+  [FILTER_TYPES.NONE]: [],
+  [FILTER_TYPES.EMA]: [["alpha", "alpha", 0.05, 1, 0.05]],
+  [FILTER_TYPES.MOVING_AVERAGE]: [["window", "window", 1, 10, 1]],
+  [FILTER_TYPES.ONE_EURO]: [
+    ["minCutoff", "min cutoff (Hz)", 0.05, 5, 0.05],
+    ["beta", "beta", 0, 0.1, 0.001],
+    ["dCutoff", "d cutoff (Hz)", 0.1, 5, 0.1],
+  ],
+};
+
+function Slider({ label, value, min, max, step, onChange }) {
+  return (
+    <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+      <span style={{ width: 100 }}>{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+      />
+      <span style={{ fontFamily: "monospace", width: 44 }}>{value}</span>
+    </label>
+  );
+}
+
+export default function SmoothingSettings({ smoothing, onChange, velocityWidth, onVelocityWidthChange }) {
+  const [open, setOpen] = useState(false);
+
+  const update = (group, patch) => {
+    onChange({ ...smoothing, [group]: { ...smoothing[group], ...patch } });
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 6, marginTop: 12 }}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        style={{
+          background: "transparent",
+          color: "#d1d5db",
+          border: "1px solid #4b5563",
+          borderRadius: 4,
+          padding: "4px 10px",
+          fontSize: 12,
+          cursor: "pointer",
+        }}
+      >
+        ⚙ Smoothing {open ? "▴" : "▾"}
+      </button>
+
+      {open && (
+        <div
+          style={{
+            display: "flex",
+            gap: 12,
+            background: "rgba(0,0,0,0.7)",
+            padding: "8px 12px",
+            borderRadius: 6,
+            border: "1px solid #4b5563",
+            fontSize: 12,
+            color: "#d1d5db",
+          }}
+        >
+          {GROUPS.map(({ key, title, spacing }) => {
+            const settings = smoothing[key];
+            return (
+              <div key={key} style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                <h3 style={{ fontWeight: "bold", marginBottom: 4 }}>{title}</h3>
+                <select
+                  value={settings.type}
+                  onChange={(e) => update(key, { type: e.target.value })}
+                  style={{
+                    padding: "4px 6px",
+                    borderRadius: 4,
+                    border: "1px solid #4b5563",
+                    background: "#111827",
+                    color: "#f9fafb",
+                  }}
+                >
+                  {Object.values(FILTER_TYPES).map((t) => (
+                    <option key={t} value={t}>
+                      {TYPE_LABELS[t]}
+                    </option>
+                  ))}
+                </select>
+                {PARAMS[settings.type].map(([param, label, min, max, step]) => (
+                  <Slider
+                    key={param}
+                    label={label}
+                    value={settings[param]}
+                    min={min}
+                    max={max}
+                    step={step}
+                    onChange={(v) => update(key, { [param]: v })}
+                  />
+                ))}
+                {spacing && (
+                  <Slider
+                    label="min spacing (px)"
+                    value={settings.minDistance}
+                    min={0}
+                    max={10}
+                    step={0.5}
+                    onChange={(v) => update(key, { minDistance: v })}
+                  />
+                )}
+              </div>
+            );
+          })}
+          <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 4 }}>Pen width</h3>
+            <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <input
+                type="checkbox"
+                checked={velocityWidth}
+                onChange={(e) => onVelocityWidthChange(e.target.checked)}
+              />
+              Thicker when slow
+            </label>
+            <span style={{ color: "#9ca3af" }}>A pen's pressure always applies</span>
+          </div>
+          <button
+            onClick={() => onChange(DEFAULT_SMOOTHING)}
+            style={{
+              alignSelf: "flex-end",
+              background: "#374151",
+              color: "#fff",
+              border: "none",
+              borderRadius: 4,
+              padding: "4px 10px",
+              cursor: "pointer",
+            }}
+          >
+            Reset
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
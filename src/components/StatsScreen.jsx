@@ -0,0 +1,257 @@
+// src/components/StatsScreen.jsx
+
+import React, { useEffect, useRef, useState } from "react";
+import { useProfiles } from "../game/useProfiles";
+import { exportDatabase, getActiveProfileId, importDatabase, listGames } from "../game/profileStore";
+import { downloadJson } from "../game/localDb";
+import { categoryStats, gameScore, highScores, summarize } from "../game/profileStats";
+
+const ALL_PLAYERS = "";
+const MAX_CATEGORY_BARS = 15;
+const MAX_HISTORY_GAMES = 40;
+
+const panelStyle = {
+  background: "rgba(0,0,0,0.7)",
+  padding: "8px 12px",
+  borderRadius: 6,
+  border: "1px solid #4b5563",
+  fontSize: 12,
+};
+
+const buttonStyle = {
+  background: "#374151",
+  color: "#fff",
+  fontWeight: "bold",
+  padding: "8px 14px",
+  borderRadius: 6,
+  border: "none",
+  cursor: "pointer",
+};
+
+const cellStyle = {
+  padding: "4px 12px",
+  borderBottom: "1px solid #374151",
+  textAlign: "left",
+};
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+const seconds = (v) => (v === null ? "–" : `${v.toFixed(1)}s`);
+
+function StatCard({ label, value }) {
+  return (
+    <div style={{ ...panelStyle, minWidth: 100, textAlign: "center" }}>
+      <div style={{ fontSize: 20, fontWeight: "bold", color: "#fbbf24" }}>{value}</div>
+      <div style={{ color: "#9ca3af" }}>{label}</div>
+    </div>
+  );
+}
+
+/** Score of the latest games in order, as columns out of that game's rounds. */
+function ScoreHistoryChart({ games }) {
+  const width = 480;
+  const height = 120;
+  const shown = games.slice(-MAX_HISTORY_GAMES);
+  const maxRounds = Math.max(1, ...shown.map((g) => g.rounds.length));
+  const barWidth = Math.min(24, width / Math.max(1, shown.length));
+
+  return (
+    <svg width={width} height={height} style={{ background: "#111827", borderRadius: 4 }}>
+      {shown.map((g, i) => {
+        const h = (gameScore(g) / maxRounds) * (height - 16);
+        const full = (g.rounds.length / maxRounds) * (height - 16);
+        return (
+          <g key={g.id ?? i}>
+            <rect x={i * barWidth + 2} y={height - full} width={barWidth - 4} height={full} fill="#374151" />
+            <rect x={i * barWidth + 2} y={height - h} width={barWidth - 4} height={h} fill="#22c55e">
+              <title>
+                {new Date(g.finishedAt).toLocaleString()}: {gameScore(g)}/{g.rounds.length}
+              </title>
+            </rect>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/** Success rate per word as horizontal bars, with the average recognition time. */
+function CategoryChart({ categories }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 4, width: 480 }}>
+      {categories.map((c) => (
+        <div key={c.word} style={{ display: "flex", alignItems: "center", gap: 8, fontFamily: "monospace" }}>
+          <span style={{ width: 110, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+            {c.word}
+          </span>
+          <div style={{ flex: 1, height: 8, background: "#374151", borderRadius: 4, overflow: "hidden" }}>
+            <div style={{ height: "100%", width: percent(c.successRate), background: "#22c55e" }} />
+          </div>
+          <span style={{ width: 150, color: "#d1d5db" }}>
+            {c.recognized}/{c.attempts} · {seconds(c.avgSeconds)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * High scores, per-word success rates, recognition times and streaks for one
+ * player or everyone, plus JSON export / import of the profile database.
+ */
+export default function StatsScreen() {
+  const { profiles, refresh } = useProfiles();
+  const [playerId, setPlayerId] = useState(() => getActiveProfileId() ?? ALL_PLAYERS);
+  const [games, setGames] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listGames(playerId || undefined)
+      .then((list) => {
+        if (!cancelled) setGames(list);
+      })
+      .catch((err) => setMessage(`❌ ${err.message}`));
+    return () => {
+      cancelled = true;
+    };
+  }, [playerId, reloadKey]);
+
+  const exportJson = async () => {
+    try {
+      downloadJson("drawvsai-profiles.json", await exportDatabase());
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    }
+  };
+
+  const importJson = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const added = await importDatabase(JSON.parse(await file.text()));
+      setMessage(`Imported ${added.profiles} players and ${added.games} new games from ${file.name}`);
+      await refresh();
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    }
+  };
+
+  const nameOf = (id) => profiles.find((p) => p.id === id)?.name ?? "?";
+  const summary = summarize(games);
+  const categories = categoryStats(games).slice(0, MAX_CATEGORY_BARS);
+  const scores = highScores(games);
+
+  return (
+    <div
+      style={{
+        background: "#1f2937",
+        minHeight: "100vh",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        color: "#f9fafb",
+        gap: 16,
+        padding: "64px 16px 32px",
+      }}
+    >
+      <h1 style={{ fontSize: 32, fontWeight: "bold", color: "#fbbf24" }}>PLAYER STATS</h1>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center", fontSize: 14 }}>
+        <label>
+          Player{" "}
+          <select
+            value={playerId}
+            onChange={(e) => setPlayerId(e.target.value)}
+            style={{
+              padding: "4px 6px",
+              borderRadius: 4,
+              border: "1px solid #4b5563",
+              background: "#111827",
+              color: "#f9fafb",
+            }}
+          >
+            <option value={ALL_PLAYERS}>All players</option>
+            {profiles.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={exportJson} style={buttonStyle}>
+          ⬇ Export JSON
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} style={buttonStyle}>
+          ⬆ Import JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={importJson}
+          style={{ display: "none" }}
+        />
+      </div>
+
+      {message && <div style={panelStyle}>{message}</div>}
+
+      {games.length === 0 ? (
+        <p style={{ color: "#9ca3af" }}>No games yet. Pick a player in the lobby and play a game.</p>
+      ) : (
+        <>
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap", justifyContent: "center" }}>
+            <StatCard label="games" value={summary.gamesPlayed} />
+            <StatCard label="recognised" value={percent(summary.successRate)} />
+            <StatCard label="avg time to guess" value={seconds(summary.avgSeconds)} />
+            <StatCard label="best score" value={summary.bestScore} />
+            <StatCard label="best streak" value={summary.streaks.best} />
+            <StatCard label="current streak" value={summary.streaks.current} />
+          </div>
+
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>SCORE PER GAME</h3>
+            <ScoreHistoryChart games={games} />
+          </div>
+
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>HIGH SCORES</h3>
+            <table style={{ fontFamily: "monospace", fontSize: 13, borderCollapse: "collapse" }}>
+              <thead>
+                <tr style={{ color: "#9ca3af" }}>
+                  <th style={cellStyle}>#</th>
+                  {!playerId && <th style={cellStyle}>Player</th>}
+                  <th style={cellStyle}>Score</th>
+                  <th style={cellStyle}>Date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scores.map(({ game, score, rounds }, i) => (
+                  <tr key={game.id ?? i}>
+                    <td style={cellStyle}>{i + 1}</td>
+                    {!playerId && <td style={cellStyle}>{nameOf(game.profileId)}</td>}
+                    <td style={cellStyle}>
+                      {score}/{rounds}
+                    </td>
+                    <td style={cellStyle}>{new Date(game.finishedAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={panelStyle}>
+            <h3 style={{ fontWeight: "bold", marginBottom: 8 }}>
+              BY CATEGORY <span style={{ color: "#9ca3af", fontWeight: "normal" }}>(recognised · avg time)</span>
+            </h3>
+            <CategoryChart categories={categories} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+// src/components/Toolbox.jsx
+
+import React from "react";
+import { ERASER_WIDTH_RANGE, PEN_WIDTH_RANGE, TOOLS } from "../drawing/strokes";
+import { SHAPE_TOOLS } from "../drawing/shapes";
+
+const TOOL_BUTTONS = [
+  { tool: TOOLS.PEN, icon: "✏️", label: "Pen" },
+  { tool: TOOLS.ERASER, icon: "🧽", label: "Eraser" },
+  { tool: SHAPE_TOOLS.LINE, icon: "╱", label: "Line" },
+  { tool: SHAPE_TOOLS.ELLIPSE, icon: "◯", label: "Circle / ellipse" },
+  { tool: TOOLS.FILL, icon: "🪣", label: "Fill" },
+];
+
+function SizeSlider({ label, value, range: [min, max], onChange }) {
+  return (
+    <label style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+      <span>
+        {label} <span style={{ fontFamily: "monospace" }}>{value}px</span>
+      </span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={1}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        style={{ width: 100 }}
+      />
+    </label>
+  );
+}
+
+/**
+ * Tool and size picker beside the canvas. Tools apply to mouse, touch and pen
+ * input; the sizes also apply when drawing by hand.
+ */
+export default function Toolbox({ tool, onToolChange, penWidth, onPenWidthChange, eraserWidth, onEraserWidthChange }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        gap: 8,
+        background: "rgba(0,0,0,0.7)",
+        padding: "8px 12px",
+        borderRadius: 6,
+        border: "1px solid #4b5563",
+        fontSize: 12,
+        color: "#d1d5db",
+      }}
+    >
+      <h3 style={{ fontWeight: "bold" }}>TOOLS</h3>
+      {TOOL_BUTTONS.map((b) => (
+        <button
+          key={b.tool}
+          onClick={() => onToolChange(b.tool)}
+          title={b.label}
+          style={{
+            background: tool === b.tool ? "#fbbf24" : "#374151",
+            color: tool === b.tool ? "#1f2937" : "#fff",
+            fontWeight: "bold",
+            padding: "6px 10px",
+            borderRadius: 6,
+            border: "none",
+            cursor: "pointer",
+            textAlign: "left",
+          }}
+        >
+          {b.icon} {b.label}
+        </button>
+      ))}
+      <SizeSlider label="Brush" value={penWidth} range={PEN_WIDTH_RANGE} onChange={onPenWidthChange} />
+      <SizeSlider label="Eraser" value={eraserWidth} range={ERASER_WIDTH_RANGE} onChange={onEraserWidthChange} />
+      <p style={{ color: "#9ca3af", maxWidth: 110 }}>Shift: circle / 45° line</p>
+    </div>
+  );
+}
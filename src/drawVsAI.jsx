@@ -1,10 +1,55 @@
 // src/drawVsAI.jsx
 
-import React, { useRef, useState, useEffect } from "react";
+import React, { useRef, useState, useEffect, useCallback } from "react";
 import Webcam from "react-webcam";
 import useHandTracking from "./capturehands/useHandTracking";
 import useDrawing from "./capturehands/useDrawing";
 import { useDrawingClassifier } from "./capturehands/useDrawingClassifier";
+import { useGameState, PHASES } from "./game/useGameState";
+import { useProfiles } from "./game/useProfiles";
+import { TEAM_COLORS, TEAM_NAMES } from "./game/hotSeat";
+import { PLAY_MODES } from "./game/playModes";
+import { useHeadToHead } from "./game/useHeadToHead";
+import { useReverseMode } from "./game/useReverseMode";
+import { roundPoints } from "./game/reverseMode";
+import { useFoolMode } from "./game/useFoolMode";
+import { FOOL_VARIANTS, foolPoints } from "./game/foolMode";
+import { useDailyChallenge } from "./game/useDailyChallenge";
+import { dailyConfig, dailySeed } from "./game/dailyChallenge";
+import { buildRoundLog, saveRoundLog } from "./game/roundLog";
+import LobbyScreen from "./components/LobbyScreen";
+import RoundResultScreen from "./components/RoundResultScreen";
+import GameOverScreen from "./components/GameOverScreen";
+import DrawingFileControls from "./components/DrawingFileControls";
+import GuessBars from "./components/GuessBars";
+import ModelPicker from "./components/ModelPicker";
+import GestureSourcePicker from "./components/GestureSourcePicker";
+import HandTrackingSettings from "./components/HandTrackingSettings";
+import SmoothingSettings from "./components/SmoothingSettings";
+import Toolbox from "./components/Toolbox";
+import OpponentPanel from "./components/OpponentPanel";
+import ReverseGuessPanel from "./components/ReverseGuessPanel";
+import FoolRevealScreen from "./components/FoolRevealScreen";
+import { drawingToStrokes } from "./drawing/quickdraw";
+import { getVideoCanvasGeometry, videoToCanvasPoint } from "./capturehands/coordinates";
+import { GESTURE_SOURCES, GAME_ACTIONS, SIGN_ACTIONS } from "./capturehands/gestureActions";
+import { DETECTOR_BACKENDS } from "./capturehands/handDetectors";
+import { assignHandRoles, HANDEDNESS } from "./capturehands/handRoles";
+import { ERASER_WIDTH, PEN_WIDTH, TOOLS } from "./drawing/strokes";
+import { DEFAULT_SMOOTHING } from "./drawing/filters";
+
+const INPUT_MODES = {
+  MOUSE: "mouse",
+  HAND: "hand",
+};
+
+// Committed gesture → what the hand is doing on the canvas
+const GESTURE_MODES = {
+  PointerUp: "PointerUp",
+  PinchClose: "Erase",
+  OpenHand: "Erase",
+  MultipleFingersUp: "Clear",
+};
 
 export default function DrawVsAI() {
   const webcamRef = useRef(null);
@@ -14,7 +59,21 @@ export default function DrawVsAI() {
   // ─── State ───
   const [videoReady, setVideoReady] = useState(false);
   const [handDetected, setHandDetected] = useState(false);
-  const [currentMode, setCurrentMode] = useState("Idle"); // Idle / PointerUp / Erase
+  const [handCount, setHandCount] = useState(0);
+  const [toolGesture, setToolGesture] = useState("Idle");
+  const [toolSign, setToolSign] = useState(null);
+  const [currentMode, setCurrentMode] = useState("Idle"); // Idle / PointerUp / Erase / Clear
+  const [inputMode, setInputMode] = useState(INPUT_MODES.MOUSE);
+  const [gestureSource, setGestureSource] = useState(GESTURE_SOURCES.RULES);
+  const [detectorBackend, setDetectorBackend] = useState(DETECTOR_BACKENDS.MEDIAPIPE);
+  const [dominantHand, setDominantHand] = useState(HANDEDNESS.RIGHT);
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING);
+  const [velocityWidth, setVelocityWidth] = useState(false);
+  const [pointerTool, setPointerTool] = useState(TOOLS.PEN);
+  const [penWidth, setPenWidth] = useState(PEN_WIDTH);
+  const [eraserWidth, setEraserWidth] = useState(ERASER_WIDTH);
+  // Reverse mode shows the app's drawing: no drawing over it until back in the lobby
+  const [canvasLocked, setCanvasLocked] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -23,22 +82,206 @@ export default function DrawVsAI() {
   const [handData, setHandData] = useState({
     landmarks: null,
     gesture: "Idle",
+    sign: null,
   });
+  const handDataRef = useRef(handData);
+  const inputModeRef = useRef(inputMode);
+  const dominantHandRef = useRef(dominantHand);
+  useEffect(() => {
+    inputModeRef.current = inputMode;
+    dominantHandRef.current = dominantHand;
+  }, [inputMode, dominantHand]);
 
   // ─── Load model ───
   const {
     isReady: handModelReady,
     error: handError,
     detect,
-  } = useHandTracking();
+    detectorBackend: activeDetectorBackend,
+    activeGestureSource,
+    gestureModelError,
+  } = useHandTracking({ gestureSource, detectorBackend, smoothing: smoothing.landmarks });
 
   // ─── Drawing hook ───
-  const { currentGuess, clearOverlay, targetWord, score, correctGuess } = useDrawing({
+  // The game loop is created after useDrawing, so onCorrect goes through a ref.
+  const gameRef = useRef(null);
+  const handleCorrect = useCallback(() => {
+    gameRef.current?.recordCorrect();
+  }, []);
+
+  const {
+    isModelReady, models, activeModelId, modelError, selectModel, labels, currentGuess, topGuesses, margin, targetProb, clearOverlay, targetWord,
+    correctGuess, startRound, endRound, configureDeck, getRoundTrace, getGuessSnapshot, undo, redo, getStrokes, loadStrokes, replay,
+    getClearHoldProgress,
+  } = useDrawing({
     drawCanvasRef,
+    webcamRef,
     landmarks: handData.landmarks,
     gesture: handData.gesture,
-    htr_on: false
+    htr_on: inputMode === INPUT_MODES.HAND,
+    // The second hand picks the tool: open palm or pinch turns the finger into an eraser
+    handTool: GESTURE_MODES[toolGesture] === "Erase" ? TOOLS.ERASER : TOOLS.PEN,
+    pointerTool,
+    penWidth,
+    eraserWidth,
+    smoothing,
+    velocityWidth,
+    onCorrect: handleCorrect,
+    autoAdvance: false,
+    readOnly: canvasLocked,
+  });
+
+  const reverse = useReverseMode({ drawCanvasRef, replay, labels });
+  const { startRound: startReverseRound, getDrawing: getReverseDrawing } = reverse;
+  const fool = useFoolMode({ labels, getGuessSnapshot });
+  const { startRound: startFoolRound, describeRound: describeFoolRound } = fool;
+
+  // ─── Game loop (lobby → playing → round-result → game-over) ───
+  const startGameRound = useCallback((word, config) => {
+    clearOverlay();
+    if (config?.mode === PLAY_MODES.REVERSE) {
+      // The classifier must not score the app's own drawing
+      endRound();
+      return startReverseRound(config.roundSeconds);
+    }
+    if (config?.mode === PLAY_MODES.FOOL) {
+      const picked = startRound(word);
+      // Being recognised loses a fool round: the classifier only watches
+      endRound();
+      startFoolRound(picked, config);
+      return picked;
+    }
+    return startRound(word);
+  }, [clearOverlay, endRound, startRound, startReverseRound, startFoolRound]);
+
+  const getGameDrawing = useCallback(
+    (config) => (config?.mode === PLAY_MODES.REVERSE ? getReverseDrawing() : getStrokes()),
+    [getReverseDrawing, getStrokes]
+  );
+
+  const describeGameRound = useCallback(
+    (config) => (config?.mode === PLAY_MODES.FOOL ? describeFoolRound() : {}),
+    [describeFoolRound]
+  );
+
+  const game = useGameState({
+    startRound: startGameRound,
+    endRound,
+    getDrawing: getGameDrawing,
+    describeRound: describeGameRound,
   });
+  useEffect(() => {
+    gameRef.current = game;
+  }, [game]);
+
+  const reverseGame = game.config.mode === PLAY_MODES.REVERSE && game.phase !== PHASES.LOBBY;
+  useEffect(() => {
+    setCanvasLocked(reverseGame);
+  }, [reverseGame]);
+
+  const handleReverseGuess = (text) => {
+    const outcome = reverse.guess(text);
+    if (outcome.status === "correct") game.recordCorrect();
+    return outcome;
+  };
+
+  // ─── Online head-to-head over the relay server ───
+  const online = useHeadToHead({ game, getStrokes, targetWord, topGuesses, modelId: activeModelId });
+  const onlineGame = game.config.mode === PLAY_MODES.ONLINE && game.phase !== PHASES.LOBBY;
+  const versus = onlineGame ? { name: online.opponent?.name ?? "Opponent", tally: online.tally } : null;
+
+  // ─── Player profile: every finished solo game is saved to it ───
+  // (and a finished daily challenge to the attempt it started)
+  const profiles = useProfiles();
+  const { recordGame } = profiles;
+  const daily = useDailyChallenge();
+  const { finish: finishDaily } = daily;
+  const savedResultsRef = useRef(null);
+  useEffect(() => {
+    if (game.phase !== PHASES.GAME_OVER || savedResultsRef.current === game.results) return;
+    savedResultsRef.current = game.results;
+    if (game.config.mode === PLAY_MODES.DAILY) finishDaily(game.results);
+    if (game.config.mode !== PLAY_MODES.SOLO) return;
+    recordGame({ results: game.results, config: game.config });
+  }, [game.phase, game.results, game.config, recordGame, finishDaily]);
+
+  // ─── Developer log of every round, for the analytics screen ───
+  const activeProfileId = profiles.activeProfile?.id ?? null;
+  const loggedResultRef = useRef(null);
+  useEffect(() => {
+    const result = game.lastResult;
+    if (!result || loggedResultRef.current === result) return;
+    loggedResultRef.current = result;
+    // Nothing was classified in a reverse round, and fool rounds are drawn to mislead
+    if (game.config.mode === PLAY_MODES.REVERSE || game.config.mode === PLAY_MODES.FOOL) return;
+    saveRoundLog(buildRoundLog(result, getRoundTrace(), activeProfileId)).catch((err) =>
+      console.error("❌ Could not log round:", err)
+    );
+  }, [game.lastResult, game.config.mode, getRoundTrace, activeProfileId]);
+
+  const handleStartGame = async (lobbyConfig) => {
+    let config = lobbyConfig;
+    let deckSeed = lobbyConfig.seed;
+    if (lobbyConfig.mode === PLAY_MODES.DAILY) {
+      // One attempt per day: it counts from the moment the first word is dealt
+      let attempt;
+      try {
+        attempt = await daily.begin(activeModelId);
+      } catch (err) {
+        // The lobby's Start button shows why (played already, or daily.error)
+        console.error("❌ [daily] could not start today's challenge:", err);
+        return;
+      }
+      config = { ...lobbyConfig, ...dailyConfig() };
+      // Kept out of config, which the lobby's seed field is filled from
+      deckSeed = dailySeed(attempt.date);
+    }
+    configureDeck({ seed: deckSeed, difficulty: config.difficulty });
+    reverse.configure({ seed: config.seed });
+    fool.configure({ seed: config.seed });
+    if (config.mode === PLAY_MODES.ONLINE) online.startGame(config);
+    else game.startGame(config);
+  };
+
+  // ─── Quick, Draw! ndjson export / import ───
+  const getExportRecords = () => {
+    const records = game.results.map(({ word, recognized, strokes }) => ({
+      word,
+      recognized,
+      strokes,
+    }));
+    if (game.phase !== PHASES.ROUND_RESULT) {
+      records.push({ word: targetWord, recognized: correctGuess, strokes: getStrokes() });
+    }
+    return records;
+  };
+
+  const handleLoadDrawing = useCallback((record) => {
+    const canvas = drawCanvasRef.current;
+    if (!canvas) return;
+    loadStrokes(
+      drawingToStrokes(record.drawing, { width: canvas.width, height: canvas.height })
+    );
+  }, [loadStrokes]);
+
+  // ─── Replay the finished drawing behind the round result ───
+  // (keyed on the strokes: a fool round's verdict updates the result, not the drawing)
+  const { phase } = game;
+  const lastStrokes = game.lastResult?.strokes;
+  useEffect(() => {
+    if (phase === PHASES.ROUND_RESULT && lastStrokes) {
+      replay(lastStrokes);
+    }
+  }, [phase, lastStrokes, replay]);
+
+  // In a hot-seat game the HUD shows the score of whoever is drawing
+  const turn = game.phase === PHASES.LOBBY ? null : game.turn;
+  const score = game.results.filter((r) => r.recognized && (!turn?.player || r.player === turn.player)).length;
+  // Reverse mode scores points, more for faster guesses
+  const reversePoints = reverseGame ? game.results.map((r) => roundPoints(r, game.config.roundSeconds)) : null;
+  // So does fool mode, once the judge has accepted the drawing
+  const foolGame = game.config.mode === PLAY_MODES.FOOL && game.phase !== PHASES.LOBBY;
+  const roundPointsList = foolGame ? game.results.map((r) => foolPoints(r, game.config)) : reversePoints;
 
 
   const guessText = typeof currentGuess === "string" ? currentGuess : "AI GUESSES: …";
@@ -86,8 +329,11 @@ export default function DrawVsAI() {
   // ─── Main detect loop ───
   useEffect(() => {
     let rafId = null;
+    let cancelled = false;
 
     const detectHands = async () => {
+      if (cancelled) return;
+
       // 1) Wait until both video & model are ready
       if (!videoReady || !handModelReady) {
         rafId = requestAnimationFrame(detectHands);
@@ -125,19 +371,23 @@ export default function DrawVsAI() {
 
       // 4) Run hand detection
       try {
-        const result = await detect(videoEl);
-        const rawGesture = result?.gesture ?? "Idle";
-        const lm = result?.landmarks ?? null;
+        const hands = await detect(videoEl);
+        const { draw: drawHand, tools: toolHand } = assignHandRoles(hands, dominantHandRef.current);
+        const rawGesture = drawHand?.gesture ?? "Idle";
+        const rawSign = drawHand?.sign ?? null;
+        const lm = drawHand?.landmarks ?? null;
+        setHandCount(hands.length);
+        setToolGesture(toolHand?.gesture ?? "Idle");
+        setToolSign(toolHand?.sign ?? null);
 
         // Draw hand landmarks and connections if detected
-        if (lm && canvasRef.current) {
+        if (hands.length > 0 && canvasRef.current) {
           const ctx = canvasRef.current.getContext('2d');
           ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-          
-          // Draw connections
-          ctx.strokeStyle = '#00FF00';
-          ctx.lineWidth = 2;
-          
+
+          // Same mirrored, cover-scaled placement as the webcam underneath
+          const geometry = getVideoCanvasGeometry(videoEl, canvasRef.current);
+
           // Palm connections
           const palmConnections = [
             [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
@@ -148,31 +398,57 @@ export default function DrawVsAI() {
             [5, 9], [9, 13], [13, 17] // Palm
           ];
 
-          palmConnections.forEach(([start, end]) => {
-            ctx.beginPath();
-            ctx.moveTo(canvasRef.current.width - lm[start][0], lm[start][1]);
-            ctx.lineTo(canvasRef.current.width - lm[end][0], lm[end][1]);
-            ctx.stroke();
-          });
+          hands.forEach((hand) => {
+            const isDrawHand = hand === drawHand;
+            const pts = hand.landmarks.map((p) => videoToCanvasPoint(p, geometry));
 
-          // Draw landmarks
-          ctx.fillStyle = '#FF0000';
-          lm.forEach(([x, y]) => {
-            ctx.beginPath();
-            ctx.arc(canvasRef.current.width - x, y, 3, 0, 2 * Math.PI);
-            ctx.fill();
-          });
+            // Draw connections: green for the drawing hand, cyan for the tool hand
+            ctx.strokeStyle = isDrawHand ? '#00FF00' : '#06b6d4';
+            ctx.lineWidth = 2;
+            palmConnections.forEach(([start, end]) => {
+              ctx.beginPath();
+              ctx.moveTo(pts[start].x, pts[start].y);
+              ctx.lineTo(pts[end].x, pts[end].y);
+              ctx.stroke();
+            });
 
-          // Highlight active finger based on gesture
-          if (rawGesture === "PointerUp") {
-            // Highlight index finger
-            ctx.fillStyle = '#FFFF00';
-            for (let i = 5; i <= 8; i++) {
+            // Draw landmarks
+            ctx.fillStyle = '#FF0000';
+            pts.forEach(({ x, y }) => {
               ctx.beginPath();
-              ctx.arc(canvasRef.current.width - lm[i][0], lm[i][1], 5, 0, 2 * Math.PI);
+              ctx.arc(x, y, 3, 0, 2 * Math.PI);
               ctx.fill();
+            });
+
+            if (hand.handedness) {
+              ctx.fillStyle = '#fff';
+              ctx.font = 'bold 14px monospace';
+              ctx.fillText(hand.handedness[0], pts[0].x + 8, pts[0].y + 16);
             }
-          }
+
+            if (!isDrawHand) return;
+
+            // Highlight active finger based on gesture
+            if (rawGesture === "PointerUp") {
+              // Highlight index finger
+              ctx.fillStyle = '#FFFF00';
+              for (let i = 5; i <= 8; i++) {
+                ctx.beginPath();
+                ctx.arc(pts[i].x, pts[i].y, 5, 0, 2 * Math.PI);
+                ctx.fill();
+              }
+            }
+
+            // Ring around the wrist fills up while the clear gesture is held
+            const clearProgress = getClearHoldProgress();
+            if (clearProgress > 0) {
+              ctx.strokeStyle = '#ef4444';
+              ctx.lineWidth = 4;
+              ctx.beginPath();
+              ctx.arc(pts[0].x, pts[0].y, 24, -Math.PI / 2, -Math.PI / 2 + clearProgress * 2 * Math.PI);
+              ctx.stroke();
+            }
+          });
         } else if (canvasRef.current) {
           // Clear canvas if no hand detected
           const ctx = canvasRef.current.getContext('2d');
@@ -180,8 +456,9 @@ export default function DrawVsAI() {
         }
 
         // ── Stability buffer logic (threshold = 5) ──
-        if (rawGesture !== lastRawGestureRef.current) {
-          lastRawGestureRef.current = rawGesture;
+        const rawKey = `${rawGesture}|${rawSign}`;
+        if (rawKey !== lastRawGestureRef.current) {
+          lastRawGestureRef.current = rawKey;
           stableCountRef.current = 1;
         } else {
           stableCountRef.current++;
@@ -189,14 +466,18 @@ export default function DrawVsAI() {
 
         // Commit once seen ≥ 5 frames in a row
         if (stableCountRef.current >= STABILITY_THRESHOLD) {
-          // ✅ Only update if gesture changed or landmarks existence changed
-          const hadLandmarks = handData.landmarks !== null;
+          // ✅ Only update if gesture changed or landmarks existence changed,
+          // except that drawing by hand needs the fingertip every frame
+          const hadLandmarks = handDataRef.current.landmarks !== null;
           const hasLandmarks = lm !== null;
-          const gestureChanged = rawGesture !== handData.gesture;
+          const gestureChanged =
+            rawGesture !== handDataRef.current.gesture || rawSign !== handDataRef.current.sign;
           const landmarksStatusChanged = hadLandmarks !== hasLandmarks;
-          
-          if (gestureChanged || landmarksStatusChanged) {
-            setHandData({ landmarks: lm, gesture: rawGesture });
+          const drawingByHand = inputModeRef.current === INPUT_MODES.HAND && hasLandmarks;
+
+          if (gestureChanged || landmarksStatusChanged || drawingByHand) {
+            handDataRef.current = { landmarks: lm, gesture: rawGesture, sign: rawSign };
+            setHandData(handDataRef.current);
           }
         }
 
@@ -205,12 +486,15 @@ export default function DrawVsAI() {
         setError("Hand tracking failed. Reload & allow camera.");
       }
 
-      rafId = requestAnimationFrame(detectHands);
+      if (!cancelled) rafId = requestAnimationFrame(detectHands);
     };
 
     detectHands();
-    return () => cancelAnimationFrame(rafId);
-  }, [videoReady, handModelReady, detect]); // ✅ NO handData here!
+    return () => {
+      cancelled = true;
+      cancelAnimationFrame(rafId);
+    };
+  }, [videoReady, handModelReady, detect, getClearHoldProgress]); // ✅ NO handData here!
 
 // ─── Separate effect to update UI state based on handData ───
 useEffect(() => {
@@ -220,20 +504,50 @@ useEffect(() => {
     setHandDetected(false);
   }
 
-  if (handData.gesture === "PointerUp") {
-    setCurrentMode("PointerUp");
-  } else if (handData.gesture === "Erase") {
-    setCurrentMode("Erase");
-  } else {
-    setCurrentMode("Idle");
-  }
+  setCurrentMode(GESTURE_MODES[handData.gesture] ?? "Idle");
 }, [handData]); // ✅ This effect watches handData separately
 
-  // ─── Clear only once per key press ───
+  // ─── Learned signs trigger game actions once per hold (hand input only) ───
+  const { skipRound } = game;
+  const runSignAction = useCallback((sign) => {
+    if (inputModeRef.current !== INPUT_MODES.HAND) return;
+    const action = SIGN_ACTIONS[sign];
+    if (action === GAME_ACTIONS.SKIP) skipRound();
+    // Undo and clear leave the app's drawing in a reverse round alone
+    else if (canvasLocked) return;
+    else if (action === GAME_ACTIONS.UNDO) undo();
+    else if (action === GAME_ACTIONS.CLEAR) clearOverlay();
+  }, [skipRound, canvasLocked, undo, clearOverlay]);
+
+  // Either hand can sign; each fires when its own sign changes
+  useEffect(() => {
+    runSignAction(handData.sign);
+  }, [handData.sign, runSignAction]);
+  useEffect(() => {
+    runSignAction(toolSign);
+  }, [toolSign, runSignAction]);
+
+  // ─── Clear only once per key press; Ctrl+Z / Ctrl+Shift+Z undo & redo ───
   useEffect(() => {
     let clearing = false;
     const onKey = (e) => {
-      if (e.key.toLowerCase() === "c" && !clearing) {
+      // Leave typing in text fields (names, room codes, guesses) alone
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      // The app's drawing in a reverse round can't be edited
+      if (canvasLocked) return;
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === "z") {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+        return;
+      }
+      if ((e.ctrlKey || e.metaKey) && key === "y") {
+        e.preventDefault();
+        redo();
+        return;
+      }
+      if (key === "c" && !clearing && !e.ctrlKey && !e.metaKey) {
         clearing = true;
         clearOverlay();
         setTimeout(() => {
@@ -243,7 +557,7 @@ useEffect(() => {
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [clearOverlay]);
+  }, [canvasLocked, clearOverlay, undo, redo]);
 
   // ─── Model load error UI ───
   if (handError) {
@@ -302,212 +616,444 @@ useEffect(() => {
         DRAW vs AI
       </h1>
 
-      {/* Video + Canvases Container */}
-      <div
-        style={{
-          position: "relative",
-          width: 640,
-          height: 480,
-          borderRadius: 8,
-          overflow: "hidden",
-          background: "#000",
-        }}
-      >
-        {/* 1) Raw webcam feed */}
-        <Webcam
-          ref={webcamRef}
-          onUserMedia={handleUserMedia}
-          onUserMediaError={(err) => {
-            console.error("onUserMediaError:", err);
-            setError("Camera blocked or unavailable.");
-          }}
-          audio={false}
-          mirrored={true}
-          videoConstraints={{
-            width: 640,
-            height: 480,
-            facingMode: "user",
-          }}
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            objectFit: "cover",
-            zIndex: 1,
-          }}
+      {/* Toolbox beside the video + canvases */}
+      <div style={{ display: "flex", gap: 16, alignItems: "flex-start" }}>
+        <Toolbox
+          tool={pointerTool}
+          onToolChange={setPointerTool}
+          penWidth={penWidth}
+          onPenWidthChange={setPenWidth}
+          eraserWidth={eraserWidth}
+          onEraserWidthChange={setEraserWidth}
         />
 
-        {/* 2) (Optional) landmark-drawing canvas */}
-        <canvas
-          id="landmark-canvas"
-          ref={canvasRef}
+        {/* Video + Canvases Container */}
+        <div
           style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 2,
+            position: "relative",
+            width: 640,
+            height: 480,
+            borderRadius: 8,
+            overflow: "hidden",
+            background: "#000",
           }}
-        />
+        >
+          {/* 1) Raw webcam feed */}
+          <Webcam
+            ref={webcamRef}
+            onUserMedia={handleUserMedia}
+            onUserMediaError={(err) => {
+              console.error("onUserMediaError:", err);
+              setError("Camera blocked or unavailable.");
+            }}
+            audio={false}
+            mirrored={true}
+            videoConstraints={{
+              width: 640,
+              height: 480,
+              facingMode: "user",
+            }}
+            style={{
+              position: "absolute",
+              top: 0,
+              left: 0,
+              width: "100%",
+              height: "100%",
+              objectFit: "cover",
+              zIndex: 1,
+            }}
+          />
 
-        {/* 3) drawing/erasing canvas */}
-        <canvas
-          id="draw-canvas"
-          ref={drawCanvasRef}
-          width={640}    // ✅ set actual internal resolution
-          height={480}   // ✅ set actual internal resolution
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",   // style scaling
-            height: "100%",
-            zIndex: 3,
-            cursor: "crosshair",
-          }}
-        />
+          {/* 2) (Optional) landmark-drawing canvas */}
+          <canvas
+            id="landmark-canvas"
+            ref={canvasRef}
+            style={{
+              position: "absolute",
+              top: 0,
+              left: 0,
+              width: "100%",
+              height: "100%",
+              zIndex: 2,
+            }}
+          />
+
+          {/* 3) drawing/erasing canvas */}
+          <canvas
+            id="draw-canvas"
+            ref={drawCanvasRef}
+            width={640}    // ✅ set actual internal resolution
+            height={480}   // ✅ set actual internal resolution
+            style={{
+              position: "absolute",
+              top: 0,
+              left: 0,
+              width: "100%",   // style scaling
+              height: "100%",
+              zIndex: 3,
+              cursor: "crosshair",
+              touchAction: "none", // touches draw instead of scrolling
+
+            }}
+          />
 
 
-        {/* 4) Overlays: hand status, mode, guess */}
-        {!isLoading && (
-          <>
-            <div
-              style={{
-                position: "absolute",
-                top: 12,
-                left: 12,
-                display: "flex",
-                flexDirection: "column",
-                gap: 8,
-                zIndex: 4,
-              }}
-            >
+          {/* 4) Overlays: hand status, mode, guess */}
+          {!isLoading && (
+            <>
               <div
                 style={{
-                  background: "rgba(0,0,0,0.7)",
-                  padding: "6px 12px",
-                  borderRadius: 6,
-                  border: "1px solid #4b5563",
+                  position: "absolute",
+                  top: 12,
+                  left: 12,
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: 8,
+                  zIndex: 4,
                 }}
               >
-                <p style={{ color: "#fff", fontSize: 12 }}>
-                  HAND:{" "}
-                  <span style={{ color: handDetected ? "#22c55e" : "#ef4444" }}>
-                    {handDetected ? "DETECTED" : "NOT DETECTED"}
-                  </span>
-                </p>
-              </div>
-              <div
-                style={{
-                  background: "rgba(0,0,0,0.7)",
-                  padding: "6px 12px",
-                  borderRadius: 6,
-                  border: "1px solid #4b5563",
-                }}
-              >
-                <p
+                <div
                   style={{
-                    fontFamily: "monospace",
-                    fontWeight: "bold",
-                    fontSize: 12,
-                    color:
-                      currentMode === "PointerUp"
-                        ? "#22c55e"
-                        : currentMode === "Erase"
-                        ? "#facc15"
-                        : "#fff",
+                    background: "rgba(0,0,0,0.7)",
+                    padding: "6px 12px",
+                    borderRadius: 6,
+                    border: "1px solid #4b5563",
                   }}
                 >
-                  MODE: {currentMode.toUpperCase()}
-                </p>
+                  <p style={{ color: "#fff", fontSize: 12 }}>
+                    HAND:{" "}
+                    <span style={{ color: handDetected ? "#22c55e" : "#ef4444" }}>
+                      {handDetected ? (handCount > 1 ? `DETECTED ×${handCount}` : "DETECTED") : "NOT DETECTED"}
+                    </span>
+                  </p>
+                </div>
+                <div
+                  style={{
+                    background: "rgba(0,0,0,0.7)",
+                    padding: "6px 12px",
+                    borderRadius: 6,
+                    border: "1px solid #4b5563",
+                  }}
+                >
+                  <p
+                    style={{
+                      fontFamily: "monospace",
+                      fontWeight: "bold",
+                      fontSize: 12,
+                      color:
+                        currentMode === "PointerUp"
+                          ? "#22c55e"
+                          : currentMode === "Erase"
+                          ? "#facc15"
+                          : currentMode === "Clear"
+                          ? "#ef4444"
+                          : "#fff",
+                    }}
+                  >
+                    MODE: {currentMode.toUpperCase()}
+                  </p>
+                  <p style={{ color: "#9ca3af", fontSize: 10, margin: 0 }}>
+                    INPUT: {inputMode === INPUT_MODES.HAND ? "HAND" : "MOUSE"}
+                    {activeGestureSource !== GESTURE_SOURCES.RULES && ` · SIGN: ${handData.sign ?? "—"}`}
+                  </p>
+                </div>
+                <div
+                  style={{
+                    background: "rgba(0,0,0,0.7)",
+                    padding: "6px 12px",
+                    borderRadius: 6,
+                    border: "1px solid #4b5563",
+                  }}
+                >
+                  <p style={{
+                      fontFamily: "monospace",
+                      fontWeight: "bold",
+                      fontSize: 12,
+                      color: guessText.includes("…") ? "#9ca3af" : "#22c55e",
+                    }}>
+                      {reverseGame ? "Guess: ???" : `Draw: ${game.phase === PHASES.LOBBY ? "—" : targetWord}`}</p>
+                  <p style={{
+                      fontFamily: "monospace",
+                      fontWeight: "bold",
+                      fontSize: 12,
+                      color: guessText.includes("…") ? "#9ca3af" : "#22c55e",
+                    }}>
+                      Score: {roundPointsList ? roundPointsList.reduce((a, b) => a + b, 0) : score}</p>
+                  {foolGame && game.phase === PHASES.PLAYING && (
+                    <p style={{
+                        fontFamily: "monospace",
+                        fontWeight: "bold",
+                        fontSize: 12,
+                        color: "#06b6d4",
+                      }}>
+                        🎭 {game.config.foolVariant === FOOL_VARIANTS.DECOY
+                          ? `Make the AI say: ${fool.decoy ?? "—"}`
+                          : `Keep "${targetWord}" under ${Math.round(game.config.foolThreshold * 100)}% (now ${Math.round(targetProb * 100)}%)`}</p>
+                  )}
+                  {turn?.player && (
+                    <p style={{
+                        fontFamily: "monospace",
+                        fontWeight: "bold",
+                        fontSize: 12,
+                        color: TEAM_COLORS[TEAM_NAMES.indexOf(turn.team)] ?? "#06b6d4",
+                      }}>
+                        🎨 {turn.player}'s turn{turn.team && ` · Team ${turn.team}`}</p>
+                  )}
+                  {game.phase !== PHASES.LOBBY && (
+                    <p style={{
+                        fontFamily: "monospace",
+                        fontWeight: "bold",
+                        fontSize: 12,
+                        color: game.timeLeft <= 5 ? "#ef4444" : "#fbbf24",
+                      }}>
+                        ⏱ {Math.ceil(game.timeLeft)}s · {turn?.player ? "Turn" : "Round"} {game.roundIndex + 1}/{game.turns.length}</p>
+                  )}
+                  {!reverseGame && (
+                    <>
+                      {correctGuess && <p>✅ Correct!</p>}
+
+                      <p
+                        style={{
+                          fontFamily: "monospace",
+                          fontWeight: "bold",
+                          fontSize: 12,
+                          color: guessText.includes("…") ? "#9ca3af" : "#22c55e",
+                        }}
+                      >
+                        {guessText}
+                      </p>
+                      {game.phase === PHASES.PLAYING && (
+                        <GuessBars
+                          guesses={topGuesses}
+                          margin={margin}
+                          targetWord={targetWord}
+                        />
+                      )}
+                    </>
+                  )}
+                </div>
               </div>
+
               <div
                 style={{
+                  position: "absolute",
+                  top: 12,
+                  right: 12,
                   background: "rgba(0,0,0,0.7)",
-                  padding: "6px 12px",
+                  padding: "8px 12px",
                   borderRadius: 6,
                   border: "1px solid #4b5563",
+                  fontSize: 10,
+                  color: "#d1d5db",
+                  zIndex: 4,
                 }}
               >
-                <p style={{
-                    fontFamily: "monospace",
-                    fontWeight: "bold",
-                    fontSize: 12,
-                    color: guessText.includes("…") ? "#9ca3af" : "#22c55e",
-                  }}>
-                    Draw: {targetWord}</p>
-                <p style={{
-                    fontFamily: "monospace",
-                    fontWeight: "bold",
-                    fontSize: 12,
-                    color: guessText.includes("…") ? "#9ca3af" : "#22c55e",
-                  }}>
-                    Score: {score}</p>
-                {correctGuess && <p>✅ Correct!</p>}
-
-                <p
-                  style={{
-                    fontFamily: "monospace",
-                    fontWeight: "bold",
-                    fontSize: 12,
-                    color: guessText.includes("…") ? "#9ca3af" : "#22c55e",
-                  }}
-                >
-                  {guessText}
+                <h3 style={{ fontWeight: "bold", marginBottom: 4 }}>GESTURES</h3>
+                <p style={{ margin: 0 }}>
+                  👆 Click, Touch, Pen or Index Only = <span style={{ color: "#22c55e" }}>DRAW</span>
+                </p>
+                <p style={{ margin: 0 }}>
+                  🖱️ Right Click, Pen Eraser, 🤏 Pinch or ✋ Open Palm = <span style={{ color: "#facc15" }}>ERASE</span>
+                </p>
+                <p style={{ margin: 0 }}>
+                  ✌️ Two-Finger Tap / Hold = <span style={{ color: "#fbbf24" }}>UNDO</span> /{" "}
+                  <span style={{ color: "#ef4444" }}>CLEAR</span>
                 </p>
+                <p style={{ margin: 0 }}>
+                  🫲 Other Hand Palm / Pinch = <span style={{ color: "#06b6d4" }}>FINGER ERASES</span>
+                </p>
+                {activeGestureSource === GESTURE_SOURCES.RULES && (
+                  <p style={{ margin: 0 }}>
+                    ✌️ Hold Fingers Up = <span style={{ color: "#ef4444" }}>CLEAR</span>
+                  </p>
+                )}
+                <p style={{ margin: 0 }}>
+                  ✊ Otherwise = <span style={{ color: "#fff" }}>IDLE</span>
+                </p>
+                {activeGestureSource !== GESTURE_SOURCES.RULES && (
+                  <>
+                    <p style={{ margin: 0 }}>
+                      👍 Thumb Up = <span style={{ color: "#fbbf24" }}>SKIP WORD</span>
+                    </p>
+                    <p style={{ margin: 0 }}>
+                      ✌️ Victory = <span style={{ color: "#fbbf24" }}>UNDO</span>
+                    </p>
+                    <p style={{ margin: 0 }}>
+                      👎 Thumbs Down = <span style={{ color: "#ef4444" }}>CLEAR</span>
+                    </p>
+                  </>
+                )}
+                <p style={{ margin: 0 }}>⌨️ Press "C" to Clear</p>
+                <p style={{ margin: 0 }}>⌨️ Ctrl+Z / Ctrl+Shift+Z = Undo / Redo</p>
               </div>
-            </div>
-
-            <div
-              style={{
-                position: "absolute",
-                top: 12,
-                right: 12,
-                background: "rgba(0,0,0,0.7)",
-                padding: "8px 12px",
-                borderRadius: 6,
-                border: "1px solid #4b5563",
-                fontSize: 10,
-                color: "#d1d5db",
-                zIndex: 4,
-              }}
-            >
-              <h3 style={{ fontWeight: "bold", marginBottom: 4 }}>GESTURES</h3>
-              <p style={{ margin: 0 }}>
-                👆 Left Click or Index Only = <span style={{ color: "#22c55e" }}>DRAW</span>
-              </p>
-              <p style={{ margin: 0 }}>
-                🖱️ Right Click = <span style={{ color: "#facc15" }}>ERASE</span>
-              </p>
-              <p style={{ margin: 0 }}>
-                ✋ Otherwise = <span style={{ color: "#fff" }}>IDLE</span>
-              </p>
-              <p style={{ margin: 0 }}>⌨️ Press "C" to Clear</p>
-            </div>
-          </>
+
+              {game.phase === PHASES.LOBBY && (
+                <LobbyScreen
+                  config={game.config}
+                  disabled={!isModelReady}
+                  onStart={handleStartGame}
+                  profiles={profiles}
+                  online={online}
+                  reverse={reverse}
+                  daily={daily}
+                />
+              )}
+              {reverseGame && game.phase === PHASES.PLAYING && (
+                <ReverseGuessPanel labels={reverse.words} guesses={reverse.guesses} onGuess={handleReverseGuess} />
+              )}
+              {foolGame && game.phase === PHASES.ROUND_RESULT && (
+                <FoolRevealScreen
+                  result={game.lastResult}
+                  config={game.config}
+                  roundIndex={game.roundIndex}
+                  totalRounds={game.turns.length}
+                  points={roundPointsList[roundPointsList.length - 1] ?? 0}
+                  onJudge={(accepted) => game.updateLastResult({ accepted })}
+                  onContinue={game.continueGame}
+                />
+              )}
+              {!foolGame && game.phase === PHASES.ROUND_RESULT && (
+                <RoundResultScreen
+                  result={game.lastResult}
+                  roundIndex={game.roundIndex}
+                  totalRounds={game.turns.length}
+                  nextTurn={game.nextTurn}
+                  onContinue={game.continueGame}
+                  points={reversePoints?.[reversePoints.length - 1] ?? null}
+                />
+              )}
+              {game.phase === PHASES.GAME_OVER && (
+                <GameOverScreen
+                  results={game.results}
+                  playerName={profiles.activeProfile?.name}
+                  versus={versus}
+                  mode={game.config.mode}
+                  points={roundPointsList}
+                  share={game.config.mode === PLAY_MODES.DAILY ? daily.gameShare : null}
+                  onPlayAgain={game.backToLobby}
+                />
+              )}
+            </>
+          )}
+        </div>
+
+        {onlineGame && online.opponent && (
+          <OpponentPanel
+            name={online.opponent.name}
+            strokes={online.opponentStrokes}
+            guess={online.opponentGuess}
+            tally={online.tally}
+            targetWord={game.phase === PHASES.PLAYING ? targetWord : null}
+          />
         )}
       </div>
 
-      {/* Clear Canvas button */}
+      {/* Undo / Redo / Clear Canvas buttons */}
       {!isLoading && (
-        <button
-          onClick={() => clearOverlay()}
-          style={{
-            marginTop: 24,
-            background: "#dc2626",
-            color: "#fff",
-            fontWeight: "bold",
-            padding: "10px 20px",
-            borderRadius: 6,
-            border: "none",
-            cursor: "pointer",
-          }}
-        >
-          Clear Canvas
-        </button>
+        <div style={{ marginTop: 24, display: "flex", gap: 12 }}>
+          <button
+            onClick={() => undo()}
+            disabled={canvasLocked}
+            style={{
+              background: canvasLocked ? "#4b5563" : "#374151",
+              color: "#fff",
+              fontWeight: "bold",
+              padding: "10px 20px",
+              borderRadius: 6,
+              border: "none",
+              cursor: canvasLocked ? "not-allowed" : "pointer",
+            }}
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={() => redo()}
+            disabled={canvasLocked}
+            style={{
+              background: canvasLocked ? "#4b5563" : "#374151",
+              color: "#fff",
+              fontWeight: "bold",
+              padding: "10px 20px",
+              borderRadius: 6,
+              border: "none",
+              cursor: canvasLocked ? "not-allowed" : "pointer",
+            }}
+          >
+            ↷ Redo
+          </button>
+          <button
+            onClick={() => clearOverlay()}
+            disabled={canvasLocked}
+            style={{
+              background: canvasLocked ? "#4b5563" : "#dc2626",
+              color: "#fff",
+              fontWeight: "bold",
+              padding: "10px 20px",
+              borderRadius: 6,
+              border: "none",
+              cursor: canvasLocked ? "not-allowed" : "pointer",
+            }}
+          >
+            Clear Canvas
+          </button>
+          <button
+            onClick={() =>
+              setInputMode((m) => (m === INPUT_MODES.HAND ? INPUT_MODES.MOUSE : INPUT_MODES.HAND))
+            }
+            style={{
+              background: inputMode === INPUT_MODES.HAND ? "#fbbf24" : "#374151",
+              color: inputMode === INPUT_MODES.HAND ? "#1f2937" : "#fff",
+              fontWeight: "bold",
+              padding: "10px 20px",
+              borderRadius: 6,
+              border: "none",
+              cursor: "pointer",
+            }}
+          >
+            {inputMode === INPUT_MODES.HAND ? "✋ Hand Input" : "🖱️ Mouse / Touch Input"}
+          </button>
+        </div>
+      )}
+      {!isLoading && (
+        <ModelPicker
+          models={models}
+          activeModelId={activeModelId}
+          isModelReady={isModelReady}
+          modelError={modelError}
+          disabled={game.phase === PHASES.PLAYING || game.phase === PHASES.ROUND_RESULT}
+          onSelect={selectModel}
+        />
+      )}
+      {!isLoading && (
+        <HandTrackingSettings
+          detectorBackend={detectorBackend}
+          activeDetectorBackend={activeDetectorBackend}
+          dominantHand={dominantHand}
+          onSelectDetector={setDetectorBackend}
+          onSelectDominantHand={setDominantHand}
+        />
+      )}
+      {!isLoading && (
+        <SmoothingSettings
+          smoothing={smoothing}
+          onChange={setSmoothing}
+          velocityWidth={velocityWidth}
+          onVelocityWidthChange={setVelocityWidth}
+        />
+      )}
+      {!isLoading && (
+        <GestureSourcePicker
+          gestureSource={gestureSource}
+          activeGestureSource={activeGestureSource}
+          gestureModelError={gestureModelError}
+          onSelect={setGestureSource}
+        />
+      )}
+      {!isLoading && (
+        <DrawingFileControls
+          getRecords={getExportRecords}
+          onLoad={handleLoadDrawing}
+        />
       )}
 
       {/* Loading overlay */}
@@ -0,0 +1,205 @@
+// src/drawing/filters.js
+
+/**
+ * Smoothing for noisy pointer and landmark streams, shared by hand tracking
+ * (landmarks) and drawing (stroke points). All filters take a value and a
+ * timestamp in ms and return the smoothed value.
+ *
+ *   ema             – fixed exponential moving average, `alpha` = weight of the new value
+ *   moving-average  – mean of the last `window` values
+ *   one-euro        – speed-adaptive low-pass (Casiez et al. 2012): heavy
+ *                     smoothing when slow (`minCutoff`), less lag when fast (`beta`)
+ *
+ * Settings objects carry all parameters so switching type keeps the others.
+ * `minDistance` is only used by PointFilter.
+ */
+
+export const FILTER_TYPES = {
+  NONE: "none",
+  EMA: "ema",
+  MOVING_AVERAGE: "moving-average",
+  ONE_EURO: "one-euro",
+};
+
+export const DEFAULT_FILTER = {
+  type: FILTER_TYPES.NONE,
+  alpha: 0.5,
+  window: 3,
+  minCutoff: 1.0,
+  beta: 0.007,
+  dCutoff: 1.0,
+  minDistance: 0,
+};
+
+/**
+ * landmarks – hand keypoints every frame (per hand)
+ * hand      – fingertip stroke points while drawing by hand
+ * mouse     – pen stroke points while drawing with a mouse, finger or stylus
+ */
+export const DEFAULT_SMOOTHING = {
+  landmarks: { ...DEFAULT_FILTER, type: FILTER_TYPES.ONE_EURO },
+  hand: { ...DEFAULT_FILTER, minDistance: 2 },
+  mouse: { ...DEFAULT_FILTER, type: FILTER_TYPES.MOVING_AVERAGE, minDistance: 2 },
+};
+
+class PassThroughFilter {
+  filter(value) {
+    return value;
+  }
+
+  reset() {}
+}
+
+export class EmaFilter {
+  constructor({ alpha = DEFAULT_FILTER.alpha } = {}) {
+    this.alpha = alpha;
+    this.value = null;
+  }
+
+  filter(value) {
+    this.value = this.value === null ? value : this.value * (1 - this.alpha) + value * this.alpha;
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+export class MovingAverageFilter {
+  constructor({ window = DEFAULT_FILTER.window } = {}) {
+    this.window = Math.max(1, Math.round(window));
+    this.values = [];
+    this.sum = 0;
+  }
+
+  filter(value) {
+    this.values.push(value);
+    this.sum += value;
+    if (this.values.length > this.window) this.sum -= this.values.shift();
+    return this.sum / this.values.length;
+  }
+
+  reset() {
+    this.values = [];
+    this.sum = 0;
+  }
+}
+
+function smoothingFactor(cutoff, dtSeconds) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dtSeconds);
+}
+
+export class OneEuroFilter {
+  constructor({ minCutoff = DEFAULT_FILTER.minCutoff, beta = DEFAULT_FILTER.beta, dCutoff = DEFAULT_FILTER.dCutoff } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  filter(value, t) {
+    if (this.value === null) {
+      this.value = value;
+      this.lastT = t;
+      return value;
+    }
+
+    // Repeated timestamps would divide by zero; assume one 60 Hz frame
+    const dt = t > this.lastT ? (t - this.lastT) / 1000 : 1 / 60;
+    this.lastT = t;
+
+    const speed = (value - this.value) / dt;
+    const aD = smoothingFactor(this.dCutoff, dt);
+    this.speed = aD * speed + (1 - aD) * this.speed;
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+    const a = smoothingFactor(cutoff, dt);
+    this.value = a * value + (1 - a) * this.value;
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+    this.speed = 0;
+    this.lastT = 0;
+  }
+}
+
+/**
+ * Scalar filter for a settings object.
+ */
+export function createFilter(settings = DEFAULT_FILTER) {
+  switch (settings.type) {
+    case FILTER_TYPES.EMA:
+      return new EmaFilter(settings);
+    case FILTER_TYPES.MOVING_AVERAGE:
+      return new MovingAverageFilter(settings);
+    case FILTER_TYPES.ONE_EURO:
+      return new OneEuroFilter(settings);
+    default:
+      return new PassThroughFilter();
+  }
+}
+
+/**
+ * Filters every component of a fixed-length number array independently
+ * (e.g. 21 landmarks × [x, y, z] flattened).
+ */
+export class VectorFilter {
+  constructor(settings = DEFAULT_FILTER) {
+    this.configure(settings);
+  }
+
+  configure(settings) {
+    this.settings = { ...DEFAULT_FILTER, ...settings };
+    this.filters = [];
+  }
+
+  filter(values, t) {
+    if (this.filters.length !== values.length) {
+      this.filters = values.map(() => createFilter(this.settings));
+    }
+    return values.map((v, i) => this.filters[i].filter(v, t));
+  }
+
+  reset() {
+    this.filters.forEach((f) => f.reset());
+  }
+}
+
+/**
+ * Smooths { x, y, t } stroke points and drops those closer than
+ * `minDistance` to the last point it let through. Pressure `p` is passed on
+ * unfiltered.
+ */
+export class PointFilter {
+  constructor(settings = DEFAULT_FILTER) {
+    this.configure(settings);
+  }
+
+  configure(settings) {
+    this.settings = { ...DEFAULT_FILTER, ...settings };
+    this.fx = createFilter(this.settings);
+    this.fy = createFilter(this.settings);
+    this.last = null;
+  }
+
+  /** Smoothed point, or null if it hasn't moved far enough yet. */
+  filter({ x, y, t, p: pressure }) {
+    const p = { x: this.fx.filter(x, t), y: this.fy.filter(y, t), t };
+    if (pressure !== undefined) p.p = pressure;
+    if (this.last && Math.hypot(p.x - this.last.x, p.y - this.last.y) < this.settings.minDistance) {
+      return null;
+    }
+    this.last = p;
+    return p;
+  }
+
+  reset() {
+    this.fx.reset();
+    this.fy.reset();
+    this.last = null;
+  }
+}
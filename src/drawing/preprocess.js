@@ -0,0 +1,165 @@
+// src/drawing/preprocess.js
+
+import { TOOLS, flattenStroke } from "./strokes.js";
+import { floodFill } from "./shapes.js";
+
+/**
+ * Model input pipeline, free of DOM and TF.js so it runs in the browser, in a
+ * worker and under Node alike:
+ *   crop to the ink bounding box → pad 20% → centre and scale to 28×28
+ *   (nearest neighbour) → invert onto white → boost ink by 1.2
+ * Output is a row-major Float32Array of size*size values in [0, 1], 1 = ink.
+ * The numbers above are the defaults; a model's manifest entry may override
+ * them through `options` ({ size, padding, inkBoost, alphaThreshold }).
+ */
+
+export const MODEL_SIZE = 28;
+
+const ALPHA_THRESHOLD = 20;
+const PADDING = 0.2;
+const INK_BOOST = 1.2;
+const INK_PIXEL = 0.05;
+
+/**
+ * Bounding box of pixels with alpha above the threshold, or null if blank.
+ */
+export function findInkBounds(data, width, height, alphaThreshold = ALPHA_THRESHOLD) {
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const alpha = data[(y * width + x) * 4 + 3];
+      if (alpha > alphaThreshold) {
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * RGBA pixels (e.g. ImageData.data of #draw-canvas) → { input, inkRatio }.
+ */
+export function preprocessPixels(data, width, height, options = {}) {
+  const {
+    size: outSize = MODEL_SIZE,
+    padding = PADDING,
+    inkBoost = INK_BOOST,
+    alphaThreshold = ALPHA_THRESHOLD,
+  } = options;
+
+  const input = new Float32Array(outSize * outSize);
+  const bounds = findInkBounds(data, width, height, alphaThreshold);
+  if (!bounds) return { input, inkRatio: 0 };
+
+  const { minX, minY, maxX, maxY } = bounds;
+  const bW = maxX - minX + 1;
+  const bH = maxY - minY + 1;
+  const maxDim = Math.max(bW, bH);
+  const size = maxDim + maxDim * padding;
+
+  const scale = outSize / size;
+  const dW = bW * scale;
+  const dH = bH * scale;
+  const dX = (outSize - dW) / 2;
+  const dY = (outSize - dH) / 2;
+
+  let inkPixels = 0;
+
+  for (let j = 0; j < outSize; j++) {
+    const cy = j + 0.5;
+    if (cy < dY || cy >= dY + dH) continue;
+    const sy = Math.min(maxY, minY + Math.floor((cy - dY) / scale));
+
+    for (let i = 0; i < outSize; i++) {
+      const cx = i + 0.5;
+      if (cx < dX || cx >= dX + dW) continue;
+      const sx = Math.min(maxX, minX + Math.floor((cx - dX) / scale));
+
+      // Composite the source pixel over white and keep the red channel
+      const o = (sy * width + sx) * 4;
+      const a = data[o + 3] / 255;
+      const gray = data[o] * a + 255 * (1 - a);
+
+      let val = 1.0 - gray / 255.0;
+      if (val > 0.0) val = Math.min(1.0, val * inkBoost);
+
+      input[j * outSize + i] = val;
+      if (val > INK_PIXEL) inkPixels++;
+    }
+  }
+
+  return { input, inkRatio: inkPixels / (outSize * outSize) };
+}
+
+function stampDisc(data, width, height, cx, cy, radius, alpha) {
+  const r2 = radius * radius;
+  const x0 = Math.max(0, Math.floor(cx - radius));
+  const x1 = Math.min(width - 1, Math.ceil(cx + radius));
+  const y0 = Math.max(0, Math.floor(cy - radius));
+  const y1 = Math.min(height - 1, Math.ceil(cy + radius));
+
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const dx = x + 0.5 - cx;
+      const dy = y + 0.5 - cy;
+      if (dx * dx + dy * dy <= r2) {
+        const o = (y * width + x) * 4;
+        data[o] = 0;
+        data[o + 1] = 0;
+        data[o + 2] = 0;
+        data[o + 3] = alpha;
+      }
+    }
+  }
+}
+
+/**
+ * Rasterise a stroke list into RGBA pixels without a canvas: black ink on a
+ * transparent background, eraser strokes punch back to transparent and fills
+ * flood the enclosed area. The shape (spline, per-point width) is the one the
+ * canvas draws, from flattenStroke. Edges are hard (no anti-aliasing), which
+ * the 28×28 downscale makes irrelevant.
+ */
+export function rasterizeStrokes(strokes, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (const stroke of strokes) {
+    if (stroke.tool === TOOLS.FILL) {
+      const [p] = stroke.points;
+      if (p) floodFill(data, width, height, p.x, p.y);
+      continue;
+    }
+
+    const samples = flattenStroke(stroke);
+    if (samples.length === 0) continue;
+    const alpha = stroke.tool === TOOLS.ERASER ? 0 : 255;
+
+    stampDisc(data, width, height, samples[0].x, samples[0].y, samples[0].w / 2, alpha);
+    for (let k = 1; k < samples.length; k++) {
+      const a = samples[k - 1];
+      const b = samples[k];
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y)));
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        const radius = (a.w + (b.w - a.w) * t) / 2;
+        stampDisc(data, width, height, a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, radius, alpha);
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Stroke list → { input, inkRatio }, rendered at the draw canvas size so the
+ * result matches preprocessPixels on the live canvas.
+ */
+export function preprocessStrokes(strokes, { width = 640, height = 480, ...options } = {}) {
+  return preprocessPixels(rasterizeStrokes(strokes, width, height), width, height, options);
+}
@@ -0,0 +1,153 @@
+// src/drawing/preprocess.test.js
+//
+// Pins the exact 28×28 model input for a set of sample drawings, so a change
+// to the pipeline (or to stroke rendering) can't silently shift what the
+// model sees. After an intentional change, regenerate the expected values:
+//
+//   UPDATE_FIXTURES=1 npm test
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "node:fs";
+import { MODEL_SIZE, findInkBounds, preprocessPixels, preprocessStrokes } from "./preprocess.js";
+import { drawingToStrokes, parseNdjson } from "./quickdraw.js";
+import { TOOLS, PEN_WIDTH, ERASER_WIDTH } from "./strokes.js";
+
+const DRAWINGS_URL = new URL("./__fixtures__/drawings.ndjson", import.meta.url);
+const EXPECTED_URL = new URL("./__fixtures__/preprocess.expected.json", import.meta.url);
+const UPDATE = Boolean(process.env.UPDATE_FIXTURES);
+
+const expected = UPDATE ? {} : JSON.parse(readFileSync(EXPECTED_URL, "utf8"));
+const actual = {};
+
+// ─── RGBA fixtures, built in code ───
+
+function blankPixels(width, height) {
+  return { data: new Uint8ClampedArray(width * height * 4), width, height };
+}
+
+function paint({ data, width }, x, y, gray, alpha = 255) {
+  const o = (y * width + x) * 4;
+  data[o] = gray;
+  data[o + 1] = gray;
+  data[o + 2] = gray;
+  data[o + 3] = alpha;
+}
+
+const PIXEL_FIXTURES = {
+  // Solid black rectangle, off centre on a small canvas
+  rectangle: () => {
+    const img = blankPixels(64, 48);
+    for (let y = 10; y < 30; y++) for (let x = 5; x < 45; x++) paint(img, x, y, 0);
+    return img;
+  },
+  // One pixel wide vertical line: the tall side sets the scale
+  "thin-line": () => {
+    const img = blankPixels(40, 40);
+    for (let y = 3; y < 37; y++) paint(img, 20, y, 0);
+    return img;
+  },
+  // Gray levels and partial alpha, plus faint pixels under the alpha threshold
+  "alpha-gradient": () => {
+    const img = blankPixels(32, 32);
+    for (let y = 4; y < 28; y++) {
+      for (let x = 4; x < 28; x++) paint(img, x, y, (x * 8) % 256, 40 + y * 8);
+    }
+    for (let x = 0; x < 32; x++) paint(img, x, 0, 0, 15);
+    return img;
+  },
+};
+
+// ─── Stroke fixtures: Quick, Draw! samples plus the other tools ───
+
+const square = (x0, y0, size) => [
+  { x: x0, y: y0 },
+  { x: x0 + size, y: y0 },
+  { x: x0 + size, y: y0 + size },
+  { x: x0, y: y0 + size },
+  { x: x0, y: y0 },
+];
+const timed = (points, msPerPoint = 16) => points.map((p, i) => ({ ...p, t: i * msPerPoint }));
+
+const STROKE_FIXTURES = {
+  ...Object.fromEntries(
+    parseNdjson(readFileSync(DRAWINGS_URL, "utf8")).map(({ word, drawing }) => [
+      `quickdraw-${word.replace(/\s+/g, "-")}`,
+      () => drawingToStrokes(drawing),
+    ])
+  ),
+  eraser: () => [
+    { tool: TOOLS.PEN, width: PEN_WIDTH, points: timed([{ x: 100, y: 240 }, { x: 540, y: 240 }]) },
+    { tool: TOOLS.ERASER, width: ERASER_WIDTH, points: timed([{ x: 320, y: 150 }, { x: 320, y: 330 }]) },
+  ],
+  fill: () => [
+    { tool: TOOLS.PEN, width: PEN_WIDTH, points: timed(square(200, 120, 240)) },
+    { tool: TOOLS.FILL, width: PEN_WIDTH, points: [{ x: 320, y: 240, t: 100 }] },
+  ],
+  "velocity-width": () => [
+    {
+      tool: TOOLS.PEN,
+      width: PEN_WIDTH,
+      dynamics: "velocity",
+      points: [0, 1, 2, 3, 4, 5, 6, 7].map((i) => ({ x: 120 + i * i * 8, y: 100 + i * 40, t: i * 20 })),
+    },
+  ],
+};
+
+// ─── Fixture file: one row of the 28×28 grid per line ───
+
+function formatExpected(cases) {
+  const entries = Object.entries(cases).map(([name, { inkRatio, input }]) => {
+    const rows = [];
+    for (let j = 0; j < MODEL_SIZE; j++) {
+      rows.push(`      ${JSON.stringify(input.slice(j * MODEL_SIZE, (j + 1) * MODEL_SIZE))}`);
+    }
+    return `  ${JSON.stringify(name)}: {\n    "inkRatio": ${inkRatio},\n    "input": [\n${rows.join(",\n")}\n    ]\n  }`;
+  });
+  return `{\n${entries.join(",\n")}\n}\n`;
+}
+
+function check(name, { input, inkRatio }) {
+  assert.equal(input.length, MODEL_SIZE * MODEL_SIZE);
+  const result = { inkRatio, input: Array.from(input) };
+  actual[name] = result;
+  if (UPDATE) return;
+
+  assert.ok(expected[name], `no expected output for "${name}" (run with UPDATE_FIXTURES=1)`);
+  assert.equal(result.inkRatio, expected[name].inkRatio);
+  assert.deepEqual(result.input, expected[name].input.flat());
+}
+
+after(() => {
+  if (UPDATE) writeFileSync(EXPECTED_URL, formatExpected(actual));
+});
+
+for (const [name, build] of Object.entries(PIXEL_FIXTURES)) {
+  test(`preprocessPixels: ${name}`, () => {
+    const { data, width, height } = build();
+    check(`pixels/${name}`, preprocessPixels(data, width, height));
+  });
+}
+
+for (const [name, build] of Object.entries(STROKE_FIXTURES)) {
+  test(`preprocessStrokes: ${name}`, () => {
+    check(`strokes/${name}`, preprocessStrokes(build()));
+  });
+}
+
+test("a blank canvas is all zeros with no ink", () => {
+  const { data, width, height } = blankPixels(20, 20);
+  assert.equal(findInkBounds(data, width, height), null);
+  const { input, inkRatio } = preprocessPixels(data, width, height);
+  assert.equal(inkRatio, 0);
+  assert.deepEqual(Array.from(input), new Array(MODEL_SIZE * MODEL_SIZE).fill(0));
+  assert.equal(preprocessStrokes([]).inkRatio, 0);
+});
+
+test("moving a drawing on the canvas doesn't change the input", () => {
+  const shift = (strokes, dx, dy) =>
+    strokes.map((s) => ({ ...s, points: s.points.map((p) => ({ ...p, x: p.x + dx, y: p.y + dy })) }));
+  const strokes = STROKE_FIXTURES["quickdraw-star"]();
+  const moved = preprocessStrokes(shift(strokes, -37, 21));
+  assert.deepEqual(Array.from(moved.input), Array.from(preprocessStrokes(strokes).input));
+});
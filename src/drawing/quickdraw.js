@@ -0,0 +1,203 @@
+// src/drawing/quickdraw.js
+
+import { TOOLS, PEN_WIDTH } from "./strokes.js";
+
+/**
+ * Google Quick, Draw! "simplified" ndjson: one JSON object per line,
+ *   { word, recognized, timestamp, drawing: [[[x0, x1, ...], [y0, y1, ...]], ...] }
+ * with coordinates aligned to the top-left and scaled into 0–255.
+ * We leave out countrycode (and key_id) on export and ignore them on import.
+ */
+
+const QD_SIZE = 255;
+const RDP_EPSILON = 2.0;
+
+function perpendicularDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len = Math.hypot(dx, dy);
+  if (len === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+  return Math.abs(dy * p.x - dx * p.y + b.x * a.y - b.y * a.x) / len;
+}
+
+/**
+ * Ramer–Douglas–Peucker line simplification.
+ */
+export function simplifyPoints(points, epsilon = RDP_EPSILON) {
+  if (points.length < 3) return points.slice();
+
+  let maxDist = 0;
+  let index = 0;
+  const last = points.length - 1;
+  for (let i = 1; i < last; i++) {
+    const d = perpendicularDistance(points[i], points[0], points[last]);
+    if (d > maxDist) {
+      maxDist = d;
+      index = i;
+    }
+  }
+
+  if (maxDist <= epsilon) return [points[0], points[last]];
+
+  const left = simplifyPoints(points.slice(0, index + 1), epsilon);
+  const right = simplifyPoints(points.slice(index), epsilon);
+  return left.slice(0, -1).concat(right);
+}
+
+/**
+ * Resample a polyline so consecutive points are `spacing` apart.
+ */
+function resample(points, spacing = 1) {
+  if (points.length < 2) return points.slice();
+
+  const out = [points[0]];
+  let prev = points[0];
+  let carry = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const cur = points[i];
+    let segLen = Math.hypot(cur.x - prev.x, cur.y - prev.y);
+    let from = prev;
+
+    while (carry + segLen >= spacing) {
+      const step = spacing - carry;
+      const r = step / segLen;
+      const p = { x: from.x + (cur.x - from.x) * r, y: from.y + (cur.y - from.y) * r };
+      out.push(p);
+      from = p;
+      segLen -= step;
+      carry = 0;
+    }
+    carry += segLen;
+    prev = cur;
+  }
+
+  const last = points[points.length - 1];
+  const tail = out[out.length - 1];
+  if (tail.x !== last.x || tail.y !== last.y) out.push(last);
+  return out;
+}
+
+/**
+ * Convert our stroke list into a Quick, Draw! simplified drawing.
+ * Eraser and fill strokes have no equivalent in the format and are dropped.
+ */
+export function strokesToDrawing(strokes) {
+  const pen = strokes.filter((s) => s.tool === TOOLS.PEN && s.points.length > 0);
+  if (pen.length === 0) return [];
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const s of pen) {
+    for (const p of s.points) {
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y > maxY) maxY = p.y;
+    }
+  }
+
+  const scale = QD_SIZE / Math.max(maxX - minX, maxY - minY, 1);
+
+  return pen.map((s) => {
+    const scaled = s.points.map((p) => ({ x: (p.x - minX) * scale, y: (p.y - minY) * scale }));
+    const simplified = simplifyPoints(resample(scaled, 1), RDP_EPSILON);
+    return [
+      simplified.map((p) => Math.round(p.x)),
+      simplified.map((p) => Math.round(p.y)),
+    ];
+  });
+}
+
+/**
+ * Place a Quick, Draw! drawing back onto a canvas of the given size, centred
+ * with a margin. Points get synthetic timestamps so replay still works.
+ */
+export function drawingToStrokes(drawing, { width = 640, height = 480, margin = 0.15, msPerPoint = 12 } = {}) {
+  if (!Array.isArray(drawing) || drawing.length === 0) return [];
+
+  let maxX = 0, maxY = 0;
+  for (const [xs, ys] of drawing) {
+    for (const x of xs) if (x > maxX) maxX = x;
+    for (const y of ys) if (y > maxY) maxY = y;
+  }
+
+  const avail = Math.min(width, height) * (1 - margin * 2);
+  const scale = avail / Math.max(maxX, maxY, 1);
+  const offX = (width - maxX * scale) / 2;
+  const offY = (height - maxY * scale) / 2;
+
+  let t = Date.now();
+  return drawing.map(([xs, ys]) => ({
+    tool: TOOLS.PEN,
+    width: PEN_WIDTH,
+    points: xs.map((x, i) => ({
+      x: offX + x * scale,
+      y: offY + ys[i] * scale,
+      t: (t += msPerPoint),
+    })),
+  }));
+}
+
+function formatTimestamp(date) {
+  // Same shape as the public dataset: "2017-03-09 00:28:55.637 UTC"
+  return date.toISOString().replace("T", " ").replace("Z", " UTC");
+}
+
+export function toNdjsonRecord({ word, recognized, strokes, timestamp = new Date() }) {
+  return {
+    word,
+    recognized: Boolean(recognized),
+    timestamp: formatTimestamp(timestamp),
+    drawing: strokesToDrawing(strokes),
+  };
+}
+
+export function toNdjson(records) {
+  return records.map((r) => JSON.stringify(r)).join("\n") + "\n";
+}
+
+/**
+ * Parse ndjson text. Blank lines are skipped; malformed lines throw with the
+ * line number so a bad export is easy to find.
+ */
+export function parseNdjson(text) {
+  const records = [];
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`ndjson line ${i + 1}: ${e.message}`);
+    }
+
+    const ok =
+      Array.isArray(obj.drawing) &&
+      obj.drawing.every(
+        (s) => Array.isArray(s) && Array.isArray(s[0]) && Array.isArray(s[1]) && s[0].length === s[1].length
+      );
+    if (!ok) throw new Error(`ndjson line ${i + 1}: "drawing" is not [[x...],[y...]] strokes`);
+
+    records.push({
+      word: obj.word ?? "",
+      recognized: Boolean(obj.recognized),
+      timestamp: obj.timestamp ?? null,
+      drawing: obj.drawing,
+    });
+  });
+
+  return records;
+}
+
+export function downloadNdjson(filename, records) {
+  const blob = new Blob([toNdjson(records)], { type: "application/x-ndjson" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,115 @@
+// src/drawing/shapes.js
+
+/**
+ * Shape tools and the fill bucket. Lines and ellipses become ordinary pen
+ * strokes with points along the outline, so undo, replay, export and the
+ * classifier handle them like anything drawn by hand. A fill is a one-point
+ * { tool: "fill" } stroke that flood-fills the area under it when drawn.
+ */
+
+export const SHAPE_TOOLS = {
+  LINE: "line",
+  ELLIPSE: "ellipse",
+};
+
+const ELLIPSE_POINTS = 48;
+
+// Pixels more transparent than this count as empty for the fill bucket, so
+// anti-aliased stroke edges still hold the fill in
+const FILL_ALPHA_THRESHOLD = 128;
+
+/**
+ * Straight line from a to b. With `constrain` the angle snaps to 45° steps.
+ */
+export function linePoints(a, b, { constrain = false } = {}) {
+  let { x, y } = b;
+  if (constrain) {
+    const angle = Math.round(Math.atan2(y - a.y, x - a.x) / (Math.PI / 4)) * (Math.PI / 4);
+    const length = Math.hypot(x - a.x, y - a.y);
+    x = a.x + Math.cos(angle) * length;
+    y = a.y + Math.sin(angle) * length;
+  }
+  return [{ ...a }, { x, y, t: b.t }];
+}
+
+/**
+ * Ellipse inside the box with corners a and b, as a closed outline.
+ * With `constrain` it is a circle.
+ */
+export function ellipsePoints(a, b, { constrain = false } = {}) {
+  let w = b.x - a.x;
+  let h = b.y - a.y;
+  if (constrain) {
+    const size = Math.max(Math.abs(w), Math.abs(h));
+    w = Math.sign(w || 1) * size;
+    h = Math.sign(h || 1) * size;
+  }
+  const cx = a.x + w / 2;
+  const cy = a.y + h / 2;
+  const dt = Math.max(0, b.t - a.t) / ELLIPSE_POINTS;
+
+  const points = [];
+  for (let i = 0; i <= ELLIPSE_POINTS; i++) {
+    const angle = (i / ELLIPSE_POINTS) * Math.PI * 2;
+    points.push({
+      x: cx + (Math.abs(w) / 2) * Math.cos(angle),
+      y: cy + (Math.abs(h) / 2) * Math.sin(angle),
+      t: a.t + i * dt,
+    });
+  }
+  return points;
+}
+
+export function shapePoints(shape, a, b, options) {
+  return shape === SHAPE_TOOLS.ELLIPSE ? ellipsePoints(a, b, options) : linePoints(a, b, options);
+}
+
+/**
+ * Flood-fill the empty area around (x, y) with opaque black ink, in place on
+ * RGBA pixels (ImageData.data or a rasterizeStrokes buffer). Returns false if
+ * (x, y) is outside the image or already inked.
+ */
+export function floodFill(data, width, height, x, y) {
+  const sx = Math.round(x);
+  const sy = Math.round(y);
+  if (sx < 0 || sy < 0 || sx >= width || sy >= height) return false;
+
+  const isEmpty = (i) => data[i * 4 + 3] < FILL_ALPHA_THRESHOLD;
+  if (!isEmpty(sy * width + sx)) return false;
+
+  // Scanline fill: paint a run, queue the empty runs above and below it.
+  // Painted pixels are opaque, so they never count as empty again.
+  const stack = [sx, sy];
+  while (stack.length > 0) {
+    const py = stack.pop();
+    let px = stack.pop();
+    let i = py * width + px;
+    if (!isEmpty(i)) continue;
+
+    while (px > 0 && isEmpty(i - 1)) {
+      px--;
+      i--;
+    }
+
+    let queuedAbove = false;
+    let queuedBelow = false;
+    for (; px < width && isEmpty(i); px++, i++) {
+      data[i * 4] = 0;
+      data[i * 4 + 1] = 0;
+      data[i * 4 + 2] = 0;
+      data[i * 4 + 3] = 255;
+
+      if (py > 0) {
+        const empty = isEmpty(i - width);
+        if (empty && !queuedAbove) stack.push(px, py - 1);
+        queuedAbove = empty;
+      }
+      if (py < height - 1) {
+        const empty = isEmpty(i + width);
+        if (empty && !queuedBelow) stack.push(px, py + 1);
+        queuedBelow = empty;
+      }
+    }
+  }
+  return true;
+}
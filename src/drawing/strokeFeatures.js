@@ -0,0 +1,64 @@
+// src/drawing/strokeFeatures.js
+
+import { TOOLS } from "./strokes.js";
+
+/**
+ * Stroke-sequence input for two-branch models, in the Quick, Draw! RNN
+ * layout: one row per point of [dx, dy, penUp], where penUp = 1 on the last
+ * point of each stroke. Coordinates are normalised by the drawing's larger
+ * side so dx/dy land in [-1, 1]. Longer drawings are resampled down to
+ * `steps` rows, shorter ones are zero-padded at the end.
+ */
+
+export const DEFAULT_SEQUENCE_STEPS = 100;
+
+function penPoints(strokes) {
+  const points = [];
+  for (const stroke of strokes) {
+    if (stroke.tool !== TOOLS.PEN || stroke.points.length === 0) continue;
+    stroke.points.forEach((p, i) => {
+      points.push({ x: p.x, y: p.y, end: i === stroke.points.length - 1 });
+    });
+  }
+  return points;
+}
+
+export function strokeSequenceFeatures(strokes, { steps = DEFAULT_SEQUENCE_STEPS, channels = 3 } = {}) {
+  const out = new Float32Array(steps * channels);
+  const points = penPoints(strokes);
+  if (points.length === 0) return out;
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of points) {
+    if (p.x < minX) minX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y > maxY) maxY = p.y;
+  }
+  const scale = 1 / Math.max(maxX - minX, maxY - minY, 1);
+
+  // Pick evenly spaced points; a pen lift inside a skipped run is kept
+  const n = Math.min(points.length, steps);
+  let prevIdx = -1;
+  let prev = null;
+
+  for (let k = 0; k < n; k++) {
+    const idx = n === points.length ? k : Math.round((k * (points.length - 1)) / (n - 1 || 1));
+    let end = false;
+    for (let j = prevIdx + 1; j <= idx; j++) end = end || points[j].end;
+
+    const p = points[idx];
+    const x = (p.x - minX) * scale;
+    const y = (p.y - minY) * scale;
+    const row = k * channels;
+
+    out[row] = prev ? x - prev.x : 0;
+    if (channels > 1) out[row + 1] = prev ? y - prev.y : 0;
+    if (channels > 2) out[row + 2] = end ? 1 : 0;
+
+    prev = { x, y };
+    prevIdx = idx;
+  }
+
+  return out;
+}
@@ -0,0 +1,48 @@
+// src/drawing/strokeFeatures.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SEQUENCE_STEPS, strokeSequenceFeatures } from "./strokeFeatures.js";
+import { TOOLS } from "./strokes.js";
+
+const pen = (...points) => ({ tool: TOOLS.PEN, points: points.map(([x, y]) => ({ x, y })) });
+const rows = (out, channels = 3) =>
+  Array.from({ length: out.length / channels }, (_, k) => Array.from(out.slice(k * channels, (k + 1) * channels)));
+
+test("no pen strokes is an all-zero sequence", () => {
+  const out = strokeSequenceFeatures([]);
+  assert.equal(out.length, DEFAULT_SEQUENCE_STEPS * 3);
+  assert.ok(out.every((v) => v === 0));
+  assert.ok(strokeSequenceFeatures([{ tool: TOOLS.ERASER, points: [{ x: 1, y: 1 }, { x: 5, y: 5 }] }]).every((v) => v === 0));
+});
+
+test("points become [dx, dy, penUp] scaled by the larger side, zero-padded", () => {
+  const strokes = [
+    pen([100, 50], [110, 50]),
+    { tool: TOOLS.ERASER, points: [{ x: 0, y: 0 }, { x: 500, y: 500 }] },
+    pen([110, 55], [100, 55]),
+    { tool: TOOLS.FILL, points: [{ x: 105, y: 52 }] },
+  ];
+  assert.deepEqual(rows(strokeSequenceFeatures(strokes, { steps: 6 })), [
+    [0, 0, 0],
+    [1, 0, 1],
+    [0, 0.5, 0],
+    [-1, 0, 1],
+    [0, 0, 0],
+    [0, 0, 0],
+  ]);
+});
+
+test("long drawings are resampled to `steps` rows and keep skipped pen lifts", () => {
+  const first = pen(...[0, 1, 2, 3, 4].map((i) => [i * 9, 0]));
+  const second = pen(...[5, 6, 7, 8, 9].map((i) => [i * 9, 0]));
+  // 10 points into 3 rows: indices 0, 5 and 9; the lift at index 4 lands on row 1
+  const out = rows(strokeSequenceFeatures([first, second], { steps: 3 }));
+  assert.deepEqual(out.map((r) => r[2]), [0, 1, 1]);
+  assert.deepEqual(out.map((r) => Math.round(r[0] * 81)), [0, 45, 36]);
+});
+
+test("fewer channels drop the pen-up flag", () => {
+  const out = strokeSequenceFeatures([pen([0, 0], [4, 2])], { steps: 2, channels: 2 });
+  assert.deepEqual(Array.from(out), [0, 0, 1, 0.5]);
+});
@@ -0,0 +1,337 @@
+// src/drawing/strokes.js
+
+/**
+ * Vector model of a drawing. Every stroke is
+ *   { tool: "pen" | "eraser" | "fill", width, dynamics?: "velocity", shape?: "line" | "ellipse",
+ *     points: [{ x, y, t, p? }, ...] }
+ * with t in ms (Date.now()) and p the pointer pressure (0–1) when the device
+ * reports one. A fill has a single point (see drawing/shapes.js). The canvas
+ * is always re-rendered from this list.
+ *
+ * Strokes are drawn as Catmull-Rom splines through the points. Width varies
+ * with pressure when points carry it, otherwise with speed for "velocity"
+ * strokes (thicker when slow). flattenStroke() is the single description of
+ * that shape; the canvas renderer and rasterizeStrokes() both draw from it.
+ */
+
+import { floodFill } from "./shapes.js";
+
+export const TOOLS = {
+  PEN: "pen",
+  ERASER: "eraser",
+  FILL: "fill",
+};
+
+export const PEN_WIDTH = 10;
+export const ERASER_WIDTH = 50;
+
+// Ranges for the toolbox size sliders
+export const PEN_WIDTH_RANGE = [2, 40];
+export const ERASER_WIDTH_RANGE = [10, 120];
+
+// Width factor range for pressure / velocity strokes
+const MIN_WIDTH_FACTOR = 0.5;
+const MAX_WIDTH_FACTOR = 1.5;
+// px/ms at which a velocity stroke is at its thinnest
+const FAST_SPEED = 2;
+// How quickly the width follows speed changes (0–1)
+const WIDTH_EASING = 0.4;
+// Spline samples are roughly this many px apart
+const SAMPLE_SPACING = 2;
+const MAX_SAMPLES_PER_SEGMENT = 16;
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+/**
+ * Width at every point of the stroke.
+ */
+export function pointWidths(stroke) {
+  const { width, points } = stroke;
+
+  if (points.some((pt) => pt.p !== undefined)) {
+    return points.map((pt) => {
+      const pressure = pt.p ?? 0.5;
+      return width * (MIN_WIDTH_FACTOR + (MAX_WIDTH_FACTOR - MIN_WIDTH_FACTOR) * pressure);
+    });
+  }
+
+  if (stroke.dynamics !== "velocity") return points.map(() => width);
+
+  const widths = [];
+  let w = width;
+  points.forEach((pt, i) => {
+    if (i > 0) {
+      const prev = points[i - 1];
+      const speed = Math.hypot(pt.x - prev.x, pt.y - prev.y) / Math.max(1, pt.t - prev.t);
+      const factor = MAX_WIDTH_FACTOR - (MAX_WIDTH_FACTOR - MIN_WIDTH_FACTOR) * clamp(speed / FAST_SPEED, 0, 1);
+      w += (width * factor - w) * WIDTH_EASING;
+    }
+    widths.push(w);
+  });
+  return widths;
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (3 * p1 - p0 - 3 * p2 + p3) * t3);
+}
+
+/**
+ * Sample the spline through points[from..to] into [{ x, y, w }, ...].
+ * End segments reuse their end point as the missing control point.
+ */
+export function flattenStroke(stroke, from = 0, to = stroke.points.length - 1) {
+  const pts = stroke.points;
+  if (pts.length === 0 || to < from) return [];
+
+  const widths = pointWidths(stroke);
+  if (pts.length === 1 || from === to) {
+    return [{ x: pts[from].x, y: pts[from].y, w: widths[from] }];
+  }
+
+  const samples = [{ x: pts[from].x, y: pts[from].y, w: widths[from] }];
+  for (let k = from; k < to; k++) {
+    const p0 = pts[Math.max(0, k - 1)];
+    const p1 = pts[k];
+    const p2 = pts[k + 1];
+    const p3 = pts[Math.min(pts.length - 1, k + 2)];
+    const n = clamp(Math.ceil(Math.hypot(p2.x - p1.x, p2.y - p1.y) / SAMPLE_SPACING), 1, MAX_SAMPLES_PER_SEGMENT);
+
+    for (let s = 1; s <= n; s++) {
+      const t = s / n;
+      samples.push({
+        x: catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+        y: catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+        w: widths[k] + (widths[k + 1] - widths[k]) * t,
+      });
+    }
+  }
+  return samples;
+}
+
+function applyToolStyle(ctx, stroke) {
+  ctx.globalCompositeOperation =
+    stroke.tool === TOOLS.ERASER ? "destination-out" : "source-over";
+  ctx.strokeStyle = "#000000";
+  ctx.fillStyle = "#000000";
+  ctx.lineWidth = stroke.width;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+}
+
+/**
+ * Draw points [from, to] of a stroke. Used both for incremental drawing while
+ * the pointer moves and for full re-renders. A new point also bends the
+ * spline segment before it, so drawing starts two points back.
+ */
+export function drawStrokeSegment(ctx, stroke, from = 0, to = stroke.points.length - 1) {
+  const pts = stroke.points;
+  if (pts.length === 0 || to < from) return;
+
+  if (stroke.tool === TOOLS.FILL) {
+    if (from === 0) fillAt(ctx, pts[0]);
+    return;
+  }
+
+  const samples = flattenStroke(stroke, pts.length === 1 ? 0 : Math.max(0, from - 2), to);
+
+  ctx.save();
+  applyToolStyle(ctx, stroke);
+
+  if (samples.length === 1) {
+    // A click without movement still leaves a dot
+    ctx.beginPath();
+    ctx.arc(samples[0].x, samples[0].y, samples[0].w / 2, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (samples.every((s) => s.w === samples[0].w)) {
+    ctx.lineWidth = samples[0].w;
+    ctx.beginPath();
+    ctx.moveTo(samples[0].x, samples[0].y);
+    for (let i = 1; i < samples.length; i++) {
+      ctx.lineTo(samples[i].x, samples[i].y);
+    }
+    ctx.stroke();
+  } else {
+    // Variable width: one short round-capped piece per sample step
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1];
+      const b = samples[i];
+      ctx.lineWidth = (a.w + b.w) / 2;
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+  }
+
+  ctx.restore();
+}
+
+function fillAt(ctx, { x, y }) {
+  const { width, height } = ctx.canvas;
+  const image = ctx.getImageData(0, 0, width, height);
+  if (floodFill(image.data, width, height, x, y)) ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * Clear the canvas and paint the full stroke list.
+ */
+export function renderStrokes(ctx, strokes) {
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  for (const stroke of strokes) {
+    drawStrokeSegment(ctx, stroke);
+  }
+}
+
+export function cloneStrokes(strokes) {
+  return strokes.map((s) => ({ ...s, points: s.points.map((p) => ({ ...p })) }));
+}
+
+/**
+ * Undo/redo history over whole strokes (draw and erase alike).
+ */
+export class StrokeHistory {
+  constructor() {
+    this.strokes = [];
+    this.redoStack = [];
+    this.activeStroke = null;
+  }
+
+  /** extras are stored on the stroke, e.g. { dynamics: "velocity" }. */
+  begin(tool, width, point, extras = {}) {
+    this.activeStroke = { tool, width, ...extras, points: [point] };
+    this.strokes.push(this.activeStroke);
+    this.redoStack = [];
+    return this.activeStroke;
+  }
+
+  addPoint(point) {
+    if (!this.activeStroke) return null;
+    this.activeStroke.points.push(point);
+    return this.activeStroke;
+  }
+
+  end() {
+    const stroke = this.activeStroke;
+    this.activeStroke = null;
+    return stroke;
+  }
+
+  /** Replace the points of the stroke in progress (shape tools while dragging). */
+  setPoints(points) {
+    if (!this.activeStroke) return null;
+    this.activeStroke.points = points;
+    return this.activeStroke;
+  }
+
+  /** Drop the stroke in progress as if it was never drawn. */
+  cancel() {
+    if (!this.activeStroke) return;
+    this.strokes = this.strokes.filter((s) => s !== this.activeStroke);
+    this.activeStroke = null;
+  }
+
+  get isStroking() {
+    return this.activeStroke !== null;
+  }
+
+  get canUndo() {
+    return this.strokes.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  undo() {
+    this.end();
+    const stroke = this.strokes.pop();
+    if (!stroke) return false;
+    this.redoStack.push(stroke);
+    return true;
+  }
+
+  redo() {
+    const stroke = this.redoStack.pop();
+    if (!stroke) return false;
+    this.strokes.push(stroke);
+    return true;
+  }
+
+  /** Deep copy of the committed strokes, safe to keep after clear(). */
+  snapshot() {
+    return cloneStrokes(this.strokes);
+  }
+
+  /** Replace the drawing with an existing stroke list (e.g. an import). */
+  load(strokes) {
+    this.strokes = cloneStrokes(strokes);
+    this.redoStack = [];
+    this.activeStroke = null;
+  }
+
+  clear() {
+    this.strokes = [];
+    this.redoStack = [];
+    this.activeStroke = null;
+  }
+}
+
+/**
+ * Animate a stroke list onto ctx following the recorded timestamps.
+ * Pauses between strokes are capped and the whole replay is sped up to fit in
+ * maxDurationMs, or slowed down to last at least minDurationMs. Returns a
+ * cancel function.
+ */
+export function replayStrokes(ctx, strokes, { maxDurationMs = 2000, minDurationMs = 0, maxPauseMs = 300, onDone } = {}) {
+  const drawn = strokes.filter((s) => s.points.length > 0);
+  if (drawn.length === 0) {
+    onDone?.();
+    return () => {};
+  }
+
+  // Re-time every point on a single timeline with the long pauses removed
+  const timeline = [];
+  let clock = 0;
+  let prevT = null;
+  for (const stroke of drawn) {
+    const times = stroke.points.map((p) => {
+      if (prevT !== null) clock += Math.min(Math.max(0, p.t - prevT), maxPauseMs);
+      prevT = p.t;
+      return clock;
+    });
+    timeline.push(times);
+  }
+
+  const duration = Math.min(Math.max(clock, minDurationMs), maxDurationMs);
+  const speed = duration > 0 ? clock / duration : 1;
+  const startedAt = performance.now();
+  let rafId = null;
+
+  const frame = (now) => {
+    const t = (now - startedAt) * speed;
+    const partial = [];
+    for (let i = 0; i < drawn.length; i++) {
+      const times = timeline[i];
+      if (times[0] > t) break;
+      let count = 1;
+      while (count < times.length && times[count] <= t) count++;
+      partial.push({ ...drawn[i], points: drawn[i].points.slice(0, count) });
+    }
+    renderStrokes(ctx, partial);
+
+    if (t >= clock) {
+      rafId = null;
+      onDone?.();
+      return;
+    }
+    rafId = requestAnimationFrame(frame);
+  };
+
+  rafId = requestAnimationFrame(frame);
+  return () => {
+    if (rafId !== null) cancelAnimationFrame(rafId);
+    rafId = null;
+  };
+}
@@ -0,0 +1,83 @@
+// src/game/dailyChallenge.js
+
+import { promisify, withStores } from "./localDb.js";
+import { hashSeed } from "./wordDeck.js";
+
+/**
+ * Daily challenge: the same DAILY_ROUNDS words for everyone on a given day.
+ * The word deck is seeded from the local calendar date (see dailySeed), so
+ * with the same labels.json every player is dealt the same sequence. Each
+ * day can be attempted once; the attempt is kept in IndexedDB:
+ *
+ *   daily  { date, modelId, startedAt, finishedAt, rounds: [{ word, recognized, seconds }] }
+ *
+ * The attempt is stored as the game starts, so reloading mid-game doesn't
+ * buy a second try; finishedAt and rounds are filled in at game over.
+ */
+
+export const DAILY_ROUNDS = 6;
+export const DAILY_ROUND_SECONDS = 20;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** "YYYY-MM-DD" for the player's local date. */
+export function dailyKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Deck seed for one day. It's a number, which createRng uses as is, while
+ * seeds typed in the lobby are strings it hashes: no solo game can be seeded
+ * to rehearse the daily words.
+ */
+export const dailySeed = (key) => (hashSeed(`daily:${key}`) ^ 0x5eed) >>> 0;
+
+/**
+ * The game config for the daily challenge (merged over useGameState's). It
+ * carries no seed, so the lobby never sees dailySeed; deal the deck with it
+ * directly.
+ */
+export function dailyConfig() {
+  return {
+    roundSeconds: DAILY_ROUND_SECONDS,
+    totalRounds: DAILY_ROUNDS,
+    difficulty: "all",
+  };
+}
+
+/**
+ * Spoiler-free summary to paste elsewhere, one line per word:
+ *
+ *   Draw vs AI · Daily 2026-10-19 · 4/6
+ *   ✅⏱12s
+ *   ❌
+ */
+export function shareText(key, rounds) {
+  const recognized = rounds.filter((r) => r.recognized).length;
+  const lines = rounds.map((r) => (r.recognized ? `✅⏱${Math.round(r.seconds)}s` : "❌"));
+  return [`Draw vs AI · Daily ${key} · ${recognized}/${rounds.length}`, ...lines].join("\n");
+}
+
+export function getDailyAttempt(key) {
+  return withStores(["daily"], "readonly", (daily) => promisify(daily.get(key))).then((a) => a ?? null);
+}
+
+export async function startDailyAttempt(key, modelId) {
+  const attempt = { date: key, modelId, startedAt: Date.now(), finishedAt: null, rounds: [] };
+  await withStores(["daily"], "readwrite", (daily) => promisify(daily.add(attempt)));
+  return attempt;
+}
+
+export async function finishDailyAttempt(key, results) {
+  return withStores(["daily"], "readwrite", async (daily) => {
+    const attempt = await promisify(daily.get(key));
+    if (!attempt) throw new Error(`No daily attempt for ${key}`);
+    const finished = {
+      ...attempt,
+      finishedAt: Date.now(),
+      rounds: results.map(({ word, recognized, seconds }) => ({ word, recognized, seconds })),
+    };
+    await promisify(daily.put(finished));
+    return finished;
+  });
+}
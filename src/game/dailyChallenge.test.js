@@ -0,0 +1,30 @@
+// src/game/dailyChallenge.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DAILY_ROUNDS, dailyConfig, dailyKey, dailySeed } from "./dailyChallenge.js";
+import { WordDeck } from "./wordDeck.js";
+
+const WORDS = Array.from({ length: 40 }, (_, i) => `word ${i}`);
+const deal = (seed) => {
+  const deck = new WordDeck(WORDS, { seed });
+  return Array.from({ length: DAILY_ROUNDS }, () => deck.draw());
+};
+
+test("dailyKey is the local calendar date", () => {
+  assert.equal(dailyKey(new Date(2026, 0, 5, 23, 59)), "2026-01-05");
+});
+
+test("every player gets the same words on a day, and new ones the next day", () => {
+  assert.deepEqual(deal(dailySeed("2026-10-19")), deal(dailySeed("2026-10-19")));
+  assert.notDeepEqual(deal(dailySeed("2026-10-19")), deal(dailySeed("2026-10-20")));
+});
+
+test("no seed typed in the lobby deals the daily words", () => {
+  const key = "2026-10-19";
+  const daily = deal(dailySeed(key));
+  for (const typed of [`daily:${key}`, key, String(dailySeed(key))]) {
+    assert.notDeepEqual(deal(typed), daily, typed);
+  }
+  assert.equal("seed" in dailyConfig(), false);
+});
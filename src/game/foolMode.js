@@ -0,0 +1,70 @@
+// src/game/foolMode.js
+
+/**
+ * "Fool the AI": draw the word well enough that a person would accept it,
+ * but so that the model doesn't see it. Two variants:
+ *
+ *   hide   keep the model's probability for the word under a threshold
+ *   decoy  make the model's top guess a different, given label
+ *
+ * A round always runs to the buzzer and is scored on the model's final
+ * smoothed probabilities. A human judge then accepts or rejects the drawing;
+ * a rejected drawing scores nothing.
+ */
+
+export const FOOL_VARIANTS = {
+  HIDE: "hide",
+  DECOY: "decoy",
+};
+
+export const DEFAULT_THRESHOLD = 0.2;
+
+// A fooled, accepted round scores between these (see foolPoints)
+export const MAX_POINTS = 100;
+export const MIN_POINTS = 10;
+
+// Guesses kept on each result for the reveal screen
+export const REVEAL_TOP_K = 5;
+
+const norm = (s) => (s ?? "").toLowerCase().trim();
+
+/** A label other than `word` for the model to guess instead, or null. */
+export function pickDecoy(labels, word, rng = Math.random) {
+  const others = labels.filter((l) => norm(l) !== norm(word));
+  return others[Math.floor(rng() * others.length)] ?? null;
+}
+
+const probOf = (guesses, label) => guesses.find((g) => norm(g.label) === norm(label))?.prob ?? 0;
+
+/**
+ * What the model made of the finished drawing, from the classifier's ranked
+ * [{ label, prob }]: { decoy, targetProb, decoyProb, top }.
+ */
+export function foolOutcome(guesses, { word, decoy = null }) {
+  return {
+    decoy,
+    targetProb: probOf(guesses, word),
+    decoyProb: decoy ? probOf(guesses, decoy) : null,
+    top: guesses.slice(0, REVEAL_TOP_K),
+  };
+}
+
+/** Whether the model was fooled, before the judge has a say. */
+export function isFooled(result, { foolVariant, foolThreshold }) {
+  if (foolVariant === FOOL_VARIANTS.DECOY) {
+    return Boolean(result.decoy) && norm(result.top?.[0]?.label) === norm(result.decoy);
+  }
+  return result.targetProb < foolThreshold;
+}
+
+/**
+ * Points for one round, nothing unless the model was fooled and the judge
+ * accepted the drawing. Hiding scores more the lower the word's probability
+ * ended; a decoy scores more the surer the model was of it.
+ */
+export function foolPoints(result, config) {
+  if (!result.accepted || !isFooled(result, config)) return 0;
+  const share =
+    config.foolVariant === FOOL_VARIANTS.DECOY ? result.decoyProb : 1 - result.targetProb / config.foolThreshold;
+  return Math.round(MIN_POINTS + (MAX_POINTS - MIN_POINTS) * share);
+}
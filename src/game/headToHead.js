@@ -0,0 +1,114 @@
+// src/game/headToHead.js
+
+/**
+ * Networked head-to-head: two players on different machines draw the same
+ * word and race to be recognised first by their own classifier. The host
+ * (first in the room) deals the words and runs the rounds; messages go
+ * through relay_server.mjs via RelayClient:
+ *
+ *   game-start  host → guest  { config: { roundSeconds, totalRounds }, modelId }
+ *   round-start host → guest  { round, word }
+ *   guess       both          { round, guess, prob, targetProb }
+ *   strokes     both          { round, base, from, strokes }  (see StrokeStream)
+ *   result      both          { round, recognized, seconds }
+ */
+
+export const ROLES = {
+  HOST: "host",
+  GUEST: "guest",
+};
+
+export const MESSAGES = {
+  GAME_START: "game-start",
+  ROUND_START: "round-start",
+  GUESS: "guess",
+  STROKES: "strokes",
+  RESULT: "result",
+};
+
+/**
+ * "me", "opponent", "tie" or null (nobody got it) for one round. When both
+ * were recognised, the faster drawing wins.
+ */
+export function roundWinner(mine, theirs) {
+  const a = mine?.recognized ? mine.seconds : Infinity;
+  const b = theirs?.recognized ? theirs.seconds : Infinity;
+  if (a === Infinity && b === Infinity) return null;
+  if (a === b) return "tie";
+  return a < b ? "me" : "opponent";
+}
+
+/** Rounds won by each side so far: { me, opponent }. */
+export function tally(myResults, opponentResults) {
+  const wins = { me: 0, opponent: 0 };
+  myResults.forEach((mine, round) => {
+    const winner = roundWinner(mine, opponentResults[round]);
+    if (winner === "me" || winner === "opponent") wins[winner] += 1;
+  });
+  return wins;
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const roundPoint = (p) => ({ ...p, x: round1(p.x), y: round1(p.y) });
+const pointKey = (p) => (p ? `${round1(p.x)},${round1(p.y)}` : "");
+
+/**
+ * Streams a growing stroke list as small diffs: each update carries the
+ * index of the first stroke that changed (`base`) and every stroke from
+ * there on, so undo / clear just move `base` back. When that first stroke
+ * only grew, `from` is the number of its points already sent and only the
+ * new ones follow, which keeps a long stroke in progress well under the
+ * relay's message size limit. Coordinates are rounded to 0.1 px.
+ */
+export class StrokeStream {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    // { tool, count, last } per stroke as of the last diff
+    this.sent = [];
+  }
+
+  /** { base, from, strokes } for what changed since the last call, or null. */
+  diff(strokes) {
+    // A stroke counts as unchanged while its tool, length and last point stay the same
+    const summary = (s) => ({ tool: s.tool, count: s.points.length, last: pointKey(s.points[s.points.length - 1]) });
+    const same = (a, b) => a.tool === b.tool && a.count === b.count && a.last === b.last;
+    const current = strokes.map(summary);
+
+    let base = 0;
+    while (base < current.length && base < this.sent.length && same(current[base], this.sent[base])) base++;
+    if (base === current.length && base === this.sent.length) return null;
+
+    // The stroke at base grew if the point last sent for it is still in place
+    const before = this.sent[base];
+    const grown =
+      before &&
+      base < strokes.length &&
+      current[base].tool === before.tool &&
+      current[base].count > before.count &&
+      pointKey(strokes[base].points[before.count - 1]) === before.last;
+    const from = grown ? before.count : 0;
+
+    this.sent = current;
+    return {
+      base,
+      from,
+      strokes: strokes.slice(base).map((s, i) => ({
+        ...s,
+        points: (i === 0 ? s.points.slice(from) : s.points).map(roundPoint),
+      })),
+    };
+  }
+}
+
+/** The receiving end of StrokeStream.diff. */
+export function applyStrokeDiff(strokes, { base, from = 0, strokes: changed }) {
+  if (from > 0 && changed.length > 0) {
+    const [first, ...rest] = changed;
+    const known = strokes[base]?.points.slice(0, from) ?? [];
+    changed = [{ ...first, points: [...known, ...first.points] }, ...rest];
+  }
+  return [...strokes.slice(0, base), ...changed];
+}
@@ -0,0 +1,59 @@
+// src/game/headToHead.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { StrokeStream, applyStrokeDiff } from "./headToHead.js";
+
+const line = (n, dy = 0) => Array.from({ length: n }, (_, i) => ({ x: i * 1.04, y: 100 + dy, t: i * 16 }));
+const rounded = (strokes) => strokes.map((s) => ({ ...s, points: s.points.map((p) => ({ ...p, x: Math.round(p.x * 10) / 10 })) }));
+
+// Sends every snapshot through a StrokeStream and returns the receiver's copy
+function replay(snapshots) {
+  const stream = new StrokeStream();
+  let received = [];
+  const diffs = [];
+  for (const strokes of snapshots) {
+    const diff = stream.diff(strokes);
+    if (!diff) continue;
+    diffs.push(JSON.parse(JSON.stringify(diff)));
+    received = applyStrokeDiff(received, diffs[diffs.length - 1]);
+  }
+  return { received, diffs };
+}
+
+test("a stroke in progress only sends its new points", () => {
+  const snapshots = [10, 20, 3000].map((n) => [{ tool: "pen", width: 4, points: line(n) }]);
+  const { received, diffs } = replay(snapshots);
+
+  assert.deepEqual(
+    diffs.map((d) => [d.base, d.from, d.strokes[0].points.length]),
+    [
+      [0, 0, 10],
+      [0, 10, 10],
+      [0, 20, 2980],
+    ]
+  );
+  assert.deepEqual(received, rounded(snapshots[2]));
+});
+
+test("nothing is sent while the strokes are unchanged", () => {
+  const strokes = [{ tool: "pen", width: 4, points: line(5) }];
+  const stream = new StrokeStream();
+  assert.ok(stream.diff(strokes));
+  assert.equal(stream.diff(strokes), null);
+});
+
+test("undo, clear and a new stroke in the same slot stay in sync", () => {
+  const a = { tool: "pen", width: 4, points: line(30) };
+  const b = { tool: "pen", width: 4, points: line(20, 50) };
+  const c = { tool: "eraser", width: 20, points: line(25, 50) };
+  const snapshots = [[a], [a, b], [a], [a, c], [], [b]];
+
+  const stream = new StrokeStream();
+  let received = [];
+  for (const strokes of snapshots) {
+    const diff = stream.diff(strokes);
+    if (diff) received = applyStrokeDiff(received, diff);
+    assert.deepEqual(received, rounded(strokes));
+  }
+});
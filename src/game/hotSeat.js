@@ -0,0 +1,99 @@
+// src/game/hotSeat.js
+
+import { PLAY_MODES } from "./playModes";
+import { createRng, shuffle } from "./wordDeck";
+
+/**
+ * Local multiplayer on one device. Players (or two teams) take turns at the
+ * canvas; every turn is one word. A player is { name, team } where team is an
+ * index into TEAM_NAMES (ignored outside team mode).
+ *
+ * With N players, "rounds" means every player draws once per round; with
+ * teams, both teams draw once per round and each team's players rotate.
+ */
+
+export const TURN_ORDERS = {
+  FIXED: "fixed",
+  SHUFFLED: "shuffled",
+};
+
+export const TEAM_NAMES = ["Red", "Blue"];
+export const TEAM_COLORS = ["#ef4444", "#3b82f6"];
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+
+export const isMultiplayer = (mode) => mode === PLAY_MODES.PLAYERS || mode === PLAY_MODES.TEAMS;
+
+/** Why these players can't start a game, or null when they can. */
+export function validatePlayers(mode, players) {
+  if (!isMultiplayer(mode)) return null;
+
+  const names = players.map((p) => p.name.trim());
+  if (names.length < MIN_PLAYERS) return `Add at least ${MIN_PLAYERS} players`;
+  if (names.length > MAX_PLAYERS) return `At most ${MAX_PLAYERS} players`;
+  if (names.some((n) => !n)) return "Every player needs a name";
+  if (new Set(names.map((n) => n.toLowerCase())).size !== names.length) return "Player names must be different";
+  if (mode === PLAY_MODES.TEAMS && TEAM_NAMES.some((_, t) => !players.some((p) => p.team === t))) {
+    return "Each team needs at least one player";
+  }
+  return null;
+}
+
+/**
+ * Who draws each turn of a game, as [{ player, team }] (both null in solo).
+ * A shuffled order is fixed for the whole game and follows the game's seed.
+ */
+export function buildTurns({ mode, players = [], totalRounds, turnOrder, seed }) {
+  if (!isMultiplayer(mode)) {
+    return Array.from({ length: totalRounds }, () => ({ player: null, team: null }));
+  }
+
+  const order = turnOrder === TURN_ORDERS.SHUFFLED
+    ? shuffle(players, createRng(seed ? `${seed}:turns` : undefined))
+    : players;
+  const turns = [];
+
+  if (mode === PLAY_MODES.PLAYERS) {
+    for (let r = 0; r < totalRounds; r++) {
+      for (const p of order) turns.push({ player: p.name, team: null });
+    }
+    return turns;
+  }
+
+  const teams = TEAM_NAMES.map((_, t) => order.filter((p) => p.team === t));
+  for (let r = 0; r < totalRounds; r++) {
+    teams.forEach((members, t) => {
+      turns.push({ player: members[r % members.length].name, team: TEAM_NAMES[t] });
+    });
+  }
+  return turns;
+}
+
+/**
+ * Standings by "player" or "team" from useGameState results: most recognised
+ * drawings first, then the least time spent on them. Tied entries share a
+ * rank.
+ */
+export function leaderboard(results, key = "player") {
+  const rows = new Map();
+  for (const r of results) {
+    const name = r[key];
+    if (!name) continue;
+    const row = rows.get(name) ?? { name, score: 0, turns: 0, seconds: 0 };
+    row.turns += 1;
+    if (r.recognized) {
+      row.score += 1;
+      row.seconds += r.seconds;
+    }
+    rows.set(name, row);
+  }
+
+  const sorted = [...rows.values()].sort((a, b) => b.score - a.score || a.seconds - b.seconds);
+  let rank = 0;
+  return sorted.map((row, i) => {
+    const prev = sorted[i - 1];
+    if (!prev || prev.score !== row.score || prev.seconds !== row.seconds) rank = i + 1;
+    return { ...row, rank };
+  });
+}
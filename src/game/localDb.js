@@ -0,0 +1,77 @@
+// src/game/localDb.js
+
+/**
+ * The game's IndexedDB database and small promise helpers over it.
+ *
+ *   v1  profiles, games        (profileStore.js)
+ *   v2  rounds                 (roundLog.js)
+ *   v3  daily                  (dailyChallenge.js)
+ */
+
+const DB_NAME = "drawvsai-profiles";
+export const DB_VERSION = 3;
+
+let dbPromise = null;
+
+function upgrade(db, oldVersion) {
+  if (oldVersion < 1) {
+    db.createObjectStore("profiles", { keyPath: "id" });
+    const games = db.createObjectStore("games", { keyPath: "id", autoIncrement: true });
+    games.createIndex("profileId", "profileId");
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore("rounds", { keyPath: "id", autoIncrement: true });
+  }
+  if (oldVersion < 3) {
+    db.createObjectStore("daily", { keyPath: "date" });
+  }
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (e) => upgrade(request.result, e.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run fn(stores) in one transaction and resolve once it has committed
+export async function withStores(names, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(names, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+  // A failed request aborts the transaction as well; fn's error is the one
+  // rethrown, so don't leave done's rejection unhandled
+  done.catch(() => {});
+  const result = await fn(...names.map((n) => tx.objectStore(n)));
+  await done;
+  return result;
+}
+
+export function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
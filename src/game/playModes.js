@@ -0,0 +1,17 @@
+// src/game/playModes.js
+
+/** How a game is played; each mode's rules live in its own module. */
+export const PLAY_MODES = {
+  SOLO: "solo",
+  // Several players or two teams taking turns on one device, see hotSeat.js
+  PLAYERS: "players",
+  TEAMS: "teams",
+  // One player per machine, see headToHead.js
+  ONLINE: "online",
+  // The app draws and the player guesses, see reverseMode.js
+  REVERSE: "reverse",
+  // Draw the word without the model seeing it, see foolMode.js
+  FOOL: "fool",
+  // Everyone gets the same words each day, see dailyChallenge.js
+  DAILY: "daily",
+};
@@ -0,0 +1,82 @@
+// src/game/profileStats.js
+
+/**
+ * Summaries of stored games (see profileStore.js) for the stats page.
+ * A game's score is how many of its drawings the AI recognised.
+ */
+
+export function gameScore(game) {
+  return game.rounds.filter((r) => r.recognized).length;
+}
+
+/**
+ * Best games first: more recognised drawings, then less total drawing time
+ * for them, then the earlier game.
+ */
+export function highScores(games, limit = 10) {
+  const recognisedSeconds = (g) => g.rounds.reduce((sum, r) => sum + (r.recognized ? r.seconds : 0), 0);
+  return [...games]
+    .sort((a, b) =>
+      gameScore(b) - gameScore(a) ||
+      recognisedSeconds(a) - recognisedSeconds(b) ||
+      a.finishedAt - b.finishedAt
+    )
+    .slice(0, limit)
+    .map((g) => ({ game: g, score: gameScore(g), rounds: g.rounds.length }));
+}
+
+/**
+ * Per-word success rate and average time-to-recognition, most played first.
+ */
+export function categoryStats(games) {
+  const byWord = new Map();
+  for (const game of games) {
+    for (const { word, recognized, seconds } of game.rounds) {
+      const entry = byWord.get(word) ?? { word, attempts: 0, recognized: 0, recognisedSeconds: 0 };
+      entry.attempts++;
+      if (recognized) {
+        entry.recognized++;
+        entry.recognisedSeconds += seconds;
+      }
+      byWord.set(word, entry);
+    }
+  }
+
+  return [...byWord.values()]
+    .map(({ recognisedSeconds, ...entry }) => ({
+      ...entry,
+      successRate: entry.recognized / entry.attempts,
+      avgSeconds: entry.recognized > 0 ? recognisedSeconds / entry.recognized : null,
+    }))
+    .sort((a, b) => b.attempts - a.attempts || a.word.localeCompare(b.word));
+}
+
+/**
+ * Runs of consecutive recognised drawings across games, oldest to newest.
+ */
+export function streaks(games) {
+  let best = 0;
+  let current = 0;
+  for (const game of games) {
+    for (const round of game.rounds) {
+      current = round.recognized ? current + 1 : 0;
+      best = Math.max(best, current);
+    }
+  }
+  return { best, current };
+}
+
+export function summarize(games) {
+  const rounds = games.flatMap((g) => g.rounds);
+  const recognised = rounds.filter((r) => r.recognized);
+  return {
+    gamesPlayed: games.length,
+    roundsPlayed: rounds.length,
+    successRate: rounds.length > 0 ? recognised.length / rounds.length : 0,
+    avgSeconds: recognised.length > 0
+      ? recognised.reduce((sum, r) => sum + r.seconds, 0) / recognised.length
+      : null,
+    bestScore: games.reduce((best, g) => Math.max(best, gameScore(g)), 0),
+    streaks: streaks(games),
+  };
+}
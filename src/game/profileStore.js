@@ -0,0 +1,102 @@
+// src/game/profileStore.js
+
+/**
+ * Local player profiles and their finished games, kept in IndexedDB (see
+ * localDb.js) so they survive reloads:
+ *
+ *   profiles  { id, name, createdAt }
+ *   games     { id, profileId, finishedAt, config, rounds: [{ word, recognized, seconds }] }
+ *
+ * Strokes are not stored; a game is a few hundred bytes. exportDatabase /
+ * importDatabase move everything between machines as one JSON document.
+ */
+
+import { DB_VERSION, promisify, withStores } from "./localDb";
+
+const EXPORT_FORMAT = "drawvsai-profiles";
+
+// Which profile plays next is a per-browser choice, not part of the export
+const ACTIVE_PROFILE_KEY = "drawvsai.activeProfileId";
+
+export function listProfiles() {
+  return withStores(["profiles"], "readonly", (profiles) => promisify(profiles.getAll()))
+    .then((list) => list.sort((a, b) => a.createdAt - b.createdAt));
+}
+
+export async function createProfile(name) {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error("Profile name is empty");
+  const profile = { id: crypto.randomUUID(), name: trimmed, createdAt: Date.now() };
+  await withStores(["profiles"], "readwrite", (profiles) => promisify(profiles.add(profile)));
+  return profile;
+}
+
+/** Delete a profile together with all its games. */
+export function deleteProfile(id) {
+  return withStores(["profiles", "games"], "readwrite", async (profiles, games) => {
+    profiles.delete(id);
+    const keys = await promisify(games.index("profileId").getAllKeys(id));
+    keys.forEach((key) => games.delete(key));
+  });
+}
+
+/** Store a finished game's rounds (from useGameState results). */
+export function saveGame(profileId, { results, config }) {
+  const game = {
+    profileId,
+    finishedAt: Date.now(),
+    config: { ...config },
+    rounds: results.map(({ word, recognized, seconds }) => ({ word, recognized, seconds })),
+  };
+  return withStores(["games"], "readwrite", (games) => promisify(games.add(game)));
+}
+
+/** Games of one profile, or of everyone without a profileId, oldest first. */
+export function listGames(profileId) {
+  return withStores(["games"], "readonly", (games) =>
+    promisify(profileId ? games.index("profileId").getAll(profileId) : games.getAll())
+  ).then((list) => list.sort((a, b) => a.finishedAt - b.finishedAt));
+}
+
+export async function exportDatabase() {
+  const [profiles, games] = await withStores(["profiles", "games"], "readonly", (p, g) =>
+    Promise.all([promisify(p.getAll()), promisify(g.getAll())])
+  );
+  return { format: EXPORT_FORMAT, version: DB_VERSION, exportedAt: new Date().toISOString(), profiles, games };
+}
+
+/**
+ * Merge an exportDatabase() document into this browser's database. Profiles
+ * with the same id are overwritten; games are added under new ids, skipping
+ * any already present (same profile and finish time). Returns the counts added.
+ */
+export async function importDatabase(data) {
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.profiles) || !Array.isArray(data.games)) {
+    throw new Error("Not a DrawVsAI profile export");
+  }
+
+  return withStores(["profiles", "games"], "readwrite", async (profiles, games) => {
+    const existing = await promisify(games.getAll());
+    const seen = new Set(existing.map((g) => `${g.profileId}|${g.finishedAt}`));
+
+    data.profiles.forEach((p) => profiles.put(p));
+    let addedGames = 0;
+    for (const { id: _id, ...game } of data.games) {
+      const key = `${game.profileId}|${game.finishedAt}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      games.add(game);
+      addedGames++;
+    }
+    return { profiles: data.profiles.length, games: addedGames };
+  });
+}
+
+export function getActiveProfileId() {
+  return localStorage.getItem(ACTIVE_PROFILE_KEY);
+}
+
+export function setActiveProfileId(id) {
+  if (id) localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  else localStorage.removeItem(ACTIVE_PROFILE_KEY);
+}
@@ -0,0 +1,123 @@
+// src/game/relayClient.js
+
+/**
+ * Browser side of relay_server.mjs: one WebSocket, one room. Messages are
+ * JSON objects with a `type`; whatever one player sends reaches the other
+ * with `from` set to the sender's id. The server itself sends:
+ *   joined      { id, room, players: [{ id, name, host }] }
+ *   peer-joined { players }
+ *   peer-left   { id, players }
+ *   error       { message }
+ */
+
+export const DEFAULT_RELAY_URL = "ws://localhost:8787";
+
+const JOIN_TIMEOUT_MS = 5000;
+
+export class RelayClient {
+  constructor(url = DEFAULT_RELAY_URL) {
+    this.url = url;
+    this.socket = null;
+    this.id = null;
+    this.handlers = new Map();
+  }
+
+  get connected() {
+    return this.socket?.readyState === WebSocket.OPEN && this.id !== null;
+  }
+
+  /** Subscribe to one message type ("*" for all, "close" when the socket goes). Returns the unsubscribe. */
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type)?.delete(handler);
+  }
+
+  emit(type, message) {
+    for (const key of [type, "*"]) {
+      this.handlers.get(key)?.forEach((handler) => handler(message));
+    }
+  }
+
+  /** Open the socket and join `room`. Resolves with the "joined" message. */
+  connect({ room, name }) {
+    this.close();
+
+    return new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new WebSocket(this.url);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      this.socket = socket;
+
+      let settled = false;
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        fn(value);
+      };
+      const timer = setTimeout(() => {
+        settle(reject, new Error(`No answer from ${this.url}`));
+        socket.close();
+      }, JOIN_TIMEOUT_MS);
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: "join", room, name }));
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch {
+          console.warn("⚠ [relay] ignoring a message that is not JSON");
+          return;
+        }
+
+        if (message.type === "joined") {
+          this.id = message.id;
+          settle(resolve, message);
+        } else if (message.type === "error" && !settled) {
+          settle(reject, new Error(message.message));
+          socket.close();
+          return;
+        }
+        this.emit(message.type, message);
+      };
+
+      socket.onerror = () => {
+        settle(reject, new Error(`Could not reach the relay at ${this.url}`));
+      };
+
+      socket.onclose = () => {
+        settle(reject, new Error("Connection closed"));
+        if (this.socket === socket) {
+          this.socket = null;
+          this.id = null;
+          this.emit("close", {});
+        }
+      };
+    });
+  }
+
+  send(type, payload = {}) {
+    if (!this.connected) return false;
+    this.socket.send(JSON.stringify({ ...payload, type }));
+    return true;
+  }
+
+  close() {
+    const socket = this.socket;
+    this.socket = null;
+    this.id = null;
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+      this.emit("close", {});
+    }
+  }
+}
@@ -0,0 +1,56 @@
+// src/game/reverseMode.js
+
+import { parseNdjson } from "../drawing/quickdraw";
+
+/**
+ * Reverse mode: the app replays a stored drawing of a hidden word and the
+ * player types guesses. Drawings ship in /reverse/samples.ndjson, in Quick,
+ * Draw! format with a few per category, so the mode works offline.
+ */
+
+export const SAMPLES_URL = "/reverse/samples.ndjson";
+
+// A correct guess scores between these, less the longer it took
+export const MAX_POINTS = 100;
+export const MIN_POINTS = 10;
+
+// Share of the round the drawing takes to appear
+export const DRAW_SHARE = 0.6;
+
+/** word → [drawing], for the words that have at least one sample. */
+export async function fetchSamples(url = SAMPLES_URL) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+
+  const samples = new Map();
+  for (const { word, drawing } of parseNdjson(await res.text())) {
+    if (!word || drawing.length === 0) continue;
+    if (!samples.has(word)) samples.set(word, []);
+    samples.get(word).push(drawing);
+  }
+  return samples;
+}
+
+// "Ice-Cream", "icecream" and "ice creams" all match "ice cream"
+const squash = (s) => (s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * The label a typed guess refers to, or null when it isn't a word of the
+ * game. Case, spacing, punctuation and a plural "s" are ignored.
+ */
+export function matchGuess(input, labels) {
+  const guess = squash(input);
+  if (!guess) return null;
+  return (
+    labels.find((l) => squash(l) === guess) ??
+    labels.find((l) => `${squash(l)}s` === guess || `${squash(l)}es` === guess) ??
+    null
+  );
+}
+
+/** Points for one round: MAX_POINTS for an instant answer down to MIN_POINTS at the buzzer. */
+export function roundPoints(result, roundSeconds) {
+  if (!result.recognized) return 0;
+  const left = Math.max(0, 1 - result.seconds / roundSeconds);
+  return Math.round(MIN_POINTS + (MAX_POINTS - MIN_POINTS) * left);
+}
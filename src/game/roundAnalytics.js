@@ -0,0 +1,82 @@
+// src/game/roundAnalytics.js
+
+/**
+ * Aggregates over round logs (see roundLog.js) for the analytics view.
+ */
+
+// Column for rounds where the model never made a guess (blank canvas)
+export const NO_GUESS = "—";
+
+/**
+ * Target × final guess counts. labels are the model's labels plus any other
+ * target or guess seen, sorted, so the diagonal is "recognised"; NO_GUESS is
+ * an extra last column when some round ended without a guess.
+ */
+export function confusionMatrix(logs, modelLabels = []) {
+  const labelSet = new Set(modelLabels);
+  const counts = {};
+  for (const { target, finalGuess } of logs) {
+    const guess = finalGuess ?? NO_GUESS;
+    labelSet.add(target);
+    if (guess !== NO_GUESS) labelSet.add(guess);
+    counts[target] ??= {};
+    counts[target][guess] = (counts[target][guess] ?? 0) + 1;
+  }
+
+  const labels = [...labelSet].sort((a, b) => a.localeCompare(b));
+  const hasNoGuess = logs.some((l) => l.finalGuess == null);
+  return {
+    labels,
+    columns: hasNoGuess ? [...labels, NO_GUESS] : labels,
+    counts,
+    max: Math.max(0, ...Object.values(counts).flatMap((row) => Object.values(row))),
+  };
+}
+
+/**
+ * Per target word: success rate, average time-to-correct, how sure the model
+ * was of the target at the end, what it guessed instead most often, and which
+ * rule scored it. Hardest words first.
+ */
+export function categoryDifficulty(logs) {
+  const byTarget = new Map();
+  for (const log of logs) {
+    const entry = byTarget.get(log.target) ?? {
+      word: log.target,
+      attempts: 0,
+      recognized: 0,
+      correctSeconds: 0,
+      finalTargetProbs: [],
+      wrongGuesses: {},
+      scoredBy: { streak: 0, confidence: 0 },
+    };
+    entry.attempts++;
+    if (log.recognized) {
+      entry.recognized++;
+      entry.correctSeconds += log.seconds;
+      if (log.scoredBy) entry.scoredBy[log.scoredBy]++;
+    } else if (log.finalGuess) {
+      entry.wrongGuesses[log.finalGuess] = (entry.wrongGuesses[log.finalGuess] ?? 0) + 1;
+    }
+    const lastProb = log.steps[log.steps.length - 1]?.targetProb;
+    if (lastProb != null) entry.finalTargetProbs.push(lastProb);
+    byTarget.set(log.target, entry);
+  }
+
+  return [...byTarget.values()]
+    .map(({ correctSeconds, finalTargetProbs, wrongGuesses, ...entry }) => {
+      const [confusedWith, confusedCount] =
+        Object.entries(wrongGuesses).sort((a, b) => b[1] - a[1])[0] ?? [null, 0];
+      return {
+        ...entry,
+        successRate: entry.recognized / entry.attempts,
+        avgSecondsToCorrect: entry.recognized > 0 ? correctSeconds / entry.recognized : null,
+        avgFinalTargetProb: finalTargetProbs.length > 0
+          ? finalTargetProbs.reduce((a, b) => a + b, 0) / finalTargetProbs.length
+          : null,
+        confusedWith,
+        confusedCount,
+      };
+    })
+    .sort((a, b) => a.successRate - b.successRate || b.attempts - a.attempts);
+}
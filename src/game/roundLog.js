@@ -0,0 +1,41 @@
+// src/game/roundLog.js
+
+import { promisify, withStores } from "./localDb";
+
+/**
+ * Developer log of every played round, for tuning the scoring thresholds in
+ * useDrawingClassifier and spotting words the model struggles with:
+ *
+ *   { id, loggedAt, profileId, modelId, target, recognized, seconds,
+ *     finalGuess, scoredBy, steps: [{ t, guess, prob, margin, targetProb, streak }] }
+ *
+ * steps is the classifier's round trace (getRoundTrace). finalGuess is the
+ * target when recognised, otherwise the last guess made (null if none).
+ */
+
+export function buildRoundLog(result, trace, profileId = null) {
+  const last = trace.steps[trace.steps.length - 1];
+  return {
+    loggedAt: Date.now(),
+    profileId,
+    modelId: trace.modelId,
+    target: result.word,
+    recognized: result.recognized,
+    seconds: result.seconds,
+    finalGuess: result.recognized ? result.word : last?.guess ?? null,
+    scoredBy: trace.scoredBy,
+    steps: trace.steps,
+  };
+}
+
+export function saveRoundLog(log) {
+  return withStores(["rounds"], "readwrite", (rounds) => promisify(rounds.add(log)));
+}
+
+export function listRoundLogs() {
+  return withStores(["rounds"], "readonly", (rounds) => promisify(rounds.getAll()));
+}
+
+export function clearRoundLogs() {
+  return withStores(["rounds"], "readwrite", (rounds) => promisify(rounds.clear()));
+}
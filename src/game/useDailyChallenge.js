@@ -0,0 +1,83 @@
+// src/game/useDailyChallenge.js
+
+import { useState, useEffect, useCallback } from "react";
+import { dailyKey, finishDailyAttempt, getDailyAttempt, shareText, startDailyAttempt } from "./dailyChallenge";
+
+/**
+ * Today's challenge and this browser's attempt at it. begin() records the
+ * attempt (it fails if today was already played, and `played` or `error`
+ * then tells the lobby why); finish(results) stores the rounds at game over.
+ *
+ * "Today" is re-read when an attempt starts and whenever the tab becomes
+ * visible, so a tab left open overnight offers the new day's challenge. A
+ * game still running at midnight is finished as the day it started.
+ */
+export function useDailyChallenge() {
+  const [today, setToday] = useState(() => dailyKey());
+  // date → attempt, or null when that day hasn't been played; missing while loading
+  const [attempts, setAttempts] = useState({});
+  // The day of the attempt started in this tab
+  const [startedKey, setStartedKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => {
+      if (document.visibilityState === "visible") setToday(dailyKey());
+    };
+    document.addEventListener("visibilitychange", refresh);
+    return () => document.removeEventListener("visibilitychange", refresh);
+  }, []);
+
+  useEffect(() => {
+    getDailyAttempt(today)
+      .then((attempt) => setAttempts((prev) => ({ ...prev, [today]: attempt })))
+      .catch((err) => {
+        console.error("❌ [daily] could not read today's attempt:", err);
+        setError(err.message);
+        setAttempts((prev) => ({ ...prev, [today]: null }));
+      });
+  }, [today]);
+
+  const begin = useCallback(async (modelId) => {
+    const key = dailyKey();
+    setToday(key);
+    try {
+      const started = await startDailyAttempt(key, modelId);
+      setAttempts((prev) => ({ ...prev, [key]: started }));
+      setStartedKey(key);
+      console.log(`✅ [daily] attempt for ${key} started`);
+      return started;
+    } catch (err) {
+      // Usually today was just played in another tab: the lobby then says so
+      const existing = await getDailyAttempt(key).catch(() => null);
+      setAttempts((prev) => ({ ...prev, [key]: existing }));
+      if (!existing) setError(`Could not start today's challenge: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  const finish = useCallback(async (results) => {
+    const key = startedKey ?? today;
+    try {
+      const finished = await finishDailyAttempt(key, results);
+      setAttempts((prev) => ({ ...prev, [key]: finished }));
+    } catch (err) {
+      console.error("❌ [daily] could not save the attempt:", err);
+    }
+  }, [startedKey, today]);
+
+  const attempt = attempts[today];
+  const started = startedKey ? attempts[startedKey] : null;
+  return {
+    today,
+    loading: attempt === undefined,
+    attempt: attempt ?? null,
+    played: Boolean(attempt),
+    share: attempt?.finishedAt ? shareText(today, attempt.rounds) : null,
+    // The finished attempt of the game played in this tab, whatever the date is now
+    gameShare: started?.finishedAt ? shareText(startedKey, started.rounds) : null,
+    error,
+    begin,
+    finish,
+  };
+}
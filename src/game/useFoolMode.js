@@ -0,0 +1,42 @@
+// src/game/useFoolMode.js
+
+import { useState, useRef, useCallback } from "react";
+import { createRng } from "./wordDeck";
+import { FOOL_VARIANTS, foolOutcome, pickDecoy } from "./foolMode";
+
+/**
+ * Rounds of "Fool the AI" for useGameState: startRound(word, config) picks
+ * the round's decoy (decoy variant only) and describeRound() reads the
+ * model's final guesses off the classifier (getGuessSnapshot) as the round
+ * ends, for the result.
+ */
+export function useFoolMode({ labels, getGuessSnapshot }) {
+  const [decoy, setDecoy] = useState(null);
+
+  const rngRef = useRef(Math.random);
+  const wordRef = useRef("");
+  const decoyRef = useRef(null);
+
+  const configure = useCallback(({ seed } = {}) => {
+    // A stream of its own, so a seed deals the same words as in a normal game
+    rngRef.current = createRng(seed ? `${seed}:decoy` : seed);
+  }, []);
+
+  const startRound = useCallback((word, { foolVariant }) => {
+    wordRef.current = word;
+    decoyRef.current = foolVariant === FOOL_VARIANTS.DECOY ? pickDecoy(labels, word, rngRef.current) : null;
+    setDecoy(decoyRef.current);
+  }, [labels]);
+
+  const describeRound = useCallback(
+    () => foolOutcome(getGuessSnapshot(), { word: wordRef.current, decoy: decoyRef.current }),
+    [getGuessSnapshot]
+  );
+
+  return {
+    decoy,
+    configure,
+    startRound,
+    describeRound,
+  };
+}
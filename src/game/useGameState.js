@@ -0,0 +1,209 @@
+// src/game/useGameState.js
+
+import { useState, useRef, useEffect, useCallback } from "react";
+import { buildTurns, isMultiplayer, TURN_ORDERS } from "./hotSeat";
+import { PLAY_MODES } from "./playModes";
+import { ROLES } from "./headToHead";
+import { DEFAULT_THRESHOLD, FOOL_VARIANTS } from "./foolMode";
+
+export const PHASES = {
+  LOBBY: "lobby",
+  PLAYING: "playing",
+  ROUND_RESULT: "round-result",
+  GAME_OVER: "game-over",
+};
+
+export const DEFAULT_GAME_CONFIG = {
+  roundSeconds: 20,
+  totalRounds: 6,
+  difficulty: "all",
+  seed: "",
+  mode: PLAY_MODES.SOLO,
+  players: [],
+  turnOrder: TURN_ORDERS.FIXED,
+  role: null,
+  foolVariant: FOOL_VARIANTS.HIDE,
+  foolThreshold: DEFAULT_THRESHOLD,
+};
+
+const ROUND_RESULT_MS = 2500;
+const TICK_MS = 100;
+
+/**
+ * Quick-Draw-style match on top of the classifier's startRound/endRound.
+ *
+ *   lobby → playing → round-result → playing → … → game-over → lobby
+ *
+ * startRound(word, config) must return the picked target word (`word` is
+ * only set when the word is dictated, see below). Call recordCorrect() from
+ * the classifier's onCorrect callback; a round that reaches zero on the
+ * timer, or is given up with skipRound(), is recorded as missed.
+ * getDrawing(config), when given, is called as each round finishes and its
+ * stroke list is kept on the result; describeRound(config) may add more
+ * fields to it the same way.
+ *
+ * In a hot-seat game (config.mode, see hotSeat.js) every round is one
+ * player's turn: results carry that player and team, and after each turn the
+ * game waits on round-result until the next player calls continueGame().
+ *
+ * An online guest (config.role, see headToHead.js) also waits there: the
+ * host's round-start passes the word to continueGame(word), or to
+ * startGame(config, word) for the first round.
+ *
+ * In fool mode (see foolMode.js) every round waits there too, the last one
+ * included, for the judge's verdict: updateLastResult({ accepted }), then
+ * continueGame().
+ */
+export function useGameState({ startRound, endRound, getDrawing, describeRound } = {}) {
+  const [phase, setPhase] = useState(PHASES.LOBBY);
+  const [config, setConfig] = useState(DEFAULT_GAME_CONFIG);
+  const [roundIndex, setRoundIndex] = useState(0);
+  const [timeLeft, setTimeLeft] = useState(DEFAULT_GAME_CONFIG.roundSeconds);
+  const [results, setResults] = useState([]);
+  const [turns, setTurns] = useState([]);
+
+  const phaseRef = useRef(PHASES.LOBBY);
+  const configRef = useRef(DEFAULT_GAME_CONFIG);
+  const roundStartRef = useRef(0);
+  const roundWordRef = useRef("");
+  const resultsRef = useRef([]);
+  const turnsRef = useRef([]);
+  const nextRoundTimeoutRef = useRef(null);
+
+  const goTo = useCallback((next) => {
+    phaseRef.current = next;
+    setPhase(next);
+  }, []);
+
+  const beginRound = useCallback((forcedWord) => {
+    const word = startRound?.(forcedWord, configRef.current) ?? "";
+    roundWordRef.current = word;
+    roundStartRef.current = Date.now();
+    setRoundIndex(resultsRef.current.length);
+    setTimeLeft(configRef.current.roundSeconds);
+    goTo(PHASES.PLAYING);
+  }, [startRound, goTo]);
+
+  /** Leave round-result: the next turn, or game over after the last one. */
+  const continueGame = useCallback((word) => {
+    if (phaseRef.current !== PHASES.ROUND_RESULT) return;
+    if (nextRoundTimeoutRef.current) {
+      clearTimeout(nextRoundTimeoutRef.current);
+      nextRoundTimeoutRef.current = null;
+    }
+    if (resultsRef.current.length >= turnsRef.current.length) {
+      goTo(PHASES.GAME_OVER);
+    } else {
+      beginRound(word);
+    }
+  }, [goTo, beginRound]);
+
+  const finishRound = useCallback((recognized, extra = {}) => {
+    if (phaseRef.current !== PHASES.PLAYING) return;
+
+    const seconds = (Date.now() - roundStartRef.current) / 1000;
+    const turn = turnsRef.current[resultsRef.current.length];
+    const result = {
+      word: roundWordRef.current,
+      player: turn?.player ?? null,
+      team: turn?.team ?? null,
+      recognized,
+      seconds: Math.min(seconds, configRef.current.roundSeconds),
+      strokes: getDrawing?.(configRef.current) ?? [],
+      ...describeRound?.(configRef.current),
+      ...extra,
+    };
+    resultsRef.current = [...resultsRef.current, result];
+    setResults(resultsRef.current);
+
+    if (!recognized) endRound?.();
+    goTo(PHASES.ROUND_RESULT);
+
+    // Hand the device over: the next player starts their own turn
+    const lastTurn = resultsRef.current.length >= turnsRef.current.length;
+    const { mode, role } = configRef.current;
+    if ((isMultiplayer(mode) || role === ROLES.GUEST) && !lastTurn) return;
+    if (mode === PLAY_MODES.FOOL) return;
+
+    nextRoundTimeoutRef.current = setTimeout(() => {
+      nextRoundTimeoutRef.current = null;
+      continueGame();
+    }, ROUND_RESULT_MS);
+  }, [endRound, getDrawing, describeRound, goTo, continueGame]);
+
+  const startGame = useCallback((overrides = {}, word) => {
+    const next = { ...configRef.current, ...overrides };
+    configRef.current = next;
+    setConfig(next);
+    turnsRef.current = buildTurns(next);
+    setTurns(turnsRef.current);
+    resultsRef.current = [];
+    setResults([]);
+    beginRound(word);
+  }, [beginRound]);
+
+  const backToLobby = useCallback(() => {
+    if (nextRoundTimeoutRef.current) {
+      clearTimeout(nextRoundTimeoutRef.current);
+      nextRoundTimeoutRef.current = null;
+    }
+    endRound?.();
+    goTo(PHASES.LOBBY);
+  }, [endRound, goTo]);
+
+  const recordCorrect = useCallback(() => {
+    finishRound(true);
+  }, [finishRound]);
+
+  /** Merge `changes` into the result of the round just played. */
+  const updateLastResult = useCallback((changes) => {
+    const results = resultsRef.current;
+    if (results.length === 0) return;
+    resultsRef.current = [...results.slice(0, -1), { ...results[results.length - 1], ...changes }];
+    setResults(resultsRef.current);
+  }, []);
+
+  /**
+   * Give up on the current word; it is recorded as missed. `extra` is kept on
+   * the result (e.g. { beatenBy } when an online opponent got there first).
+   */
+  const skipRound = useCallback((extra) => {
+    finishRound(false, extra);
+  }, [finishRound]);
+
+  // ─── Countdown while a round is being played ───
+  useEffect(() => {
+    if (phase !== PHASES.PLAYING) return;
+
+    const id = setInterval(() => {
+      const elapsed = (Date.now() - roundStartRef.current) / 1000;
+      const remaining = Math.max(0, configRef.current.roundSeconds - elapsed);
+      setTimeLeft(remaining);
+      if (remaining <= 0) finishRound(false);
+    }, TICK_MS);
+
+    return () => clearInterval(id);
+  }, [phase, finishRound]);
+
+  useEffect(() => () => {
+    if (nextRoundTimeoutRef.current) clearTimeout(nextRoundTimeoutRef.current);
+  }, []);
+
+  return {
+    phase,
+    config,
+    roundIndex,
+    timeLeft,
+    results,
+    turns,
+    turn: turns[roundIndex] ?? null,
+    nextTurn: turns[results.length] ?? null,
+    lastResult: results[results.length - 1] ?? null,
+    startGame,
+    backToLobby,
+    continueGame,
+    recordCorrect,
+    skipRound,
+    updateLastResult,
+  };
+}
@@ -0,0 +1,257 @@
+// src/game/useHeadToHead.js
+
+import { useState, useRef, useEffect, useCallback } from "react";
+import { PHASES } from "./useGameState";
+import { PLAY_MODES } from "./playModes";
+import { RelayClient } from "./relayClient";
+import { applyStrokeDiff, MESSAGES, ROLES, StrokeStream, tally } from "./headToHead";
+
+export const CONNECTION = {
+  OFFLINE: "offline",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+};
+
+const SYNC_INTERVAL_MS = 100;
+
+const norm = (s) => (s ?? "").toLowerCase().trim();
+
+/**
+ * Online head-to-head on top of useGameState (see headToHead.js for the
+ * protocol). The host's game runs as usual and its rounds are mirrored to the
+ * guest; while a round is played both sides stream their strokes and top
+ * guess, and the first drawing recognised ends the round for the other
+ * player too.
+ */
+export function useHeadToHead({ game, getStrokes, targetWord, topGuesses, modelId }) {
+  const [status, setStatus] = useState(CONNECTION.OFFLINE);
+  const [error, setError] = useState(null);
+  const [myId, setMyId] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [opponentStrokes, setOpponentStrokes] = useState([]);
+  const [opponentGuess, setOpponentGuess] = useState(null);
+  const [opponentResults, setOpponentResults] = useState([]);
+
+  const clientRef = useRef(null);
+  const gameRef = useRef(game);
+  const playersRef = useRef([]);
+  const modelIdRef = useRef(modelId);
+  const remoteConfigRef = useRef(null);
+  const streamRef = useRef(new StrokeStream());
+  const strokeRoundRef = useRef(-1);
+  const sentRoundRef = useRef(-1);
+  const sentResultRef = useRef(null);
+  const guessRef = useRef(null);
+  const sentGuessRef = useRef(null);
+
+  useEffect(() => {
+    gameRef.current = game;
+  }, [game]);
+
+  useEffect(() => {
+    playersRef.current = players;
+  }, [players]);
+
+  useEffect(() => {
+    modelIdRef.current = modelId;
+  }, [modelId]);
+
+  const online = game.config.mode === PLAY_MODES.ONLINE;
+  const opponent = players.find((p) => p.id !== myId) ?? null;
+  const isHost = players.find((p) => p.id === myId)?.host ?? false;
+
+  const clearOpponentRound = useCallback(() => {
+    setOpponentStrokes([]);
+    setOpponentGuess(null);
+  }, []);
+
+  const leaveOnlineGame = useCallback(() => {
+    const g = gameRef.current;
+    if (g.config.mode === PLAY_MODES.ONLINE && g.phase !== PHASES.LOBBY) g.backToLobby();
+  }, []);
+
+  // ─── Messages from the other player ───
+  const handleMessage = useCallback((m) => {
+    const g = gameRef.current;
+    const opponentName = playersRef.current.find((p) => p.id === m.from)?.name ?? "Opponent";
+
+    switch (m.type) {
+      case MESSAGES.GAME_START:
+        remoteConfigRef.current = m.config;
+        setOpponentResults([]);
+        setError(
+          m.modelId && m.modelId !== modelIdRef.current
+            ? `${opponentName} plays with model "${m.modelId}"; pick the same one for a fair race`
+            : null
+        );
+        break;
+
+      case MESSAGES.ROUND_START: {
+        clearOpponentRound();
+        const config = { ...remoteConfigRef.current, mode: PLAY_MODES.ONLINE, role: ROLES.GUEST };
+        if (m.round === 0 || g.phase === PHASES.LOBBY || g.phase === PHASES.GAME_OVER) {
+          g.startGame(config, m.word);
+        } else {
+          // Still drawing the previous word: that round is lost
+          if (g.phase === PHASES.PLAYING) g.skipRound();
+          g.continueGame(m.word);
+        }
+        break;
+      }
+
+      case MESSAGES.GUESS:
+        setOpponentGuess({ guess: m.guess, prob: m.prob, targetProb: m.targetProb });
+        break;
+
+      case MESSAGES.STROKES: {
+        const fresh = m.round !== strokeRoundRef.current;
+        strokeRoundRef.current = m.round;
+        setOpponentStrokes((prev) => applyStrokeDiff(fresh ? [] : prev, m));
+        break;
+      }
+
+      case MESSAGES.RESULT:
+        setOpponentResults((prev) => {
+          const next = prev.slice();
+          next[m.round] = { recognized: m.recognized, seconds: m.seconds };
+          return next;
+        });
+        if (m.recognized && g.phase === PHASES.PLAYING && g.roundIndex === m.round) {
+          g.skipRound({ beatenBy: opponentName });
+        }
+        break;
+
+      default:
+        break;
+    }
+  }, [clearOpponentRound]);
+
+  const disconnect = useCallback(() => {
+    clientRef.current?.close();
+    clientRef.current = null;
+  }, []);
+
+  const connect = useCallback(async ({ url, room, name }) => {
+    disconnect();
+    const client = new RelayClient(url);
+    clientRef.current = client;
+    setStatus(CONNECTION.CONNECTING);
+    setError(null);
+
+    client.on("*", (m) => {
+      if (Object.values(MESSAGES).includes(m.type)) handleMessage(m);
+    });
+    client.on("peer-joined", (m) => setPlayers(m.players));
+    client.on("peer-left", (m) => {
+      const left = playersRef.current.find((p) => p.id === m.id);
+      setPlayers(m.players);
+      setError(`${left?.name ?? "Your opponent"} left the room`);
+      leaveOnlineGame();
+    });
+    client.on("error", (m) => setError(m.message));
+    client.on("close", () => {
+      if (clientRef.current !== client) return;
+      setStatus(CONNECTION.OFFLINE);
+      setPlayers([]);
+      setMyId(null);
+      leaveOnlineGame();
+    });
+
+    try {
+      const joined = await client.connect({ room, name });
+      setMyId(joined.id);
+      setPlayers(joined.players);
+      setStatus(CONNECTION.CONNECTED);
+      console.log(`✅ [headToHead] joined room "${joined.room}"`);
+    } catch (err) {
+      if (clientRef.current !== client) return;
+      console.error("❌ [headToHead] could not join:", err);
+      clientRef.current = null;
+      setError(err.message);
+      setStatus(CONNECTION.OFFLINE);
+    }
+  }, [disconnect, handleMessage, leaveOnlineGame]);
+
+  useEffect(() => disconnect, [disconnect]);
+
+  /** Host only: tell the guest about the game, then start it here. */
+  const startGame = useCallback((config) => {
+    const client = clientRef.current;
+    if (!client?.connected) return;
+    setOpponentResults([]);
+    setError(null);
+    sentRoundRef.current = -1;
+    client.send(MESSAGES.GAME_START, {
+      config: { roundSeconds: config.roundSeconds, totalRounds: config.totalRounds },
+      modelId: modelIdRef.current,
+    });
+    gameRef.current.startGame({ ...config, mode: PLAY_MODES.ONLINE, role: ROLES.HOST });
+  }, []);
+
+  // ─── Host: deal each round's word to the guest ───
+  const { phase, roundIndex, lastResult, results } = game;
+  const role = game.config.role;
+  useEffect(() => {
+    if (!online || role !== ROLES.HOST || phase !== PHASES.PLAYING) return;
+    if (sentRoundRef.current === roundIndex) return;
+    sentRoundRef.current = roundIndex;
+    clearOpponentRound();
+    clientRef.current?.send(MESSAGES.ROUND_START, { round: roundIndex, word: targetWord });
+  }, [online, role, phase, roundIndex, targetWord, clearOpponentRound]);
+
+  // ─── Both: report how each round went ───
+  useEffect(() => {
+    if (!online || !lastResult || sentResultRef.current === lastResult) return;
+    sentResultRef.current = lastResult;
+    clientRef.current?.send(MESSAGES.RESULT, {
+      round: results.length - 1,
+      recognized: lastResult.recognized,
+      seconds: lastResult.seconds,
+    });
+  }, [online, lastResult, results]);
+
+  // ─── Both: stream strokes and the top guess while drawing ───
+  useEffect(() => {
+    const top = topGuesses[0];
+    const target = topGuesses.find((g) => norm(g.label) === norm(targetWord));
+    guessRef.current = top ? { guess: top.label, prob: top.prob, targetProb: target?.prob ?? null } : null;
+  }, [topGuesses, targetWord]);
+
+  useEffect(() => {
+    if (!online || phase !== PHASES.PLAYING) return;
+    streamRef.current.reset();
+    sentGuessRef.current = null;
+
+    const sync = () => {
+      const client = clientRef.current;
+      if (!client?.connected) return;
+      const diff = streamRef.current.diff(getStrokes());
+      if (diff) client.send(MESSAGES.STROKES, { round: roundIndex, ...diff });
+      if (guessRef.current !== sentGuessRef.current) {
+        sentGuessRef.current = guessRef.current;
+        if (guessRef.current) client.send(MESSAGES.GUESS, { round: roundIndex, ...guessRef.current });
+      }
+    };
+
+    const id = setInterval(sync, SYNC_INTERVAL_MS);
+    return () => {
+      clearInterval(id);
+      sync();
+    };
+  }, [online, phase, roundIndex, getStrokes]);
+
+  return {
+    status,
+    error,
+    players,
+    opponent,
+    isHost,
+    connect,
+    disconnect,
+    startGame,
+    opponentStrokes,
+    opponentGuess,
+    opponentResults,
+    tally: tally(results, opponentResults),
+  };
+}
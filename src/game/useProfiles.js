@@ -0,0 +1,74 @@
+// src/game/useProfiles.js
+
+import { useState, useEffect, useCallback } from "react";
+import {
+  createProfile,
+  deleteProfile,
+  getActiveProfileId,
+  listProfiles,
+  saveGame,
+  setActiveProfileId,
+} from "./profileStore";
+
+/**
+ * Player profiles from IndexedDB and the one currently playing. recordGame()
+ * stores a finished game under the active profile (no-op without one).
+ */
+export function useProfiles() {
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveId] = useState(getActiveProfileId);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setProfiles(await listProfiles());
+      setError(null);
+    } catch (err) {
+      console.error("❌ [useProfiles] could not read profiles:", err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const selectProfile = useCallback((id) => {
+    setActiveProfileId(id);
+    setActiveId(id || null);
+  }, []);
+
+  const addProfile = useCallback(async (name) => {
+    const profile = await createProfile(name);
+    await refresh();
+    selectProfile(profile.id);
+    return profile;
+  }, [refresh, selectProfile]);
+
+  const removeProfile = useCallback(async (id) => {
+    await deleteProfile(id);
+    if (id === activeProfileId) selectProfile(null);
+    await refresh();
+  }, [activeProfileId, refresh, selectProfile]);
+
+  const recordGame = useCallback(async (game) => {
+    if (!activeProfileId) return;
+    try {
+      await saveGame(activeProfileId, game);
+      console.log("✅ [useProfiles] game saved");
+    } catch (err) {
+      console.error("❌ [useProfiles] could not save game:", err);
+    }
+  }, [activeProfileId]);
+
+  return {
+    profiles,
+    activeProfile: profiles.find((p) => p.id === activeProfileId) ?? null,
+    error,
+    refresh,
+    selectProfile,
+    addProfile,
+    removeProfile,
+    recordGame,
+  };
+}
@@ -0,0 +1,89 @@
+// src/game/useReverseMode.js
+
+import { useState, useRef, useEffect, useCallback } from "react";
+import { drawingToStrokes } from "../drawing/quickdraw";
+import { WordDeck } from "./wordDeck";
+import { DRAW_SHARE, fetchSamples, matchGuess } from "./reverseMode";
+
+const MAX_PAUSE_MS = 600;
+
+const norm = (s) => (s ?? "").toLowerCase().trim();
+
+/**
+ * Rounds of reverse mode for useGameState: startRound(roundSeconds) deals a
+ * word that has bundled samples, animates one of its drawings onto the draw
+ * canvas with `replay` (from useDrawing) and returns the word; guess(text)
+ * checks a typed guess against the model's labels.
+ */
+export function useReverseMode({ drawCanvasRef, replay, labels }) {
+  const [samples, setSamples] = useState(null);
+  const [error, setError] = useState(null);
+  // Wrong guesses of the current round, oldest first
+  const [guesses, setGuesses] = useState([]);
+
+  const deckRef = useRef(new WordDeck([]));
+  const wordRef = useRef("");
+  const strokesRef = useRef([]);
+
+  useEffect(() => {
+    fetchSamples()
+      .then((loaded) => {
+        setSamples(loaded);
+        console.log(`✅ [reverse] ${loaded.size} categories of sample drawings`);
+      })
+      .catch((err) => {
+        console.error("❌ [reverse] could not load sample drawings:", err);
+        setError(err.message);
+      });
+  }, []);
+
+  // Only words the model knows and we have drawings of
+  const words = samples ? labels.filter((l) => [...samples.keys()].some((w) => norm(w) === norm(l))) : [];
+  const drawingsOf = useCallback(
+    (word) => [...(samples?.entries() ?? [])].find(([w]) => norm(w) === norm(word))?.[1] ?? [],
+    [samples]
+  );
+
+  const wordsKey = words.join("|");
+  const configure = useCallback(({ seed } = {}) => {
+    deckRef.current = new WordDeck(wordsKey ? wordsKey.split("|") : [], { seed });
+  }, [wordsKey]);
+
+  const startRound = useCallback((roundSeconds) => {
+    const deck = deckRef.current;
+    const word = deck.draw();
+    const drawings = drawingsOf(word);
+    const drawing = drawings[Math.floor(deck.rng() * drawings.length)] ?? [];
+    const canvas = drawCanvasRef.current;
+
+    wordRef.current = word;
+    strokesRef.current = drawingToStrokes(drawing, { width: canvas?.width, height: canvas?.height });
+    setGuesses([]);
+
+    const durationMs = roundSeconds * 1000 * DRAW_SHARE;
+    replay(strokesRef.current, { minDurationMs: durationMs, maxDurationMs: durationMs, maxPauseMs: MAX_PAUSE_MS });
+    return word;
+  }, [drawCanvasRef, drawingsOf, replay]);
+
+  /** "correct", "wrong" or "unknown" (not a word of this game), with the matched label. */
+  const guess = useCallback((text) => {
+    const label = matchGuess(text, labels);
+    if (!label) return { status: "unknown", label: null };
+    if (norm(label) === norm(wordRef.current)) return { status: "correct", label };
+    setGuesses((prev) => (prev.includes(label) ? prev : [...prev, label]));
+    return { status: "wrong", label };
+  }, [labels]);
+
+  const getDrawing = useCallback(() => strokesRef.current, []);
+
+  return {
+    ready: words.length > 0,
+    error,
+    words,
+    guesses,
+    configure,
+    startRound,
+    guess,
+    getDrawing,
+  };
+}
@@ -0,0 +1,102 @@
+// src/game/wordDeck.js
+
+/**
+ * Word selection for rounds: a shuffled deck that deals every word once before
+ * reshuffling, optionally seeded so a game can be replayed word for word.
+ * Difficulty tiers come from /model_js/difficulty.json:
+ *   { "easy": ["apple", ...], "medium": [...], "hard": [...] }
+ */
+
+export const DIFFICULTIES = ["all", "easy", "medium", "hard"];
+
+/**
+ * Hash any string into a 32-bit seed (FNV-1a).
+ */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) returning floats in [0, 1).
+ * Without a seed this falls back to Math.random. A string seed is hashed; a
+ * number is taken as the generator state as is.
+ */
+export function createRng(seed) {
+  if (seed === undefined || seed === null || seed === "") return Math.random;
+
+  let a = typeof seed === "number" ? seed >>> 0 : hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher–Yates shuffle into a new array.
+ */
+export function shuffle(items, rng = Math.random) {
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Words of `labels` that belong to the requested tier. Unknown tiers, "all",
+ * or a tier that matches no label all fall back to the full label list.
+ */
+export function wordsForDifficulty(labels, tiers, difficulty = "all") {
+  if (!difficulty || difficulty === "all" || !tiers?.[difficulty]) return labels.slice();
+
+  const wanted = new Set(tiers[difficulty].map((w) => w.toLowerCase().trim()));
+  const words = labels.filter((w) => wanted.has(w.toLowerCase().trim()));
+  if (words.length === 0) {
+    console.warn(`⚠ difficulty "${difficulty}" matches no labels; using all words`);
+    return labels.slice();
+  }
+  return words;
+}
+
+export class WordDeck {
+  constructor(words, { seed, tiers = null, difficulty = "all" } = {}) {
+    this.words = wordsForDifficulty(words, tiers, difficulty);
+    this.rng = createRng(seed);
+    this.pile = [];
+    this.last = null;
+  }
+
+  get remaining() {
+    return this.pile.length;
+  }
+
+  /**
+   * Deal the next word. A word never comes up twice in a row, even across a
+   * reshuffle.
+   */
+  draw() {
+    if (this.words.length === 0) return "";
+
+    if (this.pile.length === 0) {
+      this.pile = shuffle(this.words, this.rng);
+      // pile is dealt from the end; keep the previous word off the top
+      const top = this.pile.length - 1;
+      if (this.pile.length > 1 && this.pile[top] === this.last) {
+        [this.pile[top], this.pile[0]] = [this.pile[0], this.pile[top]];
+      }
+    }
+
+    this.last = this.pile.pop();
+    return this.last;
+  }
+}
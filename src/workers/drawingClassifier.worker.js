@@ -0,0 +1,136 @@
+// src/workers/drawingClassifier.worker.js
+//
+// Owns the drawing classifier off the main thread. Messages in:
+//   { id, type: "load", modelUrl, preprocessing }       replaces any loaded model
+//   { id, type: "predict", bitmap, strokes }           ImageBitmap of #draw-canvas
+//   { id, type: "predict", strokes, width, height }    stroke list instead of pixels
+// strokes also feed the sequence branch of two-input models.
+// Messages out:
+//   { id, type: "ready", backend, signature, inputs, imageShape, outputSize }
+//   { id, type: "result", probs, inkRatio, input }     probs is null when blank
+//   { id, type: "error", message }
+
+import * as tf from "@tensorflow/tfjs";
+import { preprocessPixels, preprocessStrokes } from "../drawing/preprocess";
+import {
+  inspectModelInputs,
+  describeSignature,
+  buildModelInputs,
+  disposeModelInputs,
+  outputSizeOf,
+  imageInputLength,
+} from "../capturehands/modelInputs";
+
+let model = null;
+let modelInfo = null;
+let preprocessOptions = {};
+let canvas = null;
+let backendReady = false;
+// Loads run one at a time, in the order they were asked for, so the last one
+// wins and every model it replaces is disposed
+let loadQueue = Promise.resolve();
+
+async function load(modelUrl, preprocessing = {}) {
+  if (!backendReady) {
+    // WebGL needs OffscreenCanvas support in workers; CPU always works
+    const ok = await tf.setBackend("webgl").catch(() => false);
+    if (!ok) await tf.setBackend("cpu");
+    await tf.ready();
+    backendReady = true;
+  }
+
+  // Free the previous model's weights before loading the next one
+  if (model) {
+    model.dispose();
+    model = null;
+    modelInfo = null;
+  }
+
+  const next = await tf.loadLayersModel(modelUrl);
+  let info;
+  try {
+    info = inspectModelInputs(next);
+  } catch (e) {
+    next.dispose();
+    throw e;
+  }
+  console.log("Classifier worker model inputs:", describeSignature(info));
+
+  tf.tidy(() => {
+    next.predict(buildModelInputs(info, new Float32Array(imageInputLength(info))));
+  });
+
+  model = next;
+  modelInfo = info;
+  preprocessOptions = { ...preprocessing, size: info.imageShape[1] };
+
+  return {
+    backend: tf.getBackend(),
+    signature: info.signature,
+    inputs: info.inputs,
+    imageShape: info.imageShape,
+    outputSize: outputSizeOf(next),
+  };
+}
+
+function queueLoad(modelUrl, preprocessing) {
+  const run = loadQueue.then(() => load(modelUrl, preprocessing));
+  loadQueue = run.catch(() => {});
+  return run;
+}
+
+function pixelsFromBitmap(bitmap) {
+  const { width, height } = bitmap;
+  if (!canvas || canvas.width !== width || canvas.height !== height) {
+    canvas = new OffscreenCanvas(width, height);
+  }
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.clearRect(0, 0, width, height);
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+}
+
+async function predict({ bitmap, strokes, width, height }) {
+  if (!model) throw new Error("Model not loaded");
+
+  let pre;
+  if (bitmap) {
+    const px = pixelsFromBitmap(bitmap);
+    pre = preprocessPixels(px.data, px.width, px.height, preprocessOptions);
+  } else {
+    pre = preprocessStrokes(strokes ?? [], { width, height, ...preprocessOptions });
+  }
+
+  if (pre.inkRatio === 0) return { probs: null, inkRatio: 0, input: pre.input };
+
+  const x = buildModelInputs(modelInfo, pre.input, strokes);
+  const out = model.predict(x);
+  try {
+    const probs = await out.data();
+    return { probs, inkRatio: pre.inkRatio, input: pre.input };
+  } finally {
+    disposeModelInputs(x);
+    out.dispose();
+  }
+}
+
+self.onmessage = async (e) => {
+  const { id, type } = e.data;
+
+  try {
+    if (type === "load") {
+      const info = await queueLoad(e.data.modelUrl, e.data.preprocessing);
+      self.postMessage({ id, type: "ready", ...info });
+    } else if (type === "predict") {
+      const result = await predict(e.data);
+      const transfer = [result.input.buffer];
+      if (result.probs) transfer.push(result.probs.buffer);
+      self.postMessage({ id, type: "result", ...result }, transfer);
+    } else {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message ?? String(err) });
+  }
+};
@@ -0,0 +1,279 @@
+// Train the bundled keypoint gesture classifier (GESTURE_SOURCES.LEARNED).
+//
+//   node train_gesture_model.mjs [--per-class 1500] [--epochs 60] [--seed gestures]
+//
+// There is no recorded dataset for the ten signs in src/constants.js, so the
+// training data is synthetic: a simple 3D hand skeleton is posed per sign
+// (which fingers are extended, curled, spread or touching), randomly sized,
+// rotated, mirrored and jittered, projected to 2D and turned into features by
+// the same preProcessLandmark the game uses. The model is a small MLP (wider
+// than the in-app gesture trainer's, which only has to learn one player's
+// hand) and is written, with its labels as user metadata, to
+// public/tf-models/key-point-classifier/.
+//
+// The bundled model has only ever seen these synthetic poses. The accuracy
+// printed at the end is on held-out synthetic poses too (98.6% for the
+// bundled model); it has not been measured on real handpose captures, where
+// it will be lower. For a given player and camera the gesture trainer ("My
+// trained gestures") will do better.
+
+import fs from "fs";
+import path from "path";
+import * as tf from "@tensorflow/tfjs";
+import CONFIGS from "./src/constants.js";
+import { preProcessLandmark } from "./src/capturehands/landmarkFeatures.js";
+import { FEATURE_SIZE } from "./src/capturehands/gestureDataset.js";
+import { createRng } from "./src/game/wordDeck.js";
+
+const OUT_DIR = path.resolve("public/tf-models/key-point-classifier");
+const WEIGHTS_FILE = "group1-shard1of1.bin";
+const VIDEO = { width: 640, height: 480 };
+const TEST_SHARE = 0.2;
+
+// ─── Arguments ───
+function parseArgs(argv) {
+  const args = { perClass: 1500, epochs: 60, seed: "gestures" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--per-class") args.perClass = Math.max(10, Number(argv[++i]) || 0);
+    else if (argv[i] === "--epochs") args.epochs = Math.max(1, Number(argv[++i]) || 0);
+    else if (argv[i] === "--seed") args.seed = argv[++i];
+    else throw new Error("Usage: node train_gesture_model.mjs [--per-class 1500] [--epochs 60] [--seed gestures]");
+  }
+  return args;
+}
+
+// ─── Random helpers ───
+let rng = Math.random;
+const uniform = (lo, hi) => lo + (hi - lo) * rng();
+const deg = (lo, hi) => (uniform(lo, hi) * Math.PI) / 180;
+function gaussian() {
+  const u = Math.max(rng(), 1e-9);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// ─── Hand skeleton ───
+// Hand frame: wrist at the origin, fingers along -y (up in the image), palm
+// facing the camera, thumb on the +x side; flexion bends towards +z. Units
+// are palm lengths. Landmark order follows MediaPipe / handpose.
+
+const FINGERS = [
+  // MCP position, segment lengths (MCP→PIP→DIP→TIP), rest splay (deg)
+  { mcp: [0.3, -0.95], lengths: [0.45, 0.27, 0.22], splay: 8 }, // index  5–8
+  { mcp: [0.05, -1.0], lengths: [0.5, 0.3, 0.23], splay: 0 }, // middle 9–12
+  { mcp: [-0.18, -0.93], lengths: [0.46, 0.28, 0.22], splay: -8 }, // ring  13–16
+  { mcp: [-0.38, -0.8], lengths: [0.36, 0.22, 0.2], splay: -16 }, // pinky 17–20
+];
+const THUMB = { cmc: [0.22, -0.18], lengths: [0.3, 0.3, 0.25] }; // 1–4
+
+// Direction with in-plane angle `yaw` (from -y towards +x) bent by `flex`
+const direction = (yaw, flex) => [Math.sin(yaw) * Math.cos(flex), -Math.cos(yaw) * Math.cos(flex), Math.sin(flex)];
+
+function chain(start, lengths, directions) {
+  const points = [];
+  let [x, y, z] = start;
+  lengths.forEach((len, k) => {
+    const [dx, dy, dz] = directions[k];
+    x += dx * len;
+    y += dy * len;
+    z += dz * len;
+    points.push([x, y, z]);
+  });
+  return points;
+}
+
+const FLEX = {
+  extended: () => [deg(-5, 10), deg(0, 10), deg(0, 8)],
+  curled: () => [deg(60, 90), deg(80, 110), deg(40, 70)],
+  half: () => [deg(30, 50), deg(45, 70), deg(30, 50)],
+};
+
+/** [x, y, z] of MCP, PIP, DIP and TIP for one finger. */
+function finger(f, state, splayDeg) {
+  const lengthScale = uniform(0.9, 1.1);
+  const mcp = [f.mcp[0] + uniform(-0.03, 0.03), f.mcp[1] + uniform(-0.03, 0.03), 0];
+  const yaw = ((splayDeg ?? f.splay) + uniform(-4, 4)) * (Math.PI / 180);
+  let bend = 0;
+  const directions = FLEX[state]().map((flex) => direction(yaw, (bend += flex)));
+  return [mcp, ...chain(mcp, f.lengths.map((l) => l * lengthScale), directions)];
+}
+
+/** CMC, MCP, IP, TIP of the thumb. `pinchTo` bends it round to touch a point. */
+function thumb(state, pinchTo = null) {
+  const cmc = [THUMB.cmc[0] + uniform(-0.03, 0.03), THUMB.cmc[1] + uniform(-0.03, 0.03), 0];
+  if (pinchTo) {
+    const along = (t, bulge) => [
+      cmc[0] + (pinchTo[0] - cmc[0]) * t + bulge,
+      cmc[1] + (pinchTo[1] - cmc[1]) * t,
+      cmc[2] + (pinchTo[2] - cmc[2]) * t,
+    ];
+    return [cmc, along(0.4, uniform(0.08, 0.15)), along(0.75, uniform(0.05, 0.1)), along(1, uniform(-0.03, 0.03))];
+  }
+
+  const yaws =
+    state === "extended"
+      ? [deg(35, 55), deg(40, 65), deg(40, 70)]
+      : state === "up"
+        ? [deg(5, 25), deg(0, 20), deg(-5, 15)]
+        : [deg(20, 35), deg(-10, 10), deg(-45, -20)]; // tucked across the fingers
+  const flexes = state === "tucked" ? [deg(10, 25), deg(30, 50), deg(30, 50)] : [deg(0, 15), deg(0, 10), deg(0, 10)];
+  const scale = uniform(0.9, 1.1);
+  return [cmc, ...chain(cmc, THUMB.lengths.map((l) => l * scale), yaws.map((y, k) => direction(y, flexes[k])))];
+}
+
+/**
+ * Sign → finger states. Victory is a spread V, Peace two fingers held
+ * together; ILoveYou and Rock_On differ by the thumb.
+ */
+const POSES = {
+  Open_Palm: () => ({ fingers: ["extended", "extended", "extended", "extended"], splay: [16, 2, -14, -28], thumb: "extended" }),
+  Closed_Fist: () => ({ fingers: ["curled", "curled", "curled", "curled"], thumb: "tucked" }),
+  Pointing_Up: () => ({ fingers: ["extended", "curled", "curled", "curled"], thumb: "tucked" }),
+  Thumb_Up: () => ({ fingers: ["curled", "curled", "curled", "curled"], thumb: "up", thumbPoints: -1 }),
+  Victory: () => ({ fingers: ["extended", "extended", "curled", "curled"], splay: [18, -10, -8, -16], thumb: "tucked" }),
+  ILoveYou: () => ({ fingers: ["extended", "curled", "curled", "extended"], splay: [10, 0, -8, -24], thumb: "extended" }),
+  Peace: () => ({ fingers: ["extended", "extended", "curled", "curled"], splay: [3, -2, -8, -16], thumb: "tucked" }),
+  OK: () => ({ fingers: ["half", "extended", "extended", "extended"], splay: [8, 2, -10, -22], thumb: "pinch" }),
+  Thumbs_Down: () => ({ fingers: ["curled", "curled", "curled", "curled"], thumb: "up", thumbPoints: 1 }),
+  Rock_On: () => ({ fingers: ["extended", "curled", "curled", "extended"], splay: [10, 0, -8, -24], thumb: "tucked" }),
+};
+
+function rotate([x, y, z], yaw, pitch) {
+  // about y, then about x
+  const x1 = x * Math.cos(yaw) + z * Math.sin(yaw);
+  const z1 = -x * Math.sin(yaw) + z * Math.cos(yaw);
+  const y2 = y * Math.cos(pitch) - z1 * Math.sin(pitch);
+  return [x1, y2];
+}
+
+/** One random pose of `label` → 21 [x, y] landmarks in video pixels. */
+function sampleHand(label) {
+  const pose = POSES[label]();
+  const fingers = pose.fingers.map((state, i) => finger(FINGERS[i], state, pose.splay?.[i]));
+  const thumbPoints = pose.thumb === "pinch" ? thumb("pinch", fingers[0][3]) : thumb(pose.thumb);
+  let points = [[0, 0, 0], ...thumbPoints, ...fingers.flat()];
+
+  // Either hand, seen from a little to the side, above or below
+  if (rng() < 0.5) points = points.map(([x, y, z]) => [-x, y, z]);
+  const yaw = deg(-50, 50);
+  const pitch = deg(-35, 35);
+  let flat = points.map((p) => rotate(p, yaw, pitch));
+
+  // Turn in the image plane: thumbs point up / down, other signs stay roughly upright
+  let roll = deg(-30, 30);
+  if (pose.thumbPoints) {
+    const [tx, ty] = [flat[4][0] - flat[2][0], flat[4][1] - flat[2][1]];
+    roll = (pose.thumbPoints * Math.PI) / 2 - Math.atan2(ty, tx) + deg(-25, 25);
+  }
+  flat = flat.map(([x, y]) => [x * Math.cos(roll) - y * Math.sin(roll), x * Math.sin(roll) + y * Math.cos(roll)]);
+
+  const scale = uniform(60, 200);
+  const cx = uniform(0.2, 0.8) * VIDEO.width;
+  const cy = uniform(0.3, 0.9) * VIDEO.height;
+  const jitter = 0.015 * scale;
+  return flat.map(([x, y]) => [cx + x * scale + gaussian() * jitter, cy + y * scale + gaussian() * jitter]);
+}
+
+function makeSamples(labels, perClass) {
+  const samples = [];
+  for (const label of labels) {
+    for (let i = 0; i < perClass; i++) samples.push({ label, features: preProcessLandmark(sampleHand(label)) });
+  }
+  return samples;
+}
+
+// ─── Training ───
+function buildModel(numClasses) {
+  const model = tf.sequential();
+  model.add(tf.layers.dense({ inputShape: [FEATURE_SIZE], units: 64, activation: "relu" }));
+  model.add(tf.layers.dropout({ rate: 0.2 }));
+  model.add(tf.layers.dense({ units: 32, activation: "relu" }));
+  model.add(tf.layers.dense({ units: numClasses, activation: "softmax" }));
+  model.compile({ optimizer: tf.train.adam(0.003), loss: "categoricalCrossentropy", metrics: ["accuracy"] });
+  return model;
+}
+
+function toTensors(samples, labels) {
+  const xs = tf.tensor2d(samples.map((s) => s.features), [samples.length, FEATURE_SIZE]);
+  const ys = tf.oneHot(tf.tensor1d(samples.map((s) => labels.indexOf(s.label)), "int32"), labels.length);
+  return { xs, ys };
+}
+
+function evaluate(model, samples, labels) {
+  const correct = Object.fromEntries(labels.map((l) => [l, 0]));
+  const total = Object.fromEntries(labels.map((l) => [l, 0]));
+  const predicted = tf.tidy(() => {
+    const xs = tf.tensor2d(samples.map((s) => s.features), [samples.length, FEATURE_SIZE]);
+    return model.predict(xs).argMax(-1).dataSync();
+  });
+  samples.forEach((s, i) => {
+    total[s.label] += 1;
+    if (labels[predicted[i]] === s.label) correct[s.label] += 1;
+  });
+  const overall = labels.reduce((sum, l) => sum + correct[l], 0) / samples.length;
+  return { overall, perClass: labels.map((l) => ({ label: l, accuracy: correct[l] / total[l] })) };
+}
+
+async function saveModel(model) {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  await model.save(
+    tf.io.withSaveHandler(async (artifacts) => {
+      fs.writeFileSync(path.join(OUT_DIR, WEIGHTS_FILE), Buffer.from(artifacts.weightData));
+      const modelJson = {
+        format: artifacts.format,
+        generatedBy: artifacts.generatedBy,
+        convertedBy: null,
+        modelTopology: artifacts.modelTopology,
+        userDefinedMetadata: artifacts.userDefinedMetadata,
+        weightsManifest: [{ paths: [WEIGHTS_FILE], weights: artifacts.weightSpecs }],
+      };
+      fs.writeFileSync(path.join(OUT_DIR, "model.json"), JSON.stringify(modelJson));
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: "JSON" } };
+    })
+  );
+}
+
+async function main() {
+  const { perClass, epochs, seed } = parseArgs(process.argv.slice(2));
+  rng = createRng(seed);
+  await tf.setBackend("cpu");
+
+  const labels = CONFIGS.keypointClassifierLabels;
+  const testPerClass = Math.max(1, Math.round(perClass * TEST_SHARE));
+  const train = makeSamples(labels, perClass);
+  const test = makeSamples(labels, testPerClass);
+  tf.util.shuffle(train);
+  console.log(`🤖 ${train.length} training / ${test.length} test poses of ${labels.length} signs`);
+
+  const model = buildModel(labels.length);
+  const { xs, ys } = toTensors(train, labels);
+  try {
+    await model.fit(xs, ys, {
+      epochs,
+      batchSize: 64,
+      shuffle: true,
+      callbacks: {
+        onEpochEnd: (epoch, logs) => {
+          if ((epoch + 1) % 10 === 0 || epoch + 1 === epochs) {
+            console.log(`  epoch ${epoch + 1}/${epochs}  loss ${logs.loss.toFixed(4)}  acc ${logs.acc.toFixed(3)}`);
+          }
+        },
+      },
+    });
+  } finally {
+    xs.dispose();
+    ys.dispose();
+  }
+
+  const { overall, perClass: rows } = evaluate(model, test, labels);
+  console.log(`\nHeld-out synthetic accuracy: ${(overall * 100).toFixed(1)}%`);
+  for (const { label, accuracy } of rows) console.log(`  ${label.padEnd(12)} ${(accuracy * 100).toFixed(1)}%`);
+
+  model.setUserDefinedMetadata({ labels, trainedOn: "synthetic", seed, perClass, epochs });
+  await saveModel(model);
+  console.log(`\n✅ Saved to ${path.relative(process.cwd(), OUT_DIR)}/`);
+}
+
+main().catch((err) => {
+  console.error("❌", err.message);
+  process.exit(1);
+});